@@ -2,8 +2,9 @@ module.exports = {
     apps: [{
         name: 'whatsapp-session-pro',
         script: './server.js',
-        instances: 'max',
-        exec_mode: 'cluster',
+        // server.js forks its own workers in production so they can share session state
+        instances: 1,
+        exec_mode: 'fork',
         autorestart: true,
         watch: false,
         max_memory_restart: '1G',
@@ -106,7 +107,7 @@ module.exports = {
             WORKER: true
         }
     }, {
-        // Queue processor
+        // Queue housekeeping; the server workers send the queued messages themselves
         name: 'whatsapp-queue',
         script: './src/queues/processor.js',
         instances: 1,
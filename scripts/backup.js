@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+
+// Creates an encrypted backup of every session, copies it to BACKUP_TARGETS,
+// then prunes backups past BACKUP_RETENTION_DAYS. The password comes from the
+// environment so it never shows up in the process list.
+//
+//   BACKUP_PASSWORD=<password> npm run backup
+//   BACKUP_PASSWORD=<password> node scripts/backup.js --incremental --no-prune
+
+require('dotenv').config();
+const BackupSystem = require('../src/utils/backup-system');
+const { getStore } = require('../src/storage');
+
+async function main() {
+    if (!process.env.BACKUP_PASSWORD) {
+        console.error('❌ BACKUP_PASSWORD must be set');
+        process.exit(1);
+    }
+
+    // Works on whichever STORAGE_BACKEND the server is configured with
+    const store = getStore();
+    const backupSystem = new BackupSystem({ store });
+
+    const result = await backupSystem.createBackup(process.env.BACKUP_PASSWORD, {
+        incremental: process.argv.includes('--incremental')
+    });
+
+    if (!process.argv.includes('--no-prune')) {
+        await backupSystem.prune();
+    }
+
+    await backupSystem.close();
+    await store.close();
+
+    if (!result.success) {
+        console.error(`❌ Backup failed: ${result.message}`);
+        process.exit(1);
+    }
+
+    console.log(`\n✅ ${result.backup.id} (${result.backup.type}): ${result.backup.sessionCount} sessions, ${result.backup.size} bytes`);
+}
+
+main().catch(error => {
+    console.error('❌ Backup failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+
+// Re-wraps every session's data key (auth state and webhooks) under a new ENCRYPTION_KEY,
+// and encrypts any plaintext files left over from before encryption was enabled.
+//
+//   OLD_ENCRYPTION_KEY=<current> ENCRYPTION_KEY=<new> node scripts/rotate-encryption-key.js
+//   ENCRYPTION_KEY=<key> node scripts/rotate-encryption-key.js --migrate
+//
+// Stop the server first so no worker writes with the old key mid-rotation.
+
+require('dotenv').config();
+const { deriveMasterKey } = require('../src/utils/encryption');
+const { SessionVault } = require('../src/Whatsapp/encrypted-auth-state');
+const { getStore } = require('../src/storage');
+const { createWebhookStore } = require('../src/webhooks/webhook-manager');
+
+const migrateOnly = process.argv.includes('--migrate');
+
+async function rotateStore(store, label, { oldKey, newKey, totals }) {
+    const dirs = await store.listSessions();
+
+    for (const dir of dirs) {
+        totals.sessions++;
+
+        try {
+            if (migrateOnly) {
+                const migrated = await new SessionVault(dir, { store, masterKey: newKey }).migrate();
+                totals.migrated += migrated;
+                console.log(`🔐 ${dir} (${label}): encrypted ${migrated} files`);
+                continue;
+            }
+
+            const result = await new SessionVault(dir, { store, masterKey: oldKey }).rotateMasterKey(newKey);
+
+            if (result.rewrapped) totals.rewrapped++;
+            totals.migrated += result.migrated;
+
+            console.log(`🔑 ${dir} (${label}): ${result.rewrapped ? 're-wrapped data key' : 'no data key yet'}, encrypted ${result.migrated} plaintext files`);
+
+        } catch (error) {
+            totals.failed++;
+            console.error(`❌ ${dir} (${label}): ${error.message}`);
+        }
+    }
+
+    await store.close();
+}
+
+async function main() {
+    const newKey = deriveMasterKey(process.env.ENCRYPTION_KEY);
+    // The old key may be the weak one being rotated away from
+    const oldKey = deriveMasterKey(process.env.OLD_ENCRYPTION_KEY, { allowWeak: true });
+
+    if (!newKey) {
+        console.error('❌ ENCRYPTION_KEY must be set');
+        process.exit(1);
+    }
+
+    if (!migrateOnly && !oldKey) {
+        console.error('❌ OLD_ENCRYPTION_KEY must be set to rotate (or pass --migrate)');
+        process.exit(1);
+    }
+
+    // Works on whichever STORAGE_BACKEND the server is configured with. Webhooks keep
+    // their own data key per session in a separate namespace, so they are rotated too.
+    const totals = { sessions: 0, rewrapped: 0, migrated: 0, failed: 0 };
+
+    await rotateStore(getStore(), 'session', { oldKey, newKey, totals });
+    await rotateStore(createWebhookStore(), 'webhooks', { oldKey, newKey, totals });
+
+    console.log(`\n✅ Done: ${totals.sessions} session stores, ${totals.rewrapped} keys re-wrapped, ${totals.migrated} files encrypted, ${totals.failed} failed`);
+
+    if (totals.failed > 0) {
+        process.exit(1);
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Rotation failed:', error);
+    process.exit(1);
+});
@@ -138,6 +138,8 @@ async function setup() {
         
         spinner.start('Generating configuration files...');
         
+        const adminApiKey = `wsp_admin_${crypto.randomBytes(24).toString('hex')}`;
+        
         // Generate .env file
         const envContent = `# Server Configuration
 NODE_ENV=production
@@ -178,6 +180,7 @@ RATE_LIMIT_MAX=100
 JWT_SECRET=${crypto.randomBytes(32).toString('hex')}
 JWT_EXPIRES_IN=7d
 ENCRYPTION_KEY=${crypto.randomBytes(32).toString('hex')}
+ADMIN_API_KEY=${adminApiKey}
 
 # Storage Configuration
 MAX_STORAGE_SIZE=1073741824
@@ -305,6 +308,7 @@ echo "Old backups cleaned up"`;
         console.log('Username: ' + chalk.green('admin'));
         console.log('Password: ' + chalk.green(adminData.password));
         console.log('Email: ' + chalk.green(adminData.email));
+        console.log('API Key: ' + chalk.green(adminApiKey));
         console.log('\n' + chalk.blue('🌐 Access URLs:'));
         console.log('Dashboard: ' + chalk.underline(`http://${answers.domain}`));
         console.log('API: ' + chalk.underline(`http://${answers.domain}/api/v1/health`));
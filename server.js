@@ -6,27 +6,57 @@ const rateLimit = require('express-rate-limit');
 const compression = require('compression');
 const morgan = require('morgan');
 const path = require('path');
+const http = require('http');
 const fs = require('fs-extra');
 const cluster = require('cluster');
 const os = require('os');
 const { v4: uuidv4 } = require('uuid');
 const crypto = require('crypto');
+const multer = require('multer');
 
 // Import custom modules
-const WhatsAppService = require('./src/whatsapp/whatsapp-service');
-const SessionManager = require('./src/whatsapp/session-manager');
-const PairingStrategies = require('./src/whatsapp/pairing-strategies');
-const FallbackHandler = require('./src/whatsapp/fallback-handler');
+const WhatsAppService = require('./src/Whatsapp/whatsapp-service');
+const SessionManager = require('./src/Whatsapp/session-manager');
+const PairingStrategies = require('./src/Whatsapp/pairing-strategies');
+const FallbackHandler = require('./src/Whatsapp/fallback-handler');
+const SessionExporter = require('./src/Whatsapp/session-exporter');
+const ApiKeyManager = require('./src/utils/api-key-manager');
+const TenantManager = require('./src/utils/tenant-manager');
+const { attachMaster, getCoordinator } = require('./src/utils/cluster-coordinator');
+const { validateMessage } = require('./src/utils/message-schema');
+const { validateCreateGroup, validateParticipants, validateGroupUpdate, toGroupJid } = require('./src/utils/group-schema');
+const { MessageQueue, JOB_STATUSES } = require('./src/queues/message-queue');
+const QueueProcessor = require('./src/queues/processor');
+const { WebhookManager, DELIVERY_STATUSES } = require('./src/webhooks/webhook-manager');
+const { assertPublicUrl } = require('./src/webhooks/url-guard');
+const MediaStore = require('./src/media/media-store');
+const { createMessageStore } = require('./src/messages');
 const BackupSystem = require('./src/utils/backup-system');
 const logger = require('./src/utils/logger');
+const metrics = require('./src/utils/metrics');
+const { getMasterKey } = require('./src/utils/encryption');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Refuse to start rather than encrypt auth state with a key anyone can look up
+try {
+    getMasterKey();
+} catch (error) {
+    logger.fatal(`❌ ${error.message}`);
+    process.exit(1);
+}
+
 // Enable clustering for production
 if (cluster.isMaster && process.env.NODE_ENV === 'production') {
     const numCPUs = os.cpus().length;
-    console.log(`🚀 Master ${process.pid} is running`);
+    logger.info(`🚀 Master ${process.pid} is running`);
+    
+    // Pairing codes and session ownership are shared through the master
+    attachMaster(cluster);
+    
+    // Prometheus scrapes the master, which combines every worker's metrics
+    metrics.startMetricsServer({ clustered: true });
     
     // Fork workers
     for (let i = 0; i < numCPUs; i++) {
@@ -34,16 +64,45 @@ if (cluster.isMaster && process.env.NODE_ENV === 'production') {
     }
     
     cluster.on('exit', (worker, code, signal) => {
-        console.log(`⚠️ Worker ${worker.process.pid} died. Forking new worker...`);
+        logger.warn(`⚠️ Worker ${worker.process.pid} died. Forking new worker...`, { code, signal });
         cluster.fork();
     });
 } else {
     // Initialize services
-    const whatsappService = new WhatsAppService();
-    const sessionManager = new SessionManager();
-    const pairingStrategies = new PairingStrategies();
+    const coordinator = getCoordinator();
+    const sessionManager = new SessionManager({ coordinator });
+    const sessionExporter = new SessionExporter({ sessionManager, coordinator });
+    const webhookManager = new WebhookManager({ coordinator });
+    const mediaStore = new MediaStore();
+    const messageStore = createMessageStore();
+    const whatsappService = new WhatsAppService({ sessionManager, sessionExporter, coordinator, webhookManager, mediaStore, messageStore });
+    const pairingStrategies = new PairingStrategies({ sessionManager, coordinator, whatsappService });
     const fallbackHandler = new FallbackHandler();
-    const backupSystem = new BackupSystem();
+    const messageQueue = new MessageQueue({ coordinator });
+    const queueProcessor = new QueueProcessor({ queue: messageQueue, whatsappService });
+
+    // Loopback-only port other workers proxy this worker's sessions through
+    const internalPort = (parseInt(process.env.CLUSTER_INTERNAL_PORT, 10) || Number(PORT) + 1000) + coordinator.workerId;
+
+    // Only trust the forwarding header on requests that came in through the internal port
+    const isForwarded = req => coordinator.clustered &&
+        req.socket.localPort === internalPort &&
+        Boolean(req.headers['x-forwarded-worker']);
+    const apiKeyManager = new ApiKeyManager();
+    const tenantManager = new TenantManager({ coordinator });
+    const backupSystem = new BackupSystem({ sessionManager, whatsappService, tenantManager });
+
+    // Read on every scrape of METRICS_PORT
+    metrics.trackSessions(sessionManager, Object.keys(pairingStrategies.strategies));
+    metrics.trackCache('sessions', sessionManager.cache);
+    metrics.trackCache('pairing', pairingStrategies.cache);
+    metrics.trackCache('fallback', fallbackHandler.cache);
+    metrics.trackCache('api-keys', apiKeyManager.cache);
+
+    // Without a cluster master this process serves the scrapes itself
+    if (!coordinator.clustered) {
+        metrics.startMetricsServer();
+    }
 
     // Ensure directories exist
     const directories = [
@@ -76,15 +135,25 @@ if (cluster.isMaster && process.env.NODE_ENV === 'production') {
         }
     }));
 
+    // Request IDs first, so everything logged for a request can be traced back to it
+    app.use(logger.requestContext);
+
     app.use(compression());
     app.use(express.json({ limit: '10mb' }));
     app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+    // Multipart uploads land in a temp dir and are removed after each request
+    const upload = multer({
+        dest: path.join(os.tmpdir(), 'whatsapp-uploads'),
+        limits: { fileSize: 50 * 1024 * 1024 } // 50MB
+    });
+
     // Rate limiting
     const apiLimiter = rateLimit({
         windowMs: 15 * 60 * 1000, // 15 minutes
         max: 100,
-        message: 'Too many requests from this IP, please try again later.'
+        message: 'Too many requests from this IP, please try again later.',
+        skip: isForwarded // already counted by the worker that received it
     });
 
     const authLimiter = rateLimit({
@@ -93,11 +162,14 @@ if (cluster.isMaster && process.env.NODE_ENV === 'production') {
         message: 'Too many login attempts, please try again later.'
     });
 
-    // Logging
-    app.use(morgan('combined', {
-        stream: {
-            write: message => logger.info(message.trim())
-        }
+    // Access log; returning nothing tells morgan the line has already been written
+    const httpLogger = logger.child({ module: 'http' });
+    app.use(morgan((tokens, req, res) => {
+        httpLogger.info(`${tokens.method(req, res)} ${tokens.url(req, res)} ${tokens.status(req, res)} ${tokens['response-time'](req, res)}ms`, {
+            requestId: req.id,
+            ip: tokens['remote-addr'](req, res),
+            userAgent: tokens['user-agent'](req, res)
+        });
     }));
 
     // Static files
@@ -105,25 +177,260 @@ if (cluster.isMaster && process.env.NODE_ENV === 'production') {
     app.use('/assets', express.static('public/assets'));
 
     // Health check endpoint
+    // It needs no key, so beyond liveness it only reports this worker's resume counts
     app.get('/health', (req, res) => {
         res.json({
             status: 'OK',
             timestamp: new Date().toISOString(),
             version: '4.0.0',
-            worker: process.pid,
             uptime: process.uptime(),
-            memory: process.memoryUsage(),
-            services: {
-                whatsapp: whatsappService.isConnected() ? 'connected' : 'disconnected',
-                sessions: sessionManager.getStats(),
-                pairing: pairingStrategies.getStatus(),
-                fallbacks: fallbackHandler.getStatus()
+            resume: whatsappService.getResumeSummary()
+        });
+    });
+
+    // Every API route needs a key; each route then checks its scope
+    app.use('/api/v1', apiKeyManager.authenticate());
+
+    const requireScope = scope => apiKeyManager.requireScope(scope);
+    const requireAdmin = apiKeyManager.requireAdmin();
+
+    // Backups hold every tenant's sessions, so only global admin keys may touch them
+    const requireGlobalAdmin = (req, res, next) => {
+        if (req.apiKey.tenant) {
+            return res.status(403).json({
+                success: false,
+                error: 'ADMIN_KEY_REQUIRED',
+                message: 'Only global admin keys can manage backups'
+            });
+        }
+
+        next();
+    };
+
+    // Keys bound to a tenant only see that tenant's sessions; global admin keys see all
+    const canAccessSession = (apiKey, session) =>
+        !apiKey.tenant || session.tenant === apiKey.tenant;
+
+    const getTenantSession = (req, sessionId) => {
+        const session = sessionManager.getSession(sessionId);
+        return session && canAccessSession(req.apiKey, session) ? session : null;
+    };
+
+    // Send session requests to the worker holding that session's socket
+    const routeToOwner = getSessionId => async (req, res, next) => {
+        if (!coordinator.clustered || isForwarded(req)) {
+            return next();
+        }
+
+        const sessionId = getSessionId(req);
+        if (!sessionId) return next();
+
+        try {
+            const owner = await coordinator.getOwner(sessionId);
+
+            if (coordinator.isLocal(owner) || !owner.address) {
+                return next();
+            }
+
+            proxyToWorker(req, res, owner);
+
+        } catch (error) {
+            logger.error('Session routing error:', error);
+            next();
+        }
+    };
+
+    function proxyToWorker(req, res, owner) {
+        // express has already read JSON and urlencoded bodies, so those are re-sent as JSON,
+        // which parses back to the same req.body; anything else (an upload) streams through
+        const parsed = Boolean(req.is('json') || req.is('urlencoded'));
+        const body = parsed ? JSON.stringify(req.body || {}) : null;
+        const headers = {
+            ...req.headers,
+            'x-forwarded-worker': String(coordinator.workerId),
+            'x-request-id': req.id
+        };
+
+        if (parsed) {
+            delete headers['transfer-encoding'];
+            headers['content-type'] = 'application/json';
+            headers['content-length'] = Buffer.byteLength(body);
+        }
+
+        const proxyReq = http.request(new URL(req.originalUrl, owner.address), {
+            method: req.method,
+            headers: headers
+        }, (proxyRes) => {
+            res.writeHead(proxyRes.statusCode, proxyRes.headers);
+            proxyRes.pipe(res);
+        });
+
+        proxyReq.on('error', (error) => {
+            logger.error(`Proxy to worker ${owner.workerId} failed:`, error);
+
+            if (!res.headersSent) {
+                res.status(502).json({
+                    success: false,
+                    error: 'WORKER_UNAVAILABLE',
+                    message: 'The worker handling this session is unavailable'
+                });
             }
         });
+
+        if (parsed) {
+            proxyReq.end(body);
+        } else {
+            req.pipe(proxyReq);
+        }
+    }
+
+    const bySessionParam = req => req.params.id;
+
+    // HTTP status for a failed WhatsAppService group action
+    const GROUP_ERROR_STATUS = {
+        NOT_CONNECTED: 409,
+        NOT_FOUND: 404,
+        NOT_AUTHORIZED: 403,
+        FORBIDDEN: 403,
+        BAD_REQUEST: 400
+    };
+
+    // Media types a browser may render inline: no HTML, SVG, PDF or anything else that can run script
+    const INLINE_MEDIA_TYPES = /^(image\/(jpeg|png|gif|webp)|audio\/[\w.+-]+|video\/[\w.+-]+)$/;
+
+    // List API keys
+    app.get('/api/v1/admin/keys', requireAdmin, requireScope('keys:admin'), (req, res) => {
+        res.json({
+            success: true,
+            keys: apiKeyManager.listKeys(req.apiKey.tenant),
+            scopes: ApiKeyManager.SCOPES
+        });
+    });
+
+    // Create API key
+    app.post('/api/v1/admin/keys', requireAdmin, requireScope('keys:admin'), async (req, res) => {
+        try {
+            const { name, type, scopes, tenant } = req.body;
+
+            // Tenant-bound admins can only mint keys for their own tenant
+            const result = await apiKeyManager.createKey({
+                name,
+                type,
+                scopes: Array.isArray(scopes) ? scopes : [],
+                tenant: req.apiKey.tenant || tenant || null
+            });
+
+            if (!result.success) {
+                return res.status(400).json(result);
+            }
+
+            logger.info(`API key created: ${result.apiKey.id}`, {
+                keyId: result.apiKey.id,
+                type: result.apiKey.type,
+                createdBy: req.apiKey.id
+            });
+
+            res.status(201).json({
+                ...result,
+                message: 'Store this key now, it will not be shown again'
+            });
+
+        } catch (error) {
+            logger.error('Create API key error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'KEY_CREATE_FAILED',
+                message: 'Failed to create API key'
+            });
+        }
+    });
+
+    // Revoke API key
+    app.delete('/api/v1/admin/keys/:id', requireAdmin, requireScope('keys:admin'), async (req, res) => {
+        try {
+            const result = await apiKeyManager.revokeKey(req.params.id, req.apiKey.tenant);
+
+            if (!result.success) {
+                return res.status(404).json(result);
+            }
+
+            logger.info(`API key revoked: ${req.params.id}`, {
+                keyId: req.params.id,
+                revokedBy: req.apiKey.id
+            });
+
+            res.json(result);
+
+        } catch (error) {
+            logger.error('Revoke API key error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'KEY_REVOKE_FAILED',
+                message: 'Failed to revoke API key'
+            });
+        }
+    });
+
+    // List tenants with quotas and today's usage
+    app.get('/api/v1/admin/tenants', requireAdmin, requireScope('keys:admin'), async (req, res) => {
+        try {
+            const tenants = (await tenantManager.listTenants())
+                .filter(tenant => !req.apiKey.tenant || tenant.id === req.apiKey.tenant)
+                .map(tenant => ({
+                    ...tenant,
+                    sessions: sessionManager.countSessions(tenant.id)
+                }));
+
+            res.json({
+                success: true,
+                tenants: tenants
+            });
+
+        } catch (error) {
+            logger.error('List tenants error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'TENANT_LIST_FAILED',
+                message: 'Failed to list tenants'
+            });
+        }
+    });
+
+    // Create or update a tenant's quotas
+    app.put('/api/v1/admin/tenants/:id', requireAdmin, requireScope('keys:admin'), async (req, res) => {
+        try {
+            if (req.apiKey.tenant) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'ADMIN_KEY_REQUIRED',
+                    message: 'Only global admin keys can manage tenants'
+                });
+            }
+
+            const result = await tenantManager.upsertTenant({
+                id: req.params.id,
+                name: req.body.name,
+                quotas: req.body.quotas
+            });
+
+            if (!result.success) {
+                return res.status(400).json(result);
+            }
+
+            res.json(result);
+
+        } catch (error) {
+            logger.error('Save tenant error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'TENANT_SAVE_FAILED',
+                message: 'Failed to save tenant'
+            });
+        }
     });
 
     // Generate new session
-    app.post('/api/v1/generate', apiLimiter, async (req, res) => {
+    app.post('/api/v1/generate', apiLimiter, requireScope('sessions:write'), async (req, res) => {
         try {
             const { phone, sessionName, securityLevel = 'high', method = 'code' } = req.body;
             
@@ -146,6 +453,23 @@ if (cluster.isMaster && process.env.NODE_ENV === 'production') {
                 });
             }
 
+            // Enforce the caller's tenant quotas
+            const tenant = req.apiKey.tenant || req.body.tenant || TenantManager.DEFAULT_TENANT;
+            const quota = await tenantManager.checkGenerationQuota(
+                tenant,
+                sessionManager.countSessions(tenant)
+            );
+
+            if (!quota.allowed) {
+                return res.status(429).json({
+                    success: false,
+                    error: quota.error,
+                    message: quota.message,
+                    quotas: quota.quotas,
+                    usage: quota.usage
+                });
+            }
+
             // Generate session ID
             const sessionId = `WA_${crypto.randomBytes(8).toString('hex').toUpperCase()}`;
             
@@ -156,6 +480,7 @@ if (cluster.isMaster && process.env.NODE_ENV === 'production') {
                 phone: phone,
                 security: securityLevel,
                 method: method,
+                tenant: tenant,
                 createdAt: new Date(),
                 expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 days
                 status: 'pending'
@@ -207,7 +532,7 @@ if (cluster.isMaster && process.env.NODE_ENV === 'production') {
     });
 
     // Verify pairing code
-    app.post('/api/v1/verify', apiLimiter, async (req, res) => {
+    app.post('/api/v1/verify', apiLimiter, requireScope('sessions:write'), routeToOwner(req => req.body.sessionId), async (req, res) => {
         try {
             const { sessionId, pairingCode, method = 'code' } = req.body;
             
@@ -220,7 +545,7 @@ if (cluster.isMaster && process.env.NODE_ENV === 'production') {
             }
 
             // Get session
-            const session = sessionManager.getSession(sessionId);
+            const session = getTenantSession(req, sessionId);
             if (!session) {
                 return res.status(404).json({
                     success: false,
@@ -260,15 +585,15 @@ if (cluster.isMaster && process.env.NODE_ENV === 'production') {
             );
 
             if (!connection.success) {
-                return res.status(500).json({
+                return res.status(connection.error === 'SESSION_OWNED_ELSEWHERE' ? 409 : 500).json({
                     success: false,
-                    error: 'CONNECTION_FAILED',
+                    error: connection.error,
                     message: 'Failed to connect to WhatsApp'
                 });
             }
 
-            // Update session status
-            session.status = 'active';
+            // Update session status; an unlinked socket keeps waiting for the phone
+            session.status = connection.status === 'connected' ? 'active' : 'pending';
             session.connectedAt = new Date();
             sessionManager.updateSession(sessionId, session);
 
@@ -302,10 +627,82 @@ if (cluster.isMaster && process.env.NODE_ENV === 'production') {
         }
     });
 
+    // Import a previously exported session string or zip
+    // Imports naming a session in the body go to the worker holding it; uploads are handled here
+    app.post('/api/v1/session/import', requireScope('sessions:write'), routeToOwner(req => (req.is('json') || req.is('urlencoded') ? req.body.sessionId : null)), upload.single('sessionFile'), async (req, res) => {
+        try {
+            const { sessionString, sessionId, name, phone } = req.body;
+            const options = {
+                sessionId,
+                name,
+                phone,
+                tenant: req.apiKey.tenant || req.body.tenant || TenantManager.DEFAULT_TENANT,
+                test: req.body.test === true || req.body.test === 'true',
+                overwrite: req.body.overwrite === true || req.body.overwrite === 'true'
+            };
+
+            if (!sessionString && !req.file) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'INVALID_INPUT',
+                    message: 'A session string or session zip file is required'
+                });
+            }
+
+            // Overwriting one of the tenant's own sessions does not add one
+            if (!(sessionId && sessionManager.getSession(sessionId))) {
+                const quota = await tenantManager.checkSessionQuota(
+                    options.tenant,
+                    sessionManager.countSessions(options.tenant)
+                );
+
+                if (!quota.allowed) {
+                    return res.status(429).json({
+                        success: false,
+                        error: quota.error,
+                        message: quota.message,
+                        quotas: quota.quotas,
+                        usage: quota.usage
+                    });
+                }
+            }
+
+            const result = req.file
+                ? await sessionExporter.importZip(req.file.path, options)
+                : await sessionExporter.importSessionString(sessionString, options);
+
+            if (!result.success) {
+                const status = result.error === 'SESSION_EXISTS' || result.error === 'SESSION_BUSY' ? 409
+                    : result.error === 'ARCHIVE_TOO_LARGE' ? 413
+                    : result.error === 'IMPORT_FAILED' ? 500 : 400;
+                return res.status(status).json(result);
+            }
+
+            logger.info(`Session imported: ${result.sessionId}`, {
+                sessionId: result.sessionId,
+                tested: options.test
+            });
+
+            res.json(result);
+
+        } catch (error) {
+            logger.error('Import session error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'IMPORT_FAILED',
+                message: 'Failed to import session'
+            });
+        } finally {
+            if (req.file) {
+                fs.remove(req.file.path).catch(() => {});
+            }
+        }
+    });
+
     // Get session details
-    app.get('/api/v1/session/:id', async (req, res) => {
+    app.get('/api/v1/session/:id', requireScope('sessions:read'), routeToOwner(bySessionParam), async (req, res) => {
         try {
-            const session = sessionManager.getSession(req.params.id);
+            const session = getTenantSession(req, req.params.id);
             
             if (!session) {
                 return res.status(404).json({
@@ -337,10 +734,10 @@ if (cluster.isMaster && process.env.NODE_ENV === 'production') {
     });
 
     // Get all sessions
-    app.get('/api/v1/sessions', async (req, res) => {
+    app.get('/api/v1/sessions', requireScope('sessions:read'), async (req, res) => {
         try {
-            const sessions = sessionManager.getAllSessions();
-            const stats = sessionManager.getStats();
+            const sessions = sessionManager.getAllSessions({ tenant: req.apiKey.tenant });
+            const stats = sessionManager.getStats(req.apiKey.tenant);
             
             const enrichedSessions = await Promise.all(
                 sessions.map(async session => ({
@@ -368,18 +765,30 @@ if (cluster.isMaster && process.env.NODE_ENV === 'production') {
     });
 
     // Delete session
-    app.delete('/api/v1/session/:id', async (req, res) => {
+    app.delete('/api/v1/session/:id', requireScope('sessions:write'), routeToOwner(bySessionParam), async (req, res) => {
         try {
             const sessionId = req.params.id;
             
-            // Disconnect from WhatsApp
-            await whatsappService.disconnectSession(sessionId);
+            if (!getTenantSession(req, sessionId)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'SESSION_NOT_FOUND',
+                    message: 'Session not found'
+                });
+            }
+            
+            // Disconnect from WhatsApp and unlink the device
+            await whatsappService.disconnectSession(sessionId, { logout: true });
             
             // Delete session data
-            const deleted = sessionManager.deleteSession(sessionId);
+            await sessionManager.deleteSession(sessionId);
             
             // Delete session files
             await whatsappService.deleteSessionFiles(sessionId);
+            await messageQueue.removeSession(sessionId);
+            await webhookManager.removeSession(sessionId);
+            await mediaStore.removeSession(sessionId);
+            await messageStore.removeSession(sessionId);
 
             logger.info(`Session deleted: ${sessionId}`);
 
@@ -399,10 +808,10 @@ if (cluster.isMaster && process.env.NODE_ENV === 'production') {
     });
 
     // Test session connection
-    app.post('/api/v1/session/:id/test', async (req, res) => {
+    app.post('/api/v1/session/:id/test', requireScope('sessions:write'), routeToOwner(bySessionParam), async (req, res) => {
         try {
             const sessionId = req.params.id;
-            const session = sessionManager.getSession(sessionId);
+            const session = getTenantSession(req, sessionId);
             
             if (!session) {
                 return res.status(404).json({
@@ -430,14 +839,13 @@ if (cluster.isMaster && process.env.NODE_ENV === 'production') {
         }
     });
 
-    // Download session files
-    app.get('/api/v1/session/:id/download', async (req, res) => {
+    // Send a message from a session and answer with its messageId; ?async=true, or a
+    // sendAt, queues it instead and answers 202 with the job
+    app.post('/api/v1/session/:id/messages', apiLimiter, requireScope('sessions:write'), routeToOwner(bySessionParam), async (req, res) => {
         try {
             const sessionId = req.params.id;
-            const format = req.query.format || 'zip';
-            
-            const session = sessionManager.getSession(sessionId);
-            if (!session) {
+
+            if (!getTenantSession(req, sessionId)) {
                 return res.status(404).json({
                     success: false,
                     error: 'SESSION_NOT_FOUND',
@@ -445,112 +853,1321 @@ if (cluster.isMaster && process.env.NODE_ENV === 'production') {
                 });
             }
 
-            const downloadPath = await whatsappService.packageSessionFiles(
-                sessionId, 
-                format
-            );
+            const { value, error } = validateMessage(req.body);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'INVALID_MESSAGE',
+                    message: 'Message failed validation',
+                    details: error
+                });
+            }
 
-            res.download(downloadPath, `whatsapp-session-${sessionId}.${format}`, (err) => {
-                if (err) {
-                    logger.error('Download error:', err);
+            // Media is downloaded by this service, so its URL gets the same checks as a webhook's
+            if (value.url) {
+                try {
+                    await assertPublicUrl(value.url);
+                } catch (error) {
+                    if (error.code !== 'WEBHOOK_URL_BLOCKED') throw error;
+                    return res.status(400).json({
+                        success: false,
+                        error: 'MEDIA_URL_BLOCKED',
+                        message: error.message
+                    });
                 }
-                // Cleanup temporary file
-                fs.unlink(downloadPath).catch(() => {});
+            }
+
+            const queued = req.query.async === 'true' || Boolean(value.sendAt);
+            const connection = whatsappService.getConnection(sessionId);
+
+            // A synchronous send fails now rather than waiting in the queue for a reconnect
+            if (!queued && !(connection && connection.connected)) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'NOT_CONNECTED',
+                    message: 'Session is not connected to WhatsApp'
+                });
+            }
+
+            const job = await messageQueue.enqueue(sessionId, value);
+
+            logger.info(`Message queued: ${job.id}`, {
+                sessionId,
+                type: value.type,
+                status: job.status
+            });
+
+            if (queued) {
+                return res.status(202).json({ success: true, job });
+            }
+
+            // Still goes through the queue so the send counts against the rate limits
+            const finished = await queueProcessor.waitFor(job.id, 30000);
+
+            if (!finished) {
+                return res.status(202).json({ success: true, job: await messageQueue.get(sessionId, job.id) });
+            }
+
+            if (finished.status === 'dead') {
+                const status = finished.lastError.code === 'NOT_CONNECTED' ? 409
+                    : finished.lastError.code === 'QUOTED_NOT_FOUND' ? 404
+                    : finished.lastError.code === 'MEDIA_URL_BLOCKED' ? 400
+                    : finished.lastError.code === 'MEDIA_TOO_LARGE' ? 413 : 502;
+                return res.status(status).json({
+                    success: false,
+                    error: finished.lastError.code,
+                    message: finished.lastError.message,
+                    job: finished
+                });
+            }
+
+            res.status(201).json({
+                success: true,
+                messageId: finished.result.messageId,
+                to: value.to,
+                type: value.type,
+                timestamp: finished.result.timestamp,
+                job: finished
             });
 
         } catch (error) {
-            logger.error('Download error:', error);
+            logger.error('Send message error:', error);
             res.status(500).json({
                 success: false,
-                error: 'DOWNLOAD_FAILED',
-                message: 'Failed to download session files'
+                error: 'SEND_FAILED',
+                message: 'Failed to send message'
             });
         }
     });
 
-    // Get available pairing methods
-    app.get('/api/v1/pairing-methods', (req, res) => {
+    // Message jobs for a session, newest first; ?status=dead lists the dead letters
+    app.get('/api/v1/session/:id/jobs', requireScope('sessions:read'), async (req, res) => {
         try {
-            const methods = pairingStrategies.getAvailableMethods();
-            const fallbacks = fallbackHandler.getAvailableFallbacks();
-            
+            const sessionId = req.params.id;
+
+            if (!getTenantSession(req, sessionId)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'SESSION_NOT_FOUND',
+                    message: 'Session not found'
+                });
+            }
+
+            if (req.query.status && !JOB_STATUSES.includes(req.query.status)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'INVALID_STATUS',
+                    message: `status must be one of ${JOB_STATUSES.join(', ')}`
+                });
+            }
+
+            const jobs = await messageQueue.list(sessionId, { status: req.query.status });
+
             res.json({
                 success: true,
-                methods: methods,
-                fallbacks: fallbacks,
-                recommendations: pairingStrategies.getRecommendations()
+                count: jobs.length,
+                jobs: jobs
             });
 
         } catch (error) {
-            logger.error('Get methods error:', error);
+            logger.error('List jobs error:', error);
             res.status(500).json({
                 success: false,
-                error: 'FETCH_FAILED',
-                message: 'Failed to get pairing methods'
+                error: 'LIST_FAILED',
+                message: 'Failed to list message jobs'
             });
         }
     });
 
-    // Backup sessions
-    app.post('/api/v1/backup', async (req, res) => {
+    app.get('/api/v1/session/:id/jobs/:jobId', requireScope('sessions:read'), async (req, res) => {
         try {
-            const { password } = req.body;
-            
-            const backupResult = await backupSystem.createBackup(password);
-            
-            res.json({
-                success: true,
-                backup: backupResult,
-                message: 'Backup created successfully'
-            });
+            const sessionId = req.params.id;
+
+            const job = getTenantSession(req, sessionId)
+                ? await messageQueue.get(sessionId, req.params.jobId)
+                : null;
+
+            if (!job) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'JOB_NOT_FOUND',
+                    message: 'Job not found'
+                });
+            }
+
+            res.json({ success: true, job });
 
         } catch (error) {
-            logger.error('Backup error:', error);
+            logger.error('Get job error:', error);
             res.status(500).json({
                 success: false,
-                error: 'BACKUP_FAILED',
-                message: 'Failed to create backup'
+                error: 'GET_FAILED',
+                message: 'Failed to get message job'
             });
         }
     });
 
-    // Restore from backup
-    app.post('/api/v1/restore', async (req, res) => {
+    // Put a dead-lettered job back in the queue
+    app.post('/api/v1/session/:id/jobs/:jobId/retry', requireScope('sessions:write'), routeToOwner(bySessionParam), async (req, res) => {
         try {
-            const { backupId, password } = req.body;
-            
-            if (!req.files || !req.files.backupFile) {
-                return res.status(400).json({
+            const sessionId = req.params.id;
+
+            if (!getTenantSession(req, sessionId)) {
+                return res.status(404).json({
                     success: false,
-                    error: 'NO_FILE',
-                    message: 'Backup file is required'
+                    error: 'SESSION_NOT_FOUND',
+                    message: 'Session not found'
                 });
             }
 
-            const restoreResult = await backupSystem.restoreBackup(
-                req.files.backupFile,
-                password
-            );
+            const result = await messageQueue.requeue(sessionId, req.params.jobId);
 
-            res.json({
-                success: true,
-                restore: restoreResult,
-                message: 'Backup restored successfully'
-            });
+            if (!result.success) {
+                return res.status(result.error === 'JOB_NOT_FOUND' ? 404 : 409).json(result);
+            }
+
+            res.json(result);
 
         } catch (error) {
-            logger.error('Restore error:', error);
+            logger.error('Retry job error:', error);
             res.status(500).json({
                 success: false,
-                error: 'RESTORE_FAILED',
+                error: 'RETRY_FAILED',
+                message: 'Failed to retry message job'
+            });
+        }
+    });
+
+    // Cancel a job that has not been sent yet
+    app.delete('/api/v1/session/:id/jobs/:jobId', requireScope('sessions:write'), routeToOwner(bySessionParam), async (req, res) => {
+        try {
+            const sessionId = req.params.id;
+
+            if (!getTenantSession(req, sessionId)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'SESSION_NOT_FOUND',
+                    message: 'Session not found'
+                });
+            }
+
+            const result = await messageQueue.cancel(sessionId, req.params.jobId);
+
+            if (!result.success) {
+                return res.status(result.error === 'JOB_NOT_FOUND' ? 404 : 409).json(result);
+            }
+
+            res.json(result);
+
+        } catch (error) {
+            logger.error('Cancel job error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'CANCEL_FAILED',
+                message: 'Failed to cancel message job'
+            });
+        }
+    });
+
+    // Webhooks receiving this session's inbound messages, receipts, presence, group and contact events
+    app.get('/api/v1/session/:id/webhooks', requireScope('sessions:read'), async (req, res) => {
+        try {
+            if (!getTenantSession(req, req.params.id)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'SESSION_NOT_FOUND',
+                    message: 'Session not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                webhooks: await webhookManager.listWebhooks(req.params.id)
+            });
+
+        } catch (error) {
+            logger.error('List webhooks error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'LIST_FAILED',
+                message: 'Failed to list webhooks'
+            });
+        }
+    });
+
+    app.post('/api/v1/session/:id/webhooks', requireScope('sessions:write'), async (req, res) => {
+        try {
+            if (!getTenantSession(req, req.params.id)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'SESSION_NOT_FOUND',
+                    message: 'Session not found'
+                });
+            }
+
+            const result = await webhookManager.addWebhook(req.params.id, req.body);
+
+            if (!result.success) {
+                return res.status(400).json(result);
+            }
+
+            logger.info(`Webhook added: ${result.webhook.id}`, { sessionId: req.params.id });
+
+            res.status(201).json(result);
+
+        } catch (error) {
+            logger.error('Add webhook error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'WEBHOOK_FAILED',
+                message: 'Failed to add webhook'
+            });
+        }
+    });
+
+    // Delivery log, newest first
+    app.get('/api/v1/session/:id/webhooks/deliveries', requireScope('sessions:read'), async (req, res) => {
+        try {
+            if (!getTenantSession(req, req.params.id)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'SESSION_NOT_FOUND',
+                    message: 'Session not found'
+                });
+            }
+
+            if (req.query.status && !DELIVERY_STATUSES.includes(req.query.status)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'INVALID_STATUS',
+                    message: `status must be one of ${DELIVERY_STATUSES.join(', ')}`
+                });
+            }
+
+            const deliveries = await webhookManager.listDeliveries(req.params.id, {
+                status: req.query.status,
+                webhookId: req.query.webhookId,
+                limit: Math.min(parseInt(req.query.limit, 10) || 50, 500)
+            });
+
+            res.json({
+                success: true,
+                count: deliveries.length,
+                deliveries: deliveries
+            });
+
+        } catch (error) {
+            logger.error('List deliveries error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'LIST_FAILED',
+                message: 'Failed to list webhook deliveries'
+            });
+        }
+    });
+
+    app.get('/api/v1/session/:id/webhooks/deliveries/:deliveryId', requireScope('sessions:read'), async (req, res) => {
+        try {
+            const delivery = getTenantSession(req, req.params.id)
+                ? await webhookManager.getDelivery(req.params.id, req.params.deliveryId)
+                : null;
+
+            if (!delivery) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'DELIVERY_NOT_FOUND',
+                    message: 'Delivery not found'
+                });
+            }
+
+            res.json({ success: true, delivery });
+
+        } catch (error) {
+            logger.error('Get delivery error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'GET_FAILED',
+                message: 'Failed to get webhook delivery'
+            });
+        }
+    });
+
+    // Send a logged delivery again; the response reports the first attempt
+    app.post('/api/v1/session/:id/webhooks/deliveries/:deliveryId/replay', requireScope('sessions:write'), async (req, res) => {
+        try {
+            if (!getTenantSession(req, req.params.id)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'SESSION_NOT_FOUND',
+                    message: 'Session not found'
+                });
+            }
+
+            const result = await webhookManager.replay(req.params.id, req.params.deliveryId);
+
+            if (!result.success) {
+                return res.status(404).json(result);
+            }
+
+            res.status(201).json(result);
+
+        } catch (error) {
+            logger.error('Replay delivery error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'REPLAY_FAILED',
+                message: 'Failed to replay webhook delivery'
+            });
+        }
+    });
+
+    app.patch('/api/v1/session/:id/webhooks/:webhookId', requireScope('sessions:write'), async (req, res) => {
+        try {
+            if (!getTenantSession(req, req.params.id)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'SESSION_NOT_FOUND',
+                    message: 'Session not found'
+                });
+            }
+
+            const result = await webhookManager.updateWebhook(req.params.id, req.params.webhookId, req.body);
+
+            if (!result.success) {
+                return res.status(result.error === 'WEBHOOK_NOT_FOUND' ? 404 : 400).json(result);
+            }
+
+            res.json(result);
+
+        } catch (error) {
+            logger.error('Update webhook error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'WEBHOOK_FAILED',
+                message: 'Failed to update webhook'
+            });
+        }
+    });
+
+    app.delete('/api/v1/session/:id/webhooks/:webhookId', requireScope('sessions:write'), async (req, res) => {
+        try {
+            if (!getTenantSession(req, req.params.id)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'SESSION_NOT_FOUND',
+                    message: 'Session not found'
+                });
+            }
+
+            const result = await webhookManager.removeWebhook(req.params.id, req.params.webhookId);
+
+            if (!result.success) {
+                return res.status(404).json(result);
+            }
+
+            res.json({ success: true, message: 'Webhook removed' });
+
+        } catch (error) {
+            logger.error('Remove webhook error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'WEBHOOK_FAILED',
+                message: 'Failed to remove webhook'
+            });
+        }
+    });
+
+    // Chats seen by a session, most recently active first; ?q= searches by name or JID
+    app.get('/api/v1/session/:id/chats', requireScope('sessions:read'), routeToOwner(bySessionParam), async (req, res) => {
+        try {
+            if (!getTenantSession(req, req.params.id)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'SESSION_NOT_FOUND',
+                    message: 'Session not found'
+                });
+            }
+
+            const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+            const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+            const { chats, total } = await messageStore.listChats(req.params.id, {
+                limit: limit,
+                offset: offset,
+                query: req.query.q
+            });
+
+            res.json({
+                success: true,
+                chats: chats,
+                pagination: { limit, offset, total }
+            });
+
+        } catch (error) {
+            logger.error('List chats error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'LIST_FAILED',
+                message: 'Failed to list chats'
+            });
+        }
+    });
+
+    // A chat's stored messages, newest first; pass nextCursor back as ?before= for older ones
+    app.get('/api/v1/session/:id/chats/:jid/messages', requireScope('sessions:read'), routeToOwner(bySessionParam), async (req, res) => {
+        try {
+            if (!getTenantSession(req, req.params.id)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'SESSION_NOT_FOUND',
+                    message: 'Session not found'
+                });
+            }
+
+            const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+            const result = await messageStore.listMessages(req.params.id, req.params.jid, {
+                limit: limit,
+                before: req.query.before
+            });
+
+            res.json({
+                success: true,
+                chat: await messageStore.getChat(req.params.id, req.params.jid),
+                messages: result.messages,
+                pagination: { limit, nextCursor: result.nextCursor }
+            });
+
+        } catch (error) {
+            logger.error('List messages error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'LIST_FAILED',
+                message: 'Failed to list messages'
+            });
+        }
+    });
+
+    // Contacts synced from the phone, sorted by name; ?q= searches by name or JID
+    app.get('/api/v1/session/:id/contacts', requireScope('sessions:read'), routeToOwner(bySessionParam), async (req, res) => {
+        try {
+            if (!getTenantSession(req, req.params.id)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'SESSION_NOT_FOUND',
+                    message: 'Session not found'
+                });
+            }
+
+            const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+            const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+            const { contacts, total } = await messageStore.listContacts(req.params.id, {
+                limit: limit,
+                offset: offset,
+                query: req.query.q
+            });
+
+            res.json({
+                success: true,
+                contacts: contacts,
+                pagination: { limit, offset, total }
+            });
+
+        } catch (error) {
+            logger.error('List contacts error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'LIST_FAILED',
+                message: 'Failed to list contacts'
+            });
+        }
+    });
+
+    // Groups the session's account is in; needs a live connection
+    app.get('/api/v1/session/:id/groups', requireScope('sessions:read'), routeToOwner(bySessionParam), async (req, res) => {
+        try {
+            if (!getTenantSession(req, req.params.id)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'SESSION_NOT_FOUND',
+                    message: 'Session not found'
+                });
+            }
+
+            const result = await whatsappService.getGroups(req.params.id, { query: req.query.q });
+
+            if (!result.success) {
+                return res.status(result.error === 'NOT_CONNECTED' ? 409 : 502).json(result);
+            }
+
+            res.json({
+                success: true,
+                groups: result.groups,
+                count: result.groups.length
+            });
+
+        } catch (error) {
+            logger.error('List groups error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'LIST_FAILED',
+                message: 'Failed to list groups'
+            });
+        }
+    });
+
+    // Create a group; participants WhatsApp did not add are listed as failed
+    app.post('/api/v1/session/:id/groups', requireScope('sessions:write'), routeToOwner(bySessionParam), async (req, res) => {
+        try {
+            if (!getTenantSession(req, req.params.id)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'SESSION_NOT_FOUND',
+                    message: 'Session not found'
+                });
+            }
+
+            const { value, error } = validateCreateGroup(req.body);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'INVALID_INPUT',
+                    message: 'Group failed validation',
+                    details: error
+                });
+            }
+
+            const result = await whatsappService.createGroup(req.params.id, value.subject, value.participants);
+
+            if (!result.success) {
+                return res.status(GROUP_ERROR_STATUS[result.error] || 502).json(result);
+            }
+
+            logger.info(`Group created: ${result.group.id}`, { sessionId: req.params.id });
+            res.status(201).json(result);
+
+        } catch (error) {
+            logger.error('Create group error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'GROUP_ACTION_FAILED',
+                message: 'Failed to create group'
+            });
+        }
+    });
+
+    app.get('/api/v1/session/:id/groups/:groupId', requireScope('sessions:read'), routeToOwner(bySessionParam), async (req, res) => {
+        try {
+            if (!getTenantSession(req, req.params.id)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'SESSION_NOT_FOUND',
+                    message: 'Session not found'
+                });
+            }
+
+            const groupJid = toGroupJid(req.params.groupId);
+            if (!groupJid) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'INVALID_GROUP_ID',
+                    message: 'Group ID must look like 120363012345678901@g.us'
+                });
+            }
+
+            const result = await whatsappService.getGroup(req.params.id, groupJid);
+
+            if (!result.success) {
+                return res.status(GROUP_ERROR_STATUS[result.error] || 502).json(result);
+            }
+
+            res.json(result);
+
+        } catch (error) {
+            logger.error('Get group error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'GROUP_ACTION_FAILED',
+                message: 'Failed to fetch group'
+            });
+        }
+    });
+
+    // Change subject, description, announce/locked settings or the disappearing-message timer
+    app.patch('/api/v1/session/:id/groups/:groupId', requireScope('sessions:write'), routeToOwner(bySessionParam), async (req, res) => {
+        try {
+            if (!getTenantSession(req, req.params.id)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'SESSION_NOT_FOUND',
+                    message: 'Session not found'
+                });
+            }
+
+            const groupJid = toGroupJid(req.params.groupId);
+            if (!groupJid) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'INVALID_GROUP_ID',
+                    message: 'Group ID must look like 120363012345678901@g.us'
+                });
+            }
+
+            const { value, error } = validateGroupUpdate(req.body);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'INVALID_INPUT',
+                    message: 'Group update failed validation',
+                    details: error
+                });
+            }
+
+            const result = await whatsappService.updateGroup(req.params.id, groupJid, value);
+
+            if (!result.success) {
+                const failed = result.changes ? result.changes[0].error : result.error;
+                return res.status(GROUP_ERROR_STATUS[failed] || 502).json(result);
+            }
+
+            res.json(result);
+
+        } catch (error) {
+            logger.error('Update group error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'GROUP_ACTION_FAILED',
+                message: 'Failed to update group'
+            });
+        }
+    });
+
+    // Add, remove, promote or demote participants, with a result for each
+    app.post('/api/v1/session/:id/groups/:groupId/participants', requireScope('sessions:write'), routeToOwner(bySessionParam), async (req, res) => {
+        try {
+            if (!getTenantSession(req, req.params.id)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'SESSION_NOT_FOUND',
+                    message: 'Session not found'
+                });
+            }
+
+            const groupJid = toGroupJid(req.params.groupId);
+            if (!groupJid) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'INVALID_GROUP_ID',
+                    message: 'Group ID must look like 120363012345678901@g.us'
+                });
+            }
+
+            const { value, error } = validateParticipants(req.body);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'INVALID_INPUT',
+                    message: 'Participant update failed validation',
+                    details: error
+                });
+            }
+
+            const result = await whatsappService.updateGroupParticipants(req.params.id, groupJid, value.action, value.participants);
+
+            if (!result.success) {
+                return res.status(GROUP_ERROR_STATUS[result.error] || 502).json(result);
+            }
+
+            logger.info(`Group participants ${value.action}: ${groupJid}`, {
+                sessionId: req.params.id,
+                succeeded: result.succeeded,
+                failed: result.failed
+            });
+
+            res.json(result);
+
+        } catch (error) {
+            logger.error('Group participants error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'GROUP_ACTION_FAILED',
+                message: 'Failed to update participants'
+            });
+        }
+    });
+
+    // Current invite link; only admins can read it
+    app.get('/api/v1/session/:id/groups/:groupId/invite', requireScope('sessions:write'), routeToOwner(bySessionParam), async (req, res) => {
+        try {
+            if (!getTenantSession(req, req.params.id)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'SESSION_NOT_FOUND',
+                    message: 'Session not found'
+                });
+            }
+
+            const groupJid = toGroupJid(req.params.groupId);
+            if (!groupJid) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'INVALID_GROUP_ID',
+                    message: 'Group ID must look like 120363012345678901@g.us'
+                });
+            }
+
+            const result = await whatsappService.getGroupInvite(req.params.id, groupJid);
+
+            if (!result.success) {
+                return res.status(GROUP_ERROR_STATUS[result.error] || 502).json(result);
+            }
+
+            res.json(result);
+
+        } catch (error) {
+            logger.error('Group invite error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'GROUP_ACTION_FAILED',
+                message: 'Failed to fetch invite code'
+            });
+        }
+    });
+
+    // Revoke the invite link and return the new one
+    app.delete('/api/v1/session/:id/groups/:groupId/invite', requireScope('sessions:write'), routeToOwner(bySessionParam), async (req, res) => {
+        try {
+            if (!getTenantSession(req, req.params.id)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'SESSION_NOT_FOUND',
+                    message: 'Session not found'
+                });
+            }
+
+            const groupJid = toGroupJid(req.params.groupId);
+            if (!groupJid) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'INVALID_GROUP_ID',
+                    message: 'Group ID must look like 120363012345678901@g.us'
+                });
+            }
+
+            const result = await whatsappService.getGroupInvite(req.params.id, groupJid, { revoke: true });
+
+            if (!result.success) {
+                return res.status(GROUP_ERROR_STATUS[result.error] || 502).json(result);
+            }
+
+            logger.info(`Group invite revoked: ${groupJid}`, { sessionId: req.params.id });
+            res.json(result);
+
+        } catch (error) {
+            logger.error('Revoke group invite error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'GROUP_ACTION_FAILED',
+                message: 'Failed to revoke invite code'
+            });
+        }
+    });
+
+    app.post('/api/v1/session/:id/groups/:groupId/leave', requireScope('sessions:write'), routeToOwner(bySessionParam), async (req, res) => {
+        try {
+            if (!getTenantSession(req, req.params.id)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'SESSION_NOT_FOUND',
+                    message: 'Session not found'
+                });
+            }
+
+            const groupJid = toGroupJid(req.params.groupId);
+            if (!groupJid) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'INVALID_GROUP_ID',
+                    message: 'Group ID must look like 120363012345678901@g.us'
+                });
+            }
+
+            const result = await whatsappService.leaveGroup(req.params.id, groupJid);
+
+            if (!result.success) {
+                return res.status(GROUP_ERROR_STATUS[result.error] || 502).json(result);
+            }
+
+            logger.info(`Left group: ${groupJid}`, { sessionId: req.params.id });
+            res.json({
+                success: true,
+                message: 'Left group'
+            });
+
+        } catch (error) {
+            logger.error('Leave group error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'GROUP_ACTION_FAILED',
+                message: 'Failed to leave group'
+            });
+        }
+    });
+
+    app.get('/api/v1/session/:id/profile-picture/:jid', requireScope('sessions:read'), routeToOwner(bySessionParam), async (req, res) => {
+        try {
+            if (!getTenantSession(req, req.params.id)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'SESSION_NOT_FOUND',
+                    message: 'Session not found'
+                });
+            }
+
+            const result = await whatsappService.getProfilePicture(req.params.id, req.params.jid);
+
+            if (!result.success) {
+                return res.status(result.error === 'NOT_CONNECTED' ? 409 : 404).json(result);
+            }
+
+            res.json(result);
+
+        } catch (error) {
+            logger.error('Profile picture error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'FETCH_FAILED',
+                message: 'Failed to fetch profile picture'
+            });
+        }
+    });
+
+    // Media received by a session, newest first
+    app.get('/api/v1/session/:id/media', requireScope('sessions:read'), async (req, res) => {
+        try {
+            if (!getTenantSession(req, req.params.id)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'SESSION_NOT_FOUND',
+                    message: 'Session not found'
+                });
+            }
+
+            const media = await mediaStore.list(req.params.id);
+
+            res.json({
+                success: true,
+                count: media.length,
+                media: media
+            });
+
+        } catch (error) {
+            logger.error('List media error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'LIST_FAILED',
+                message: 'Failed to list media'
+            });
+        }
+    });
+
+    // Decrypted media of an inbound message; ?download=true, or any type but image, audio
+    // and video, serves it as an attachment
+    app.get('/api/v1/session/:id/media/:messageId', requireScope('sessions:read'), async (req, res) => {
+        try {
+            const { id: sessionId, messageId } = req.params;
+
+            const record = getTenantSession(req, sessionId) && /^[\w-]{1,128}$/.test(messageId)
+                ? await mediaStore.get(sessionId, messageId)
+                : null;
+
+            if (!record) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'MEDIA_NOT_FOUND',
+                    message: 'No media for this message'
+                });
+            }
+
+            if (record.status === 'pending') {
+                return res.status(409).json({
+                    success: false,
+                    error: 'MEDIA_PENDING',
+                    message: 'Media is still downloading'
+                });
+            }
+
+            if (record.status !== 'stored') {
+                return res.status(410).json({
+                    success: false,
+                    error: 'MEDIA_UNAVAILABLE',
+                    message: record.error,
+                    media: record
+                });
+            }
+
+            // The mimetype comes from the sender, so only plain images, audio and video are shown inline
+            const inline = req.query.download !== 'true' &&
+                INLINE_MEDIA_TYPES.test(String(record.mimetype).split(';')[0].trim().toLowerCase());
+
+            res.setHeader('Content-Type', record.mimetype);
+            res.setHeader('Content-Security-Policy', 'sandbox');
+            res.setHeader('Content-Length', record.size);
+            res.setHeader('Content-Disposition', `${inline ? 'inline' : 'attachment'}; filename="${encodeURIComponent(mediaStore.fileName(record))}"`);
+
+            mediaStore.createReadStream(sessionId, messageId)
+                .on('error', (error) => {
+                    logger.error('Media stream error:', error);
+                    res.destroy(error);
+                })
+                .pipe(res);
+
+        } catch (error) {
+            logger.error('Get media error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'MEDIA_FAILED',
+                message: 'Failed to get media'
+            });
+        }
+    });
+
+    // Current QR code for QR pairing
+    app.get('/api/v1/session/:id/qr', requireScope('sessions:read'), routeToOwner(bySessionParam), async (req, res) => {
+        try {
+            const sessionId = req.params.id;
+            const format = req.query.format || 'json';
+
+            const session = getTenantSession(req, sessionId);
+            if (!session) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'SESSION_NOT_FOUND',
+                    message: 'Session not found'
+                });
+            }
+
+            const qr = pairingStrategies.getQRCode(sessionId);
+            if (!qr) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'QR_NOT_AVAILABLE',
+                    message: 'No QR code is pending for this session'
+                });
+            }
+
+            switch (format) {
+                case 'png':
+                    res.type('png');
+                    return res.send(Buffer.from(qr.dataUrl.split(',')[1], 'base64'));
+
+                case 'svg':
+                    res.type('svg');
+                    return res.send(qr.svg);
+
+                default:
+                    return res.json({
+                        success: true,
+                        qr: qr
+                    });
+            }
+
+        } catch (error) {
+            logger.error('Get QR error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'FETCH_FAILED',
+                message: 'Failed to get QR code'
+            });
+        }
+    });
+
+    // Download session files
+    app.get('/api/v1/session/:id/download', requireScope('sessions:read'), async (req, res) => {
+        try {
+            const sessionId = req.params.id;
+            const format = req.query.format || 'zip';
+            
+            const session = getTenantSession(req, sessionId);
+            if (!session) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'SESSION_NOT_FOUND',
+                    message: 'Session not found'
+                });
+            }
+
+            const packaged = await sessionExporter.packageSessionFiles(
+                sessionId, 
+                format
+            );
+
+            if (!packaged.success) {
+                return res.status(packaged.error === 'EXPORT_FAILED' ? 500 : 400).json(packaged);
+            }
+
+            res.download(packaged.path, packaged.filename, (err) => {
+                if (err) {
+                    logger.error('Download error:', err);
+                }
+                // Cleanup temporary file
+                fs.unlink(packaged.path).catch(() => {});
+            });
+
+        } catch (error) {
+            logger.error('Download error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'DOWNLOAD_FAILED',
+                message: 'Failed to download session files'
+            });
+        }
+    });
+
+    // Get session string for bot deployments
+    app.get('/api/v1/session/:id/string', requireScope('sessions:read'), async (req, res) => {
+        try {
+            const sessionId = req.params.id;
+
+            const session = getTenantSession(req, sessionId);
+            if (!session) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'SESSION_NOT_FOUND',
+                    message: 'Session not found'
+                });
+            }
+
+            const exported = await sessionExporter.exportSessionString(sessionId);
+
+            if (!exported.success) {
+                return res.status(exported.error === 'EXPORT_FAILED' ? 500 : 400).json(exported);
+            }
+
+            res.json(exported);
+
+        } catch (error) {
+            logger.error('Session string error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'EXPORT_FAILED',
+                message: 'Failed to export session string'
+            });
+        }
+    });
+
+    // Get available pairing methods
+    app.get('/api/v1/pairing-methods', requireScope('sessions:read'), (req, res) => {
+        try {
+            const methods = pairingStrategies.getAvailableMethods();
+            const fallbacks = fallbackHandler.getAvailableFallbacks();
+            
+            res.json({
+                success: true,
+                methods: methods,
+                fallbacks: fallbacks,
+                recommendations: pairingStrategies.getRecommendations()
+            });
+
+        } catch (error) {
+            logger.error('Get methods error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'FETCH_FAILED',
+                message: 'Failed to get pairing methods'
+            });
+        }
+    });
+
+    // Backup sessions into an archive encrypted with the given password (or BACKUP_PASSWORD)
+    app.post('/api/v1/backup', requireAdmin, requireGlobalAdmin, requireScope('backup:admin'), async (req, res) => {
+        try {
+            const { password } = req.body;
+            
+            const backupResult = await backupSystem.createBackup(password);
+            
+            if (!backupResult.success) {
+                const status = ['PASSWORD_REQUIRED', 'WEAK_PASSWORD'].includes(backupResult.error) ? 400 : 500;
+                return res.status(status).json(backupResult);
+            }
+            
+            res.status(201).json({
+                success: true,
+                backup: backupResult.backup,
+                message: 'Backup created successfully'
+            });
+
+        } catch (error) {
+            logger.error('Backup error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'BACKUP_FAILED',
+                message: 'Failed to create backup'
+            });
+        }
+    });
+
+    // Backups on this server, newest first
+    app.get('/api/v1/backups', requireAdmin, requireGlobalAdmin, requireScope('backup:admin'), async (req, res) => {
+        try {
+            const backups = await backupSystem.listBackups();
+
+            res.json({
+                success: true,
+                backups: backups,
+                retentionDays: backupSystem.retentionDays
+            });
+
+        } catch (error) {
+            logger.error('List backups error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'LIST_FAILED',
+                message: 'Failed to list backups'
+            });
+        }
+    });
+
+    // A backup's manifest: sessions, files and checksums, and whether the archive is intact
+    app.get('/api/v1/backups/:backupId', requireAdmin, requireGlobalAdmin, requireScope('backup:admin'), async (req, res) => {
+        try {
+            const backup = await backupSystem.describeBackup(req.params.backupId);
+
+            if (!backup) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'BACKUP_NOT_FOUND',
+                    message: 'Backup not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                backup: backup
+            });
+
+        } catch (error) {
+            logger.error('Describe backup error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'FETCH_FAILED',
+                message: 'Failed to read backup'
+            });
+        }
+    });
+
+    app.delete('/api/v1/backups/:backupId', requireAdmin, requireGlobalAdmin, requireScope('backup:admin'), async (req, res) => {
+        try {
+            const result = await backupSystem.deleteBackup(req.params.backupId);
+
+            if (!result.success) {
+                return res.status(result.error === 'BACKUP_NOT_FOUND' ? 404 : 409).json(result);
+            }
+
+            logger.info(`Backup deleted: ${req.params.backupId}`);
+
+            res.json({
+                success: true,
+                message: 'Backup deleted successfully'
+            });
+
+        } catch (error) {
+            logger.error('Delete backup error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'DELETE_FAILED',
+                message: 'Failed to delete backup'
+            });
+        }
+    });
+
+    // Restore from an uploaded backup (multipart backupFile) or a stored one (backupId).
+    // dryRun=true only reports the plan; conflict picks skip, overwrite or rename for sessions
+    // that already exist, conflicts overrides it per session, sessions restricts the restore
+    app.post('/api/v1/restore', requireAdmin, requireGlobalAdmin, requireScope('backup:admin'), upload.single('backupFile'), async (req, res) => {
+        try {
+            const { backupId, password } = req.body;
+            
+            if (!req.file && !backupId) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'NO_FILE',
+                    message: 'Upload a backupFile or name a stored backupId'
+                });
+            }
+
+            let conflicts = req.body.conflicts || {};
+            if (typeof conflicts === 'string') {
+                try {
+                    conflicts = JSON.parse(conflicts);
+                } catch (error) {
+                    conflicts = null;
+                }
+            }
+
+            const conflict = req.body.conflict || 'skip';
+            const policies = Object.values(conflicts || {}).concat(conflict);
+
+            if (!conflicts || typeof conflicts !== 'object' || policies.some(policy => !BackupSystem.RESTORE_POLICIES.includes(policy))) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'INVALID_INPUT',
+                    message: `conflict and conflicts must use ${BackupSystem.RESTORE_POLICIES.join(', ')}`
+                });
+            }
+
+            // Multipart fields arrive as strings, so accept "a,b" as well as arrays
+            const sessions = Array.isArray(req.body.sessions)
+                ? req.body.sessions
+                : String(req.body.sessions || '').split(',').map(id => id.trim()).filter(Boolean);
+
+            const options = {
+                dryRun: req.body.dryRun === true || req.body.dryRun === 'true',
+                conflict: conflict,
+                conflicts: conflicts,
+                sessions: sessions
+            };
+
+            const restoreResult = req.file
+                ? await backupSystem.restoreBackup(req.file.path, password, options)
+                : await backupSystem.restoreStoredBackup(backupId, password, options);
+
+            if (!restoreResult.success) {
+                const status = restoreResult.error === 'BACKUP_NOT_FOUND' ? 404
+                    : restoreResult.error === 'SESSION_BUSY' ? 409
+                    : restoreResult.error === 'SESSION_QUOTA_EXCEEDED' ? 429
+                    : restoreResult.error === 'RESTORE_FAILED' ? 500 : 400;
+                return res.status(status).json(restoreResult);
+            }
+
+            if (!options.dryRun) {
+                logger.info(`Backup restored: ${restoreResult.backup.id}`, {
+                    sessions: restoreResult.sessions.map(session => `${session.id}:${session.action}`)
+                });
+            }
+
+            res.json({
+                ...restoreResult,
+                message: options.dryRun ? 'Dry run, nothing was changed' : 'Backup restored successfully'
+            });
+
+        } catch (error) {
+            logger.error('Restore error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'RESTORE_FAILED',
                 message: 'Failed to restore backup'
             });
+        } finally {
+            if (req.file) {
+                fs.remove(req.file.path).catch(() => {});
+            }
         }
     });
 
-    // System statistics
-    app.get('/api/v1/stats', (req, res) => {
+    // System statistics; tenant-bound keys only get their own tenant's figures
+    app.get('/api/v1/stats', requireScope('stats:read'), async (req, res) => {
         try {
+            const tenant = req.apiKey.tenant;
+
             const stats = {
                 system: {
                     uptime: process.uptime(),
@@ -559,16 +2176,33 @@ if (cluster.isMaster && process.env.NODE_ENV === 'production') {
                     platform: process.platform,
                     version: process.version
                 },
-                whatsapp: whatsappService.getStats(),
-                sessions: sessionManager.getStats(),
-                pairing: pairingStrategies.getStats(),
-                fallbacks: fallbackHandler.getStats(),
-                storage: {
-                    sessions: whatsappService.getStorageStats(),
-                    backups: backupSystem.getStats()
-                }
+                whatsapp: tenant
+                    ? whatsappService.getStats(sessionManager.getAllSessions({ tenant }).map(session => session.id))
+                    : whatsappService.getStats(),
+                sessions: sessionManager.getStats(tenant),
+                tenants: tenant
+                    ? [{ ...tenantManager.getTenant(tenant), usage: await tenantManager.getUsage(tenant) }]
+                    : await tenantManager.listTenants()
             };
 
+            // These cover every session on the server, so only global keys see them
+            if (!tenant) {
+                Object.assign(stats, {
+                    cluster: coordinator.getStatus(),
+                    resume: whatsappService.getResumeStatus(),
+                    queue: queueProcessor.getStats(),
+                    webhooks: webhookManager.getStats(),
+                    pairing: pairingStrategies.getStats(),
+                    fallbacks: fallbackHandler.getStats(),
+                    storage: {
+                        sessions: await whatsappService.getStorageStats(),
+                        media: await mediaStore.getStats(),
+                        messages: await messageStore.getStats(),
+                        backups: await backupSystem.getStats()
+                    }
+                });
+            }
+
             res.json({
                 success: true,
                 stats: stats,
@@ -589,8 +2223,13 @@ if (cluster.isMaster && process.env.NODE_ENV === 'production') {
     const WebSocket = require('ws');
     const wss = new WebSocket.Server({ noServer: true });
 
-    wss.on('connection', (ws) => {
+    // Clients subscribed to each session's pairing progress
+    const subscriptions = new Map();
+
+    wss.on('connection', (ws, request) => {
         logger.info('WebSocket client connected');
+        ws.apiKey = request.apiKey;
+        ws.subscriptions = new Set();
         
         ws.on('message', (message) => {
             try {
@@ -598,7 +2237,23 @@ if (cluster.isMaster && process.env.NODE_ENV === 'production') {
                 
                 switch(data.type) {
                     case 'subscribe':
-                        // Subscribe to session updates
+                        const session = data.sessionId && sessionManager.getSession(data.sessionId);
+                        
+                        if (!session || !canAccessSession(ws.apiKey, session)) {
+                            ws.send(JSON.stringify({
+                                type: 'error',
+                                error: 'SESSION_NOT_FOUND',
+                                sessionId: data.sessionId
+                            }));
+                            break;
+                        }
+                        
+                        subscribe(ws, data.sessionId);
+                        ws.send(JSON.stringify({ type: 'subscribed', sessionId: data.sessionId }));
+                        break;
+                    case 'unsubscribe':
+                        unsubscribe(ws, data.sessionId);
+                        ws.send(JSON.stringify({ type: 'unsubscribed', sessionId: data.sessionId }));
                         break;
                     case 'ping':
                         ws.send(JSON.stringify({ type: 'pong' }));
@@ -610,31 +2265,97 @@ if (cluster.isMaster && process.env.NODE_ENV === 'production') {
         });
 
         ws.on('close', () => {
+            ws.subscriptions.forEach(sessionId => unsubscribe(ws, sessionId));
             logger.info('WebSocket client disconnected');
         });
     });
 
+    function subscribe(ws, sessionId) {
+        if (!subscriptions.has(sessionId)) {
+            subscriptions.set(sessionId, new Set());
+        }
+        subscriptions.get(sessionId).add(ws);
+        ws.subscriptions.add(sessionId);
+    }
+
+    function unsubscribe(ws, sessionId) {
+        const subscribers = subscriptions.get(sessionId);
+        if (subscribers) {
+            subscribers.delete(ws);
+            if (subscribers.size === 0) {
+                subscriptions.delete(sessionId);
+            }
+        }
+        ws.subscriptions.delete(sessionId);
+    }
+
     // Broadcast function
-    function broadcast(data) {
-        wss.clients.forEach(client => {
+    // Push an event to the clients watching one session
+    function broadcastToSession(sessionId, data) {
+        const subscribers = subscriptions.get(sessionId);
+        if (!subscribers) return;
+        
+        subscribers.forEach(client => {
             if (client.readyState === WebSocket.OPEN) {
                 client.send(JSON.stringify(data));
             }
         });
     }
 
+    sessionManager.onUpdate((type, data) => {
+        broadcastToSession(data.sessionId, {
+            type: type,
+            sessionId: data.sessionId,
+            data: data,
+            timestamp: new Date().toISOString()
+        });
+    });
+
     // HTTP upgrade for WebSocket
     const server = app.listen(PORT, () => {
-        console.log(`🚀 Worker ${process.pid} running on port ${PORT}`);
-        console.log(`📱 WhatsApp Session Generator v4.0`);
-        console.log(`🔗 http://localhost:${PORT}`);
-        console.log(`📊 Health: http://localhost:${PORT}/health`);
+        logger.info(`🚀 Worker ${process.pid} running on port ${PORT}`);
+        logger.info(`📱 WhatsApp Session Generator v4.0`);
+        logger.info(`🔗 http://localhost:${PORT}`);
+        logger.info(`📊 Health: http://localhost:${PORT}/health`);
         
         // Start periodic tasks
         startPeriodicTasks();
+        
+        // Send queued messages through the sessions this worker holds
+        queueProcessor.start();
+        
+        // Bring linked sessions back online after a restart
+        whatsappService.resumeSessions().catch(error => {
+            logger.error('Session resume error:', error);
+        });
     });
 
-    server.on('upgrade', (request, socket, head) => {
+    let internalServer = null;
+    if (coordinator.clustered) {
+        internalServer = app.listen(internalPort, '127.0.0.1', () => {
+            coordinator.setAddress(`http://127.0.0.1:${internalPort}`);
+            logger.info(`🔀 Worker ${coordinator.workerId} accepting proxied session requests on ${internalPort}`);
+        });
+    }
+
+    server.on('upgrade', async (request, socket, head) => {
+        // Browsers cannot set headers on WebSocket requests, so accept ?apiKey= too
+        request.apiKey = { id: 'anonymous', type: 'admin', tenant: null, scopes: ApiKeyManager.SCOPES };
+
+        if (apiKeyManager.enabled) {
+            const url = new URL(request.url, `http://${request.headers.host}`);
+            const key = url.searchParams.get('apiKey') || apiKeyManager.extractKey(request);
+            const apiKey = await apiKeyManager.verifyKey(key).catch(() => null);
+
+            if (!apiKey || !apiKey.scopes.includes('sessions:read')) {
+                socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+                socket.destroy();
+                return;
+            }
+
+            request.apiKey = apiKey;
+        }
+
         wss.handleUpgrade(request, socket, head, (ws) => {
             wss.emit('connection', ws, request);
         });
@@ -654,24 +2375,37 @@ if (cluster.isMaster && process.env.NODE_ENV === 'production') {
             }
         }, 60 * 60 * 1000);
 
-        // Backup every 24 hours
+        // Trim the webhook delivery logs of the sessions this worker holds
         setInterval(async () => {
-            try {
-                await backupSystem.autoBackup();
-            } catch (error) {
-                logger.error('Auto backup error:', error);
+            for (const sessionId of whatsappService.connections.keys()) {
+                try {
+                    await webhookManager.prune(sessionId);
+                } catch (error) {
+                    logger.error(`Webhook log prune error for ${sessionId}:`, error);
+                }
             }
-        }, 24 * 60 * 60 * 1000);
+        }, 60 * 60 * 1000);
+
+        // Full and incremental backups on BACKUP_SCHEDULE / BACKUP_INCREMENTAL_SCHEDULE
+        backupSystem.startSchedules();
 
-        // Health check every 5 minutes
+        // Health check every 5 minutes; each client only counts its own tenant's sessions
         setInterval(() => {
-            const health = {
-                timestamp: new Date().toISOString(),
-                status: 'running',
-                sessions: sessionManager.getStats().total,
-                memory: process.memoryUsage().heapUsed / 1024 / 1024
-            };
-            broadcast({ type: 'health', data: health });
+            const memory = process.memoryUsage().heapUsed / 1024 / 1024;
+
+            wss.clients.forEach(client => {
+                if (client.readyState !== WebSocket.OPEN) return;
+
+                client.send(JSON.stringify({
+                    type: 'health',
+                    data: {
+                        timestamp: new Date().toISOString(),
+                        status: 'running',
+                        sessions: sessionManager.getStats(client.apiKey ? client.apiKey.tenant : null).total,
+                        memory: memory
+                    }
+                }));
+            });
         }, 5 * 60 * 1000);
     }
 
@@ -680,23 +2414,37 @@ if (cluster.isMaster && process.env.NODE_ENV === 'production') {
     process.on('SIGINT', gracefulShutdown);
 
     async function gracefulShutdown() {
-        console.log('🛑 Received shutdown signal');
+        logger.info('🛑 Received shutdown signal');
+        
+        // Finish in-flight sends before the sockets go
+        await queueProcessor.stop();
         
         // Disconnect all WhatsApp sessions
         await whatsappService.disconnectAll();
+        await messageStore.close();
+        
+        // Optional last incremental backup, once per cluster
+        if (process.env.BACKUP_ON_SHUTDOWN === 'true') {
+            await backupSystem.runScheduled('shutdown');
+        }
+        await backupSystem.close();
         
-        // Create final backup
-        await backupSystem.createBackup('shutdown_' + Date.now());
+        // Let another worker take over this worker's sessions
+        await coordinator.close();
+        await webhookManager.close();
+        if (internalServer) {
+            internalServer.close();
+        }
         
         // Close server
         server.close(() => {
-            console.log('✅ Server closed');
+            logger.info('✅ Server closed');
             process.exit(0);
         });
 
         // Force exit after 10 seconds
         setTimeout(() => {
-            console.log('⚠️ Forcing shutdown');
+            logger.warn('⚠️ Forcing shutdown');
             process.exit(1);
         }, 10000);
     }
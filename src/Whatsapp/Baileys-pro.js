@@ -1,48 +1,53 @@
 const { 
     default: makeWASocket, 
-    useMultiFileAuthState,
     DisconnectReason,
     fetchLatestBaileysVersion,
     makeCacheableSignalKeyStore,
+    downloadMediaMessage,
     proto
 } = require('@whiskeysockets/baileys');
-const P = require('pino');
 const fs = require('fs-extra');
 const path = require('path');
-const NodeCache = require('node-cache');
 const WebSocket = require('ws');
+const { useEncryptedAuthState } = require('./encrypted-auth-state');
+const ReconnectPolicy = require('./reconnect-policy');
+const logger = require('../utils/logger').child({ module: 'baileys-pro' });
+const metrics = require('../utils/metrics');
 
 class BaileysPro {
     constructor(options = {}) {
         this.options = {
             sessionId: options.sessionId || 'default',
             phoneNumber: options.phoneNumber,
-            logger: P({ level: options.logLevel || 'silent' }),
+            // Baileys' own logs go through the app logger (and its redaction), quiet unless asked for
+            logger: logger.pino.child({ module: 'baileys', sessionId: options.sessionId }, { level: options.logLevel || 'silent' }),
             browser: ['Abdullah-Md Pro', 'Chrome', '121.0.0.0'],
             version: options.version || [2, 2413, 1],
             syncFullHistory: false,
             generateHighQualityLinkPreview: true,
             emitOwnEvents: true,
             defaultQueryTimeoutMs: 0,
-            maxRetries: 3,
-            retryDelay: 5000,
             ...options
         };
 
         this.sessionId = this.options.sessionId;
         this.phoneNumber = this.options.phoneNumber;
+        this.logger = logger.child({ sessionId: this.sessionId });
         this.sock = null;
         this.state = null;
         this.saveCreds = null;
         this.isConnecting = false;
         this.isConnected = false;
-        this.retryCount = 0;
+        this.isClosing = false;
+        this.isQuarantined = false;
+        this.lastQR = null;
         
-        // Cache for messages and contacts
-        this.cache = new NodeCache({ 
-            stdTTL: 300,
-            checkperiod: 60 
-        });
+        // Backoff and circuit breaker for unexpected disconnects
+        this.reconnectPolicy = options.reconnectPolicy || new ReconnectPolicy(options.reconnect);
+        this.reconnectTimer = null;
+        
+        // Persistent messages, chats and contacts; also answers Baileys' getMessage
+        this.messageStore = options.messageStore || null;
         
         // Event listeners
         this.listeners = new Map();
@@ -60,21 +65,22 @@ class BaileysPro {
 
     async initialize() {
         try {
-            console.log(`🔄 Initializing BaileysPro for session: ${this.sessionId}`);
-            
-            // Create session directory
-            const sessionDir = path.join(__dirname, '../../sessions', this.sessionId);
-            await fs.ensureDir(sessionDir);
+            this.logger.info('🔄 Initializing BaileysPro');
+            this.isClosing = false;
             
-            // Load or create auth state
-            const { state, saveCreds } = await useMultiFileAuthState(sessionDir);
+            // Load or create auth state (encrypted at rest with ENCRYPTION_KEY, kept in STORAGE_BACKEND)
+            const { state, saveCreds } = await useEncryptedAuthState(this.sessionId);
             this.state = state;
             this.saveCreds = saveCreds;
             
+            if (this.messageStore) {
+                await this.messageStore.openSession(this.sessionId);
+            }
+            
             // Fetch latest version if needed
             const { version, isLatest } = await fetchLatestBaileysVersion();
             if (!isLatest) {
-                console.log(`📦 Using WhatsApp Web version: ${version.join('.')}`);
+                this.logger.info(`📦 Using WhatsApp Web version: ${version.join('.')}`);
                 this.options.version = version;
             }
             
@@ -84,26 +90,30 @@ class BaileysPro {
                 auth: {
                     creds: state.creds,
                     keys: makeCacheableSignalKeyStore(state.keys, this.options.logger)
-                }
+                },
+                getMessage: (key) => this.getMessage(key)
             });
             
             // Setup event handlers
             this.setupEventHandlers();
             
-            console.log(`✅ BaileysPro initialized for ${this.phoneNumber}`);
+            this.logger.info('✅ BaileysPro initialized', { phone: this.phoneNumber });
             return { success: true, sessionId: this.sessionId };
             
         } catch (error) {
-            console.error('❌ BaileysPro initialization failed:', error);
+            this.logger.error('❌ BaileysPro initialization failed:', error);
             throw error;
         }
     }
 
     setupEventHandlers() {
         if (!this.sock) return;
+        
+        const sock = this.sock;
 
-        // Connection updates
-        this.sock.ev.on('connection.update', (update) => {
+        // Connection updates; a socket we already replaced may still report its close
+        sock.ev.on('connection.update', (update) => {
+            if (sock !== this.sock) return;
             this.handleConnectionUpdate(update);
         });
 
@@ -129,11 +139,28 @@ class BaileysPro {
             this.handleContactsUpdate(updates);
         });
 
+        this.sock.ev.on('contacts.upsert', (contacts) => {
+            this.handleContactsUpdate(contacts);
+        });
+
         // Chats update
         this.sock.ev.on('chats.update', (updates) => {
             this.handleChatsUpdate(updates);
         });
 
+        this.sock.ev.on('chats.upsert', (chats) => {
+            this.handleChatsUpdate(chats);
+        });
+
+        this.sock.ev.on('chats.delete', (ids) => {
+            this.persist('deleteChats', ids);
+        });
+
+        // Chats, contacts and recent messages sent by the phone after linking
+        this.sock.ev.on('messaging-history.set', (history) => {
+            this.handleHistorySet(history);
+        });
+
         // Presence update
         this.sock.ev.on('presence.update', (update) => {
             this.handlePresenceUpdate(update);
@@ -143,21 +170,41 @@ class BaileysPro {
         this.sock.ev.on('groups.update', (updates) => {
             this.handleGroupsUpdate(updates);
         });
+
+        // Members added, removed, promoted or demoted
+        this.sock.ev.on('group-participants.update', (update) => {
+            this.emit('groupParticipantsUpdate', {
+                sessionId: this.sessionId,
+                update: update
+            });
+        });
     }
 
     handleConnectionUpdate(update) {
-        const { connection, lastDisconnect } = update;
+        const { connection, lastDisconnect, qr } = update;
+        
+        this.logger.debug(`🔌 Connection update: ${connection}`);
         
-        console.log(`🔌 Connection update: ${connection}`);
+        // A QR is only issued once the socket is ready to be linked
+        if (qr) {
+            this.lastQR = qr;
+            this.emit('qr', {
+                sessionId: this.sessionId,
+                qr: qr,
+                timestamp: new Date()
+            });
+        }
         
         if (connection === 'open') {
+            this.lastQR = null;
             this.isConnected = true;
             this.isConnecting = false;
-            this.retryCount = 0;
+            this.reconnectPolicy.recordSuccess();
             this.stats.connectedAt = new Date();
             this.stats.reconnects++;
+            metrics.connects.inc();
             
-            console.log(`✅ WhatsApp connected successfully!`);
+            this.logger.info(`✅ WhatsApp connected successfully!`);
             this.emit('connected', {
                 sessionId: this.sessionId,
                 phoneNumber: this.phoneNumber,
@@ -167,55 +214,61 @@ class BaileysPro {
         
         if (connection === 'close') {
             this.isConnected = false;
+            this.isConnecting = false;
+            this.lastQR = null;
             this.stats.disconnectedAt = new Date();
             
             const statusCode = lastDisconnect?.error?.output?.statusCode;
-            const shouldReconnect = statusCode !== DisconnectReason.loggedOut;
+            const decision = this.isClosing
+                ? { action: 'closed' }
+                : this.reconnectPolicy.decide(statusCode);
             
-            console.log(`🔌 Connection closed. Status: ${statusCode}, Should reconnect: ${shouldReconnect}`);
+            this.logger.info(`🔌 Connection closed. Status: ${statusCode}, Action: ${decision.action}`);
+            metrics.disconnects.inc({
+                reason: this.isClosing ? 'closed' : (DisconnectReason[statusCode] || 'unknown')
+            });
             
-            if (shouldReconnect && this.retryCount < this.options.maxRetries) {
-                this.retryCount++;
-                console.log(`🔄 Attempting reconnect ${this.retryCount}/${this.options.maxRetries}...`);
-                
-                setTimeout(() => {
-                    this.reconnect();
-                }, this.options.retryDelay);
-            } else if (statusCode === DisconnectReason.loggedOut) {
-                console.log(`🚫 Logged out from WhatsApp`);
-                this.emit('loggedOut', {
-                    sessionId: this.sessionId,
-                    reason: 'logged_out'
-                });
-            }
+            this.applyDecision(decision, statusCode);
             
             this.emit('disconnected', {
                 sessionId: this.sessionId,
                 reason: lastDisconnect?.error?.message,
-                statusCode: statusCode
+                statusCode: statusCode,
+                action: decision.action
             });
         }
         
         if (connection === 'connecting') {
             this.isConnecting = true;
-            console.log(`🔄 Connecting to WhatsApp...`);
+            this.logger.info(`🔄 Connecting to WhatsApp...`);
+            
+            this.emit('connecting', {
+                sessionId: this.sessionId,
+                timestamp: new Date()
+            });
         }
     }
 
     handleMessagesUpsert(m) {
         const { messages, type } = m;
         
+        // Our own messages too, so they can be quoted and retried later
+        this.persist('upsertMessages', messages);
+        
         messages.forEach(message => {
             // Skip if message is from the bot itself
             if (message.key.fromMe) return;
             
             this.stats.messagesReceived++;
+
+            // History sync ('append') would count old messages again on every relink
+            if (type === 'notify') {
+                metrics.messagesReceived.inc();
+            }
             
-            // Cache message
-            const messageId = message.key.id;
-            this.cache.set(`message_${messageId}`, message, 3600);
-            
-            console.log(`📨 New message from ${message.key.remoteJid}: ${message.message?.conversation || '[media]'}`);
+            // Never the text itself, only what kind of message arrived
+            const content = message.message ? Object.keys(message.message)[0] : 'empty';
+            this.logger.debug(`📨 New ${content} message`, { jid: message.key.remoteJid });
             
             this.emit('message', {
                 sessionId: this.sessionId,
@@ -226,27 +279,24 @@ class BaileysPro {
     }
 
     handleMessagesUpdate(m) {
+        // Receipts, edits and deletions, applied to the stored copies
+        this.persist('updateMessages', m.filter(update => update.update));
+        
         m.forEach(update => {
             if (update.update) {
-                const messageId = update.key.id;
-                const cached = this.cache.get(`message_${messageId}`);
-                
-                if (cached) {
-                    // Update cached message
-                    Object.assign(cached, update.update);
-                    this.cache.set(`message_${messageId}`, cached);
-                    
-                    this.emit('messageUpdate', {
-                        sessionId: this.sessionId,
-                        messageId: messageId,
-                        update: update.update
-                    });
-                }
+                this.emit('messageUpdate', {
+                    sessionId: this.sessionId,
+                    messageId: update.key.id,
+                    key: update.key,
+                    update: update.update
+                });
             }
         });
     }
 
     handleContactsUpdate(updates) {
+        this.persist('upsertContacts', updates);
+        
         updates.forEach(update => {
             this.emit('contactUpdate', {
                 sessionId: this.sessionId,
@@ -256,6 +306,8 @@ class BaileysPro {
     }
 
     handleChatsUpdate(updates) {
+        this.persist('updateChats', updates);
+        
         updates.forEach(update => {
             this.emit('chatUpdate', {
                 sessionId: this.sessionId,
@@ -264,6 +316,14 @@ class BaileysPro {
         });
     }
 
+    handleHistorySet({ chats, contacts, messages, isLatest }) {
+        this.logger.info(`📚 History sync: ${chats.length} chats, ${contacts.length} contacts, ${messages.length} messages${isLatest ? ' (latest)' : ''}`);
+
+        this.persist('updateChats', chats);
+        this.persist('upsertContacts', contacts);
+        this.persist('upsertMessages', messages);
+    }
+
     handlePresenceUpdate(update) {
         this.emit('presenceUpdate', {
             sessionId: this.sessionId,
@@ -280,22 +340,175 @@ class BaileysPro {
         });
     }
 
+    // Feed the message store; a failed write must not break event handling
+    persist(method, data) {
+        if (!this.messageStore) return;
+
+        this.messageStore[method](this.sessionId, data).catch(error => {
+            this.logger.error(`❌ Message store ${method} failed:`, error);
+        });
+    }
+
+    // Baileys asks for messages it has to re-encrypt when a recipient requests a retry
+    async getMessage(key) {
+        if (!this.messageStore) return undefined;
+
+        const stored = await this.messageStore.getMessage(this.sessionId, key);
+        return stored ? stored.message : undefined;
+    }
+
+    applyDecision(decision, statusCode) {
+        switch (decision.action) {
+            case 'reconnect':
+                if (decision.circuitOpened) {
+                    this.logger.warn(`⛔ Circuit open after ${decision.attempt} failed attempts`);
+                    this.emit('circuitOpen', {
+                        sessionId: this.sessionId,
+                        attempts: decision.attempt,
+                        retryIn: decision.delay
+                    });
+                }
+                
+                this.scheduleReconnect(decision);
+                break;
+                
+            case 'replaced':
+                // Another client owns the session now; reconnecting would just kick it off again
+                this.logger.warn('🔀 Session was opened elsewhere, not reconnecting');
+                this.emit('replaced', {
+                    sessionId: this.sessionId,
+                    statusCode: statusCode
+                });
+                break;
+                
+            case 'quarantine':
+                this.logger.warn('🧪 Bad auth state, quarantining');
+                this.isQuarantined = true;
+                this.emit('quarantined', {
+                    sessionId: this.sessionId,
+                    statusCode: statusCode
+                });
+                break;
+                
+            case 'logged_out':
+                this.logger.info(`🚫 Logged out from WhatsApp`);
+                this.emit('loggedOut', {
+                    sessionId: this.sessionId,
+                    reason: 'logged_out',
+                    statusCode: statusCode
+                });
+                break;
+        }
+    }
+
+    scheduleReconnect(decision) {
+        clearTimeout(this.reconnectTimer);
+        
+        this.logger.info(`🔄 Reconnect attempt ${decision.attempt} in ${decision.delay}ms (circuit ${decision.circuit})`);
+        this.emit('reconnecting', {
+            sessionId: this.sessionId,
+            attempt: decision.attempt,
+            delay: decision.delay,
+            circuit: decision.circuit
+        });
+        
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.reconnect();
+        }, decision.delay);
+    }
+
+    // Replace the socket without logging out, so the device stays linked
     async reconnect() {
+        if (this.isClosing) return;
+        
         try {
-            if (this.isConnecting) return;
-            
-            console.log(`🔄 Reconnecting BaileysPro...`);
-            await this.disconnect();
+            this.logger.info(`🔄 Reconnecting BaileysPro...`);
+            this.reconnectPolicy.beforeAttempt();
+            this.endSocket();
             await this.initialize();
             
         } catch (error) {
-            console.error('❌ Reconnection failed:', error);
+            this.logger.error('❌ Reconnection failed:', error);
             this.stats.errors++;
+            this.applyDecision(this.reconnectPolicy.recordFailure());
+        }
+    }
+
+    endSocket() {
+        if (!this.sock) return;
+        
+        const sock = this.sock;
+        this.sock = null;
+        this.isConnected = false;
+        this.isConnecting = false;
+        
+        sock.end(undefined);
+    }
+
+    waitForQR(timeout = 30000) {
+        if (this.lastQR) {
+            return Promise.resolve(this.lastQR);
+        }
+        
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.off('qr', onQR);
+                reject(new Error('Timed out waiting for WhatsApp to accept pairing'));
+            }, timeout);
+            
+            const onQR = (data) => {
+                clearTimeout(timer);
+                this.off('qr', onQR);
+                resolve(data.qr);
+            };
+            
+            this.on('qr', onQR);
+        });
+    }
+
+    async requestPairingCode(phoneNumber) {
+        if (!this.sock) {
+            throw new Error('Socket not initialized');
+        }
+        
+        if (this.state?.creds?.registered) {
+            throw new Error('Session is already linked to a device');
+        }
+        
+        // Pairing codes can only be requested after the handshake completes
+        await this.waitForQR();
+        
+        const number = String(phoneNumber || this.phoneNumber).replace(/\D/g, '');
+        const code = await this.sock.requestPairingCode(number);
+        
+        this.logger.info('🔑 Pairing code requested');
+        return code;
+    }
+
+    async close() {
+        try {
+            this.isClosing = true;
+            clearTimeout(this.reconnectTimer);
+            
+            // End the socket without unlinking the device
+            this.endSocket();
+            
+            if (this.messageStore) {
+                await this.messageStore.closeSession(this.sessionId);
+            }
+            
+        } catch (error) {
+            this.logger.error('❌ Close failed:', error);
         }
     }
 
+    // Logs out, which unlinks the device from the phone
     async disconnect() {
         try {
+            this.isClosing = true;
+            clearTimeout(this.reconnectTimer);
+            
             if (this.sock) {
                 await this.sock.logout();
                 this.sock = null;
@@ -304,10 +517,10 @@ class BaileysPro {
             this.isConnected = false;
             this.isConnecting = false;
             
-            console.log(`✅ Disconnected BaileysPro`);
+            this.logger.info(`✅ Disconnected BaileysPro`);
             
         } catch (error) {
-            console.error('❌ Disconnect failed:', error);
+            this.logger.error('❌ Disconnect failed:', error);
         }
     }
 
@@ -319,46 +532,53 @@ class BaileysPro {
             
             let message;
             
-            // Handle different content types
+            // Handle different content types; media arrives as a Buffer from WhatsAppService.fetchMedia
             if (typeof content === 'string') {
                 // Text message
                 message = { text: content };
+            } else if (content.text) {
+                message = { text: content.text };
             } else if (content.image) {
                 // Image message
                 message = {
-                    image: { url: content.image },
+                    image: content.image,
                     caption: content.caption,
                     mimetype: content.mimetype
                 };
             } else if (content.document) {
                 // Document message
                 message = {
-                    document: { url: content.document },
+                    document: content.document,
                     mimetype: content.mimetype,
                     fileName: content.fileName
                 };
             } else if (content.audio) {
                 // Audio message
                 message = {
-                    audio: { url: content.audio },
+                    audio: content.audio,
                     mimetype: content.mimetype
                 };
             } else if (content.video) {
                 // Video message
                 message = {
-                    video: { url: content.video },
+                    video: content.video,
                     caption: content.caption,
                     mimetype: content.mimetype
                 };
             } else if (content.sticker) {
                 // Sticker message
                 message = {
-                    sticker: { url: content.sticker }
+                    sticker: content.sticker
                 };
             } else if (content.location) {
                 // Location message
                 message = {
-                    location: content.location
+                    location: {
+                        degreesLatitude: content.location.latitude,
+                        degreesLongitude: content.location.longitude,
+                        name: content.location.name,
+                        address: content.location.address
+                    }
                 };
             } else if (content.contact) {
                 // Contact message
@@ -373,13 +593,25 @@ class BaileysPro {
                 };
             }
             
+            if (!message) {
+                throw new Error('Unsupported message content');
+            }
+            
+            // Mentions are part of the message; Baileys ignores them in the send options
+            if (content.mentions) {
+                message.mentions = content.mentions;
+            }
+            
             const sent = await this.sock.sendMessage(to, message, {
                 quoted: options.quoted,
-                mentions: options.mentions,
                 ephemeralExpiration: options.expiresIn
             });
             
             this.stats.messagesSent++;
+            metrics.messagesSent.inc();
+            
+            // Keep it so later messages can quote it
+            this.persist('upsertMessages', [sent]);
             
             this.emit('messageSent', {
                 sessionId: this.sessionId,
@@ -395,7 +627,7 @@ class BaileysPro {
             };
             
         } catch (error) {
-            console.error('❌ Send message failed:', error);
+            this.logger.error('❌ Send message failed:', error);
             this.stats.errors++;
             
             return {
@@ -420,16 +652,22 @@ class BaileysPro {
         }
     }
 
-    async getChats(limit = 50) {
+    // Served from the message store; Baileys has no call to fetch the chat list
+    async getChats(options = {}) {
         try {
-            const chats = await this.sock.fetchRecentChats(limit);
+            if (!this.messageStore) {
+                return { success: false, error: 'No message store configured' };
+            }
+
+            const { chats, total } = await this.messageStore.listChats(this.sessionId, options);
             return {
                 success: true,
                 chats: chats,
-                count: Object.keys(chats).length
+                count: chats.length,
+                total: total
             };
         } catch (error) {
-            console.error('❌ Get chats failed:', error);
+            this.logger.error('❌ Get chats failed:', error);
             return {
                 success: false,
                 error: error.message
@@ -437,16 +675,21 @@ class BaileysPro {
         }
     }
 
-    async getContacts() {
+    async getContacts(options = {}) {
         try {
-            const contacts = await this.sock.fetchContacts();
+            if (!this.messageStore) {
+                return { success: false, error: 'No message store configured' };
+            }
+
+            const { contacts, total } = await this.messageStore.listContacts(this.sessionId, options);
             return {
                 success: true,
                 contacts: contacts,
-                count: contacts.length
+                count: contacts.length,
+                total: total
             };
         } catch (error) {
-            console.error('❌ Get contacts failed:', error);
+            this.logger.error('❌ Get contacts failed:', error);
             return {
                 success: false,
                 error: error.message
@@ -463,7 +706,7 @@ class BaileysPro {
                 count: Object.keys(groups).length
             };
         } catch (error) {
-            console.error('❌ Get groups failed:', error);
+            this.logger.error('❌ Get groups failed:', error);
             return {
                 success: false,
                 error: error.message
@@ -471,21 +714,136 @@ class BaileysPro {
         }
     }
 
+    // Group administration; failures carry WhatsApp's status code (401, 403, 404...)
+    groupError(action, error) {
+        this.logger.error(`❌ ${action} failed:`, error);
+        return {
+            success: false,
+            error: error.message,
+            statusCode: error.output?.statusCode || null
+        };
+    }
+
+    async getGroupMetadata(jid) {
+        try {
+            return { success: true, group: await this.sock.groupMetadata(jid) };
+        } catch (error) {
+            return this.groupError('Get group metadata', error);
+        }
+    }
+
+    async createGroup(subject, participants) {
+        try {
+            const group = await this.sock.groupCreate(subject, participants);
+            this.logger.info(`👥 Created group ${group.id} (${subject})`);
+            return { success: true, group: group };
+        } catch (error) {
+            return this.groupError('Create group', error);
+        }
+    }
+
+    // Returns one { jid, status } per participant, status being WhatsApp's code ('200' when it worked)
+    async updateGroupParticipants(jid, participants, action) {
+        try {
+            const results = await this.sock.groupParticipantsUpdate(jid, participants, action);
+            return {
+                success: true,
+                results: results.map(result => ({ jid: result.jid, status: result.status }))
+            };
+        } catch (error) {
+            return this.groupError(`Group ${action}`, error);
+        }
+    }
+
+    async updateGroupSubject(jid, subject) {
+        try {
+            await this.sock.groupUpdateSubject(jid, subject);
+            return { success: true };
+        } catch (error) {
+            return this.groupError('Update group subject', error);
+        }
+    }
+
+    async updateGroupDescription(jid, description) {
+        try {
+            await this.sock.groupUpdateDescription(jid, description || undefined);
+            return { success: true };
+        } catch (error) {
+            return this.groupError('Update group description', error);
+        }
+    }
+
+    // setting: announcement, not_announcement, locked or unlocked
+    async updateGroupSetting(jid, setting) {
+        try {
+            await this.sock.groupSettingUpdate(jid, setting);
+            return { success: true };
+        } catch (error) {
+            return this.groupError('Update group setting', error);
+        }
+    }
+
+    async updateGroupEphemeral(jid, expiration) {
+        try {
+            await this.sock.groupToggleEphemeral(jid, expiration);
+            return { success: true };
+        } catch (error) {
+            return this.groupError('Update group ephemeral', error);
+        }
+    }
+
+    async getGroupInviteCode(jid) {
+        try {
+            return { success: true, code: await this.sock.groupInviteCode(jid) };
+        } catch (error) {
+            return this.groupError('Get group invite code', error);
+        }
+    }
+
+    async revokeGroupInviteCode(jid) {
+        try {
+            return { success: true, code: await this.sock.groupRevokeInvite(jid) };
+        } catch (error) {
+            return this.groupError('Revoke group invite code', error);
+        }
+    }
+
+    async leaveGroup(jid) {
+        try {
+            await this.sock.groupLeave(jid);
+            this.logger.info(`👋 Left group ${jid}`);
+            return { success: true };
+        } catch (error) {
+            return this.groupError('Leave group', error);
+        }
+    }
+
     async getStatus() {
         return {
             connected: this.isConnected,
             connecting: this.isConnecting,
+            quarantined: this.isQuarantined,
+            reconnect: this.reconnectPolicy.getState(),
             sessionId: this.sessionId,
             phoneNumber: this.phoneNumber,
             stats: this.stats,
-            cache: {
-                size: this.cache.keys().length,
-                hits: this.cache.getStats().hits,
-                misses: this.cache.getStats().misses
-            }
+            messageStore: this.messageStore ? this.messageStore.name : null
         };
     }
 
+    // Decrypted media of a received message as a stream; media WhatsApp has already
+    // expired from its CDN is re-requested from the sender's phone
+    async downloadMedia(message) {
+        if (!this.sock) {
+            throw new Error('Not connected');
+        }
+
+        return await downloadMediaMessage(message, 'stream', {}, {
+            logger: this.options.logger,
+            reuploadRequest: this.sock.updateMediaMessage
+        });
+    }
+
     // Event emitter methods
     on(event, listener) {
         if (!this.listeners.has(event)) {
@@ -510,7 +868,7 @@ class BaileysPro {
                 try {
                     listener(data);
                 } catch (error) {
-                    console.error(`Error in ${event} listener:`, error);
+                    this.logger.error(`Error in ${event} listener:`, error);
                 }
             });
         }
@@ -518,10 +876,13 @@ class BaileysPro {
 
     async cleanup() {
         await this.disconnect();
-        this.cache.flushAll();
         this.listeners.clear();
         
-        console.log(`🧹 BaileysPro cleaned up for session: ${this.sessionId}`);
+        if (this.messageStore) {
+            await this.messageStore.closeSession(this.sessionId);
+        }
+        
+        this.logger.info('🧹 BaileysPro cleaned up');
     }
 }
 
@@ -0,0 +1,206 @@
+const { initAuthCreds, BufferJSON, proto } = require('@whiskeysockets/baileys');
+const encryption = require('../utils/encryption');
+const { getStore } = require('../storage');
+const logger = require('../utils/logger').child({ module: 'encrypted-auth-state' });
+
+// Per-session AES-256-GCM data key, wrapped by the ENCRYPTION_KEY master key
+const DATA_KEY_FILE = 'data-key.json';
+
+class SessionVault {
+    constructor(sessionId, options = {}) {
+        this.sessionId = sessionId;
+        this.store = options.store || getStore();
+        this.masterKey = options.masterKey !== undefined
+            ? options.masterKey
+            : encryption.getMasterKey();
+        this.dataKey = null;
+    }
+
+    get encrypted() {
+        return Boolean(this.masterKey);
+    }
+
+    async getDataKey() {
+        if (this.dataKey) return this.dataKey;
+
+        let record = await this.store.get(this.sessionId, DATA_KEY_FILE);
+
+        if (!record) {
+            const dataKey = encryption.generateDataKey();
+            const created = await this.store.set(
+                this.sessionId,
+                DATA_KEY_FILE,
+                JSON.stringify(encryption.wrapKey(dataKey, this.masterKey)),
+                { exclusive: true }
+            );
+
+            if (created) {
+                this.dataKey = dataKey;
+                return dataKey;
+            }
+
+            // Another worker created the key first, use theirs
+            record = await this.store.get(this.sessionId, DATA_KEY_FILE);
+        }
+
+        this.dataKey = encryption.unwrapKey(JSON.parse(record), this.masterKey);
+        return this.dataKey;
+    }
+
+    // Same file naming as useMultiFileAuthState so existing session folders keep working
+    fixFileName(file) {
+        return file.replace(/\//g, '__').replace(/:/g, '-');
+    }
+
+    async readText(file) {
+        const raw = await this.store.get(this.sessionId, this.fixFileName(file));
+        if (raw === null) return null;
+
+        const parsed = JSON.parse(raw);
+
+        if (encryption.isEnvelope(parsed)) {
+            if (!this.masterKey) {
+                throw new Error(`${file} is encrypted but ENCRYPTION_KEY is not set`);
+            }
+
+            return encryption.decrypt(parsed, await this.getDataKey()).toString('utf-8');
+        }
+
+        // Plaintext written before encryption was enabled, migrate it on first read
+        if (this.masterKey) {
+            await this.writeText(file, raw);
+        }
+
+        return raw;
+    }
+
+    async writeText(file, text) {
+        const name = this.fixFileName(file);
+
+        if (!this.masterKey) {
+            await this.store.set(this.sessionId, name, text);
+            return;
+        }
+
+        const envelope = encryption.encrypt(Buffer.from(text, 'utf-8'), await this.getDataKey());
+        await this.store.set(this.sessionId, name, JSON.stringify(envelope));
+    }
+
+    async readJson(file) {
+        const text = await this.readText(file);
+        return text === null ? null : JSON.parse(text);
+    }
+
+    async writeJson(file, data) {
+        await this.writeText(file, JSON.stringify(data));
+    }
+
+    async remove(file) {
+        await this.store.delete(this.sessionId, this.fixFileName(file));
+    }
+
+    async list() {
+        const files = await this.store.list(this.sessionId);
+        return files.filter(file => file.endsWith('.json') && file !== DATA_KEY_FILE);
+    }
+
+    // Encrypt every plaintext entry left in the store
+    async migrate() {
+        if (!this.masterKey) return 0;
+
+        let migrated = 0;
+
+        for (const file of await this.list()) {
+            const raw = await this.store.get(this.sessionId, file);
+
+            if (!encryption.isEnvelope(JSON.parse(raw))) {
+                await this.writeText(file, raw);
+                migrated++;
+            }
+        }
+
+        return migrated;
+    }
+
+    // Re-wrap the data key under a new master key; file contents stay as they are
+    async rotateMasterKey(newMasterKey) {
+        if (!await this.store.get(this.sessionId, DATA_KEY_FILE)) {
+            const vault = new SessionVault(this.sessionId, { store: this.store, masterKey: newMasterKey });
+            return { rewrapped: false, migrated: await vault.migrate() };
+        }
+
+        const dataKey = await this.getDataKey();
+        await this.store.set(this.sessionId, DATA_KEY_FILE, JSON.stringify(encryption.wrapKey(dataKey, newMasterKey)));
+
+        this.masterKey = newMasterKey;
+
+        return { rewrapped: true, migrated: await this.migrate() };
+    }
+}
+
+// Replacement for Baileys' useMultiFileAuthState that encrypts every entry and
+// keeps it in the configured session store
+async function useEncryptedAuthState(sessionId, options = {}) {
+    const vault = new SessionVault(sessionId, options);
+
+    if (!vault.encrypted) {
+        logger.warn('⚠️ ENCRYPTION_KEY is not set, auth state is stored in plaintext');
+    }
+
+    const readData = async (file) => {
+        const text = await vault.readText(file);
+        return text === null ? null : JSON.parse(text, BufferJSON.reviver);
+    };
+
+    const writeData = (data, file) => {
+        return vault.writeText(file, JSON.stringify(data, BufferJSON.replacer));
+    };
+
+    const creds = await readData('creds.json') || initAuthCreds();
+
+    return {
+        state: {
+            creds,
+            keys: {
+                get: async (type, ids) => {
+                    const data = {};
+
+                    await Promise.all(ids.map(async (id) => {
+                        let value = await readData(`${type}-${id}.json`);
+
+                        if (type === 'app-state-sync-key' && value) {
+                            value = proto.Message.AppStateSyncKeyData.fromObject(value);
+                        }
+
+                        data[id] = value;
+                    }));
+
+                    return data;
+                },
+                set: async (data) => {
+                    const tasks = [];
+
+                    for (const category in data) {
+                        for (const id in data[category]) {
+                            const value = data[category][id];
+                            const file = `${category}-${id}.json`;
+
+                            tasks.push(value ? writeData(value, file) : vault.remove(file));
+                        }
+                    }
+
+                    await Promise.all(tasks);
+                }
+            }
+        },
+        saveCreds: () => {
+            return writeData(creds, 'creds.json');
+        }
+    };
+}
+
+module.exports = {
+    SessionVault,
+    useEncryptedAuthState,
+    DATA_KEY_FILE
+};
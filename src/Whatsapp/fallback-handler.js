@@ -1,6 +1,8 @@
 const crypto = require('crypto');
 const NodeCache = require('node-cache');
 const axios = require('axios');
+const logger = require('../utils/logger').child({ module: 'fallback-handler' });
+const metrics = require('../utils/metrics');
 
 class FallbackHandler {
     constructor() {
@@ -118,7 +120,7 @@ class FallbackHandler {
         try {
             this.stats.totalFallbacks++;
             
-            console.log(`🔄 Handling fallback for session ${sessionId}: ${error}`);
+            logger.info(`🔄 Handling fallback for session ${sessionId}: ${error}`);
             
             // Analyze error and determine appropriate fallback
             const analysis = this.analyzeError(error, context);
@@ -148,13 +150,14 @@ class FallbackHandler {
             // Update statistics
             this.stats.responseTimes.push(responseTime);
             this.stats.byType[strategy.type] = (this.stats.byType[strategy.type] || 0) + 1;
+            metrics.fallbackExecutions.inc({ strategy: strategy.id, result: result.success ? 'success' : 'failure' });
             
             if (result.success) {
                 this.stats.successfulFallbacks++;
-                console.log(`✅ Fallback ${strategy.id} succeeded for session ${sessionId}`);
+                logger.info(`✅ Fallback ${strategy.id} succeeded for session ${sessionId}`);
             } else {
                 this.stats.failedFallbacks++;
-                console.log(`❌ Fallback ${strategy.id} failed for session ${sessionId}`);
+                logger.warn(`❌ Fallback ${strategy.id} failed for session ${sessionId}`);
                 
                 // Try next fallback if available
                 if (analysis.severity === 'critical') {
@@ -171,7 +174,7 @@ class FallbackHandler {
             };
             
         } catch (error) {
-            console.error('Fallback handler error:', error);
+            logger.error('Fallback handler error:', error);
             
             return {
                 success: false,
@@ -288,7 +291,7 @@ class FallbackHandler {
     }
 
     async executeStrategy(strategy, params) {
-        console.log(`🚀 Executing fallback strategy: ${strategy.name}`);
+        logger.info(`🚀 Executing fallback strategy: ${strategy.name}`);
         
         switch (strategy.action) {
             case 'rotate_method':
@@ -327,14 +330,14 @@ class FallbackHandler {
         const { sessionId, phone, context } = params;
         
         // Get list of available methods in order of priority
-        const methods = ['sms', 'call', 'email', 'backup'];
+        const methods = ['qr', 'sms', 'call', 'email', 'backup'];
         const currentMethod = context.method || 'code';
         
         // Find next method
         const currentIndex = methods.indexOf(currentMethod);
         const nextMethod = methods[(currentIndex + 1) % methods.length];
         
-        console.log(`🔄 Rotating from ${currentMethod} to ${nextMethod}`);
+        logger.info(`🔄 Rotating from ${currentMethod} to ${nextMethod}`);
         
         // Simulate method rotation (in real app, this would call pairing service)
         await this.simulateDelay(1000);
@@ -351,7 +354,7 @@ class FallbackHandler {
     async regenerateCode(params) {
         const { sessionId, phone } = params;
         
-        console.log(`🔄 Regenerating code for session ${sessionId}`);
+        logger.info(`🔄 Regenerating code for session ${sessionId}`);
         
         // Simulate code regeneration
         await this.simulateDelay(1500);
@@ -371,7 +374,7 @@ class FallbackHandler {
     async refreshSession(params) {
         const { sessionId } = params;
         
-        console.log(`🔄 Refreshing session ${sessionId}`);
+        logger.info(`🔄 Refreshing session ${sessionId}`);
         
         // Simulate session refresh
         await this.simulateDelay(2000);
@@ -388,7 +391,7 @@ class FallbackHandler {
     async useBackupCode(params) {
         const { sessionId } = params;
         
-        console.log(`🔄 Using backup code for session ${sessionId}`);
+        logger.info(`🔄 Using backup code for session ${sessionId}`);
         
         // Generate backup code
         const backupCode = crypto.randomBytes(8).toString('hex').toUpperCase();
@@ -407,7 +410,7 @@ class FallbackHandler {
     async alternativeAuth(params) {
         const { phone } = params;
         
-        console.log(`🔄 Initiating alternative authentication for ${phone}`);
+        logger.info('🔄 Initiating alternative authentication', { phone });
         
         // This would integrate with email/2FA services
         await this.simulateDelay(2500);
@@ -427,7 +430,7 @@ class FallbackHandler {
     async contactSupport(params) {
         const { sessionId, phone, error } = params;
         
-        console.log(`🔄 Contacting support for session ${sessionId}`);
+        logger.info(`🔄 Contacting support for session ${sessionId}`);
         
         // This would create a support ticket or connect to live support
         await this.simulateDelay(3000);
@@ -452,7 +455,7 @@ class FallbackHandler {
     async createNewSession(params) {
         const { phone } = params;
         
-        console.log(`🔄 Creating new session for ${phone}`);
+        logger.info('🔄 Creating new session', { phone });
         
         // Simulate new session creation
         await this.simulateDelay(4000);
@@ -472,7 +475,7 @@ class FallbackHandler {
     }
 
     async switchDevice(params) {
-        console.log(`🔄 Switching device strategy`);
+        logger.info(`🔄 Switching device strategy`);
         
         await this.simulateDelay(2000);
         
@@ -502,7 +505,7 @@ class FallbackHandler {
             default: delayMinutes = 5;
         }
         
-        console.log(`⏰ Delaying retry for ${delayMinutes} minutes`);
+        logger.info(`⏰ Delaying retry for ${delayMinutes} minutes`);
         
         return {
             success: true,
@@ -519,7 +522,7 @@ class FallbackHandler {
     }
 
     async handleCriticalFallback(sessionId, phone, error, context) {
-        console.log(`🚨 Handling critical fallback for session ${sessionId}`);
+        logger.info(`🚨 Handling critical fallback for session ${sessionId}`);
         
         // Emergency measures for critical failures
         const emergencyActions = [
@@ -543,7 +546,7 @@ class FallbackHandler {
         // Try emergency actions in order
         for (const action of emergencyActions.sort((a, b) => a.priority - b.priority)) {
             try {
-                console.log(`🚨 Trying emergency action: ${action.action}`);
+                logger.info(`🚨 Trying emergency action: ${action.action}`);
                 const result = await action.execute();
                 
                 if (result.success) {
@@ -556,7 +559,7 @@ class FallbackHandler {
                     };
                 }
             } catch (actionError) {
-                console.error(`Emergency action ${action.action} failed:`, actionError);
+                logger.error(`Emergency action ${action.action} failed:`, actionError);
                 continue;
             }
         }
@@ -643,6 +646,7 @@ class FallbackHandler {
 
     getMethodInstructions(method) {
         const instructions = {
+            qr: 'Scan the QR code from WhatsApp → Linked Devices',
             sms: 'Check your SMS for the verification code',
             call: 'Answer the phone call to hear the code',
             email: 'Check your email inbox for the code',
@@ -657,7 +661,7 @@ class FallbackHandler {
     }
 
     async systemReset(params) {
-        console.log(`🔄 Performing system reset`);
+        logger.info(`🔄 Performing system reset`);
         
         await this.simulateDelay(5000);
         
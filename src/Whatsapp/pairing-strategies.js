@@ -3,9 +3,25 @@ const NodeCache = require('node-cache');
 const twilio = require('twilio');
 const nodemailer = require('nodemailer');
 const axios = require('axios');
+const QRCode = require('qrcode');
+const WhatsAppService = require('./whatsapp-service');
+const { getCoordinator } = require('../utils/cluster-coordinator');
+const logger = require('../utils/logger').child({ module: 'pairing-strategies' });
+const metrics = require('../utils/metrics');
 
 class PairingStrategies {
-    constructor() {
+    constructor(options = {}) {
+        this.sessionManager = options.sessionManager || null;
+        
+        // Pairing codes live in cluster-wide state so any worker can verify them
+        this.coordinator = options.coordinator || getCoordinator();
+        
+        // Sockets waiting for the user to link them live in the shared connection pool
+        this.whatsappService = options.whatsappService || new WhatsAppService({
+            sessionManager: this.sessionManager,
+            coordinator: this.coordinator
+        });
+        
         this.cache = new NodeCache({ 
             stdTTL: 600, // 10 minutes
             checkperiod: 60 
@@ -18,14 +34,23 @@ class PairingStrategies {
                 enabled: true,
                 priority: 1,
                 requires: ['phone'],
-                generates: '8-digit code',
+                generates: '8-character link code',
                 timeout: 600 // 10 minutes
             },
+            qr: {
+                name: 'QR Code',
+                description: 'Scan a QR code from WhatsApp → Linked Devices',
+                enabled: true,
+                priority: 2,
+                requires: [],
+                generates: 'rotating QR code',
+                timeout: 60 // WhatsApp refreshes the QR every 20-60 seconds
+            },
             sms: {
                 name: 'SMS Code',
                 description: 'Fallback method sending code via SMS',
                 enabled: true,
-                priority: 2,
+                priority: 3,
                 requires: ['phone'],
                 generates: '6-digit SMS code',
                 timeout: 300 // 5 minutes
@@ -34,7 +59,7 @@ class PairingStrategies {
                 name: 'Call Verification',
                 description: 'Automated call with voice code',
                 enabled: true,
-                priority: 3,
+                priority: 4,
                 requires: ['phone'],
                 generates: 'voice code',
                 timeout: 300
@@ -43,7 +68,7 @@ class PairingStrategies {
                 name: 'Email Code',
                 description: 'Send code to registered email',
                 enabled: true,
-                priority: 4,
+                priority: 5,
                 requires: ['email'],
                 generates: 'email with code',
                 timeout: 600
@@ -52,13 +77,24 @@ class PairingStrategies {
                 name: 'Backup Code',
                 description: 'Pre-generated backup codes',
                 enabled: true,
-                priority: 5,
+                priority: 6,
                 requires: [],
                 generates: 'backup code',
                 timeout: 0 // No expiration
             }
         };
         
+        // Let subscribers know when an unused code lapses. Every worker hears the
+        // expiry, so each one only tells its own subscribers.
+        this.coordinator.subscribe('expired', ({ key, value }) => {
+            if (key.startsWith('pairing_') && value && this.sessionManager) {
+                this.sessionManager.notifyListeners('code_expired', {
+                    sessionId: value.sessionId,
+                    method: value.method
+                });
+            }
+        });
+        
         // Initialize services if configured
         this.initServices();
         
@@ -101,9 +137,14 @@ class PairingStrategies {
     }
 
     async generatePairingCode(phone, sessionId, method = 'code') {
+        // Unknown methods still count, under one label
+        const label = this.strategies[method] ? method : 'other';
+
         try {
             this.stats.totalAttempts++;
             this.stats.byMethod[method] = (this.stats.byMethod[method] || 0) + 1;
+            metrics.pairingAttempts.inc({ method: label });
+            const endTimer = metrics.pairingCodeDuration.startTimer({ method: label });
 
             const strategy = this.strategies[method];
             if (!strategy || !strategy.enabled) {
@@ -118,6 +159,10 @@ class PairingStrategies {
                     result = await this.generateWhatsAppCode(phone, sessionId);
                     break;
                     
+                case 'qr':
+                    result = await this.generateQRCode(phone, sessionId);
+                    break;
+                    
                 case 'sms':
                     result = await this.generateSMSCode(phone, sessionId);
                     break;
@@ -139,18 +184,25 @@ class PairingStrategies {
                     throw new Error(`Unknown method: ${method}`);
             }
 
-            // Store in cache for verification
+            // Store in shared state for verification
             const cacheKey = `pairing_${sessionId}_${method}`;
-            this.cache.set(cacheKey, {
+            await this.coordinator.set(cacheKey, {
                 code: result.code,
                 phone: phone,
                 sessionId: sessionId,
                 method: method,
                 generatedAt: new Date(),
                 expiresAt: new Date(Date.now() + (strategy.timeout * 1000))
-            });
+            }, strategy.timeout);
 
-            console.log(`✅ Generated ${method} code for session ${sessionId}`);
+            endTimer();
+            logger.info(`✅ Generated ${method} code for session ${sessionId}`);
+            
+            this.broadcast(sessionId, 'code_generated', {
+                method: method,
+                formattedCode: this.formatCode(result.code, method),
+                expiresIn: strategy.timeout
+            });
 
             return {
                 success: true,
@@ -158,13 +210,15 @@ class PairingStrategies {
                 code: result.code,
                 formattedCode: this.formatCode(result.code, method),
                 expiresIn: strategy.timeout,
+                ...(result.qr && { qr: result.qr }),
                 instructions: this.getInstructions(method),
                 alternatives: this.getAlternativeMethods(method)
             };
 
         } catch (error) {
-            console.error(`❌ Failed to generate ${method} code:`, error);
+            logger.error(`❌ Failed to generate ${method} code:`, error);
             this.stats.failed++;
+            metrics.pairingFailures.inc({ method: label, stage: 'generate' });
             
             // Try fallback method
             return await this.tryFallbackMethod(phone, sessionId, method);
@@ -172,17 +226,105 @@ class PairingStrategies {
     }
 
     async generateWhatsAppCode(phone, sessionId) {
-        // Generate 8-digit code for WhatsApp Web
-        const code = crypto.randomInt(10000000, 99999999).toString();
+        const baileys = await this.getConnection(phone, sessionId);
         
-        // Simulate WhatsApp code generation
-        // In real implementation, this would interface with WhatsApp Web
+        try {
+            // Ask WhatsApp for a real 8-character link code
+            const code = await baileys.requestPairingCode(phone);
+            
+            return {
+                code: code,
+                type: 'whatsapp_code',
+                note: 'Enter this code in WhatsApp → Linked Devices → Link with phone number'
+            };
+            
+        } catch (error) {
+            await this.releaseConnection(sessionId);
+            throw error;
+        }
+    }
+
+    async generateQRCode(phone, sessionId) {
+        const baileys = await this.getConnection(phone, sessionId);
         
-        return {
-            code: code,
-            type: 'whatsapp_code',
-            note: 'Enter this code in WhatsApp Web → Linked Devices'
+        try {
+            const qr = await baileys.waitForQR();
+            const rendered = await this.renderQR(sessionId, qr);
+            
+            return {
+                code: qr,
+                type: 'qr_code',
+                note: 'Scan this QR code in WhatsApp → Linked Devices',
+                qr: rendered
+            };
+            
+        } catch (error) {
+            await this.releaseConnection(sessionId);
+            throw error;
+        }
+    }
+
+    async renderQR(sessionId, qr) {
+        const previous = this.cache.get(`qr_${sessionId}`);
+        
+        const rendered = {
+            dataUrl: await QRCode.toDataURL(qr),
+            svg: await QRCode.toString(qr, { type: 'svg' }),
+            raw: qr,
+            rotation: previous ? previous.rotation + 1 : 0,
+            updatedAt: new Date()
         };
+        
+        this.cache.set(`qr_${sessionId}`, rendered, this.strategies.qr.timeout);
+        
+        return rendered;
+    }
+
+    getQRCode(sessionId) {
+        return this.cache.get(`qr_${sessionId}`) || null;
+    }
+
+    async getConnection(phone, sessionId) {
+        const existing = this.whatsappService.getInstance(sessionId);
+        if (existing) return existing;
+        
+        const baileys = await this.whatsappService.openConnection(sessionId, phone);
+        
+        // WhatsApp rotates the QR while the socket waits to be linked
+        baileys.on('qr', async ({ qr }) => {
+            if (!this.cache.has(`qr_${sessionId}`)) return;
+            
+            try {
+                const rendered = await this.renderQR(sessionId, qr);
+                logger.debug(`🔁 QR rotated for session ${sessionId}`);
+                
+                this.broadcast(sessionId, 'qr_rotated', {
+                    dataUrl: rendered.dataUrl,
+                    rotation: rendered.rotation
+                });
+            } catch (error) {
+                logger.error('QR render failed:', error);
+            }
+        });
+        
+        baileys.on('connected', () => {
+            this.cache.del(`qr_${sessionId}`);
+        });
+        
+        return baileys;
+    }
+
+    broadcast(sessionId, type, data = {}) {
+        if (!this.sessionManager) return;
+        
+        this.sessionManager.broadcastUpdate(type, {
+            sessionId: sessionId,
+            ...data
+        });
+    }
+
+    async releaseConnection(sessionId) {
+        await this.whatsappService.disconnectSession(sessionId);
     }
 
     async generateSMSCode(phone, sessionId) {
@@ -208,7 +350,7 @@ class PairingStrategies {
             };
 
         } catch (error) {
-            console.error('SMS sending failed:', error);
+            logger.error('SMS sending failed:', error);
             throw new Error('Failed to send SMS');
         }
     }
@@ -246,7 +388,7 @@ class PairingStrategies {
             };
 
         } catch (error) {
-            console.error('Call failed:', error);
+            logger.error('Call failed:', error);
             throw new Error('Failed to make call');
         }
     }
@@ -294,7 +436,7 @@ class PairingStrategies {
             };
 
         } catch (error) {
-            console.error('Email sending failed:', error);
+            logger.error('Email sending failed:', error);
             throw new Error('Failed to send email');
         }
     }
@@ -317,7 +459,7 @@ class PairingStrategies {
     async verifyPairingCode(sessionId, code, method = 'code') {
         try {
             const cacheKey = `pairing_${sessionId}_${method}`;
-            const pairingData = this.cache.get(cacheKey);
+            const pairingData = await this.coordinator.get(cacheKey);
 
             if (!pairingData) {
                 return {
@@ -327,26 +469,36 @@ class PairingStrategies {
                 };
             }
 
-            // Normalize code for comparison
-            const normalizedInput = code.replace(/\D/g, '');
-            const normalizedStored = pairingData.code.replace(/\D/g, '');
+            // Normalize code for comparison (WhatsApp link codes are alphanumeric)
+            const normalizedInput = code.replace(/[^a-z0-9]/gi, '').toUpperCase();
+            const normalizedStored = pairingData.code.replace(/[^a-z0-9]/gi, '').toUpperCase();
 
             if (normalizedInput !== normalizedStored) {
                 this.stats.failed++;
+                metrics.pairingFailures.inc({ method, stage: 'verify' });
                 
                 return {
                     success: false,
                     error: 'INVALID_CODE',
                     message: 'Invalid pairing code',
-                    attemptsLeft: this.getAttemptsLeft(sessionId, method)
+                    attemptsLeft: await this.getAttemptsLeft(sessionId, method)
                 };
             }
 
-            // Code is valid
-            this.cache.del(cacheKey); // Remove used code
+            // Code is valid; if another request removed it first, it was already used
+            if (!await this.coordinator.del(cacheKey)) {
+                return {
+                    success: false,
+                    error: 'CODE_EXPIRED',
+                    message: 'Pairing code has expired'
+                };
+            }
+            
             this.stats.successful++;
+            metrics.pairingSuccesses.inc({ method });
+            metrics.pairingCompletionDuration.observe({ method }, (Date.now() - new Date(pairingData.generatedAt)) / 1000);
 
-            console.log(`✅ Verified ${method} code for session ${sessionId}`);
+            logger.info(`✅ Verified ${method} code for session ${sessionId}`);
 
             return {
                 success: true,
@@ -357,7 +509,7 @@ class PairingStrategies {
             };
 
         } catch (error) {
-            console.error('Verification error:', error);
+            logger.error('Verification error:', error);
             
             return {
                 success: false,
@@ -377,13 +529,13 @@ class PairingStrategies {
             for (const method of alternatives) {
                 if (method === failedMethod) continue;
                 
-                console.log(`🔄 Trying fallback method: ${method}`);
+                logger.info(`🔄 Trying fallback method: ${method}`);
                 
                 try {
                     const result = await this.generatePairingCode(phone, sessionId, method);
                     
                     if (result.success) {
-                        console.log(`✅ Fallback ${method} succeeded for session ${sessionId}`);
+                        logger.info(`✅ Fallback ${method} succeeded for session ${sessionId}`);
                         
                         return {
                             ...result,
@@ -392,7 +544,7 @@ class PairingStrategies {
                         };
                     }
                 } catch (fallbackError) {
-                    console.error(`Fallback ${method} failed:`, fallbackError);
+                    logger.error(`Fallback ${method} failed:`, fallbackError);
                     continue; // Try next fallback
                 }
             }
@@ -401,7 +553,7 @@ class PairingStrategies {
             throw new Error('All pairing methods failed');
             
         } catch (error) {
-            console.error('All fallback methods failed:', error);
+            logger.error('All fallback methods failed:', error);
             
             return {
                 success: false,
@@ -431,9 +583,17 @@ class PairingStrategies {
                 'Open WhatsApp on your phone',
                 'Tap Menu → Linked Devices',
                 'Tap "Link a Device"',
-                'Enter the 8-digit code shown above',
+                'Tap "Link with phone number instead"',
+                'Enter the 8-character code shown above',
                 'Tap "Link" to complete pairing'
             ],
+            qr: [
+                'Open WhatsApp on your phone',
+                'Tap Menu → Linked Devices',
+                'Tap "Link a Device"',
+                'Point your phone at the QR code shown above',
+                'The QR code refreshes automatically until it is scanned'
+            ],
             sms: [
                 'Check your SMS messages',
                 'Find the message with your 6-digit code',
@@ -466,8 +626,8 @@ class PairingStrategies {
     formatCode(code, method) {
         switch (method) {
             case 'code':
-                // Format as 1234-5678
-                return code.replace(/(\d{4})(\d{4})/, '$1-$2');
+                // Format as ABCD-1234
+                return code.replace(/^(\w{4})(\w{4})$/, '$1-$2');
                 
             case 'sms':
             case 'call':
@@ -484,18 +644,13 @@ class PairingStrategies {
         }
     }
 
-    getAttemptsLeft(sessionId, method) {
+    async getAttemptsLeft(sessionId, method) {
         const cacheKey = `attempts_${sessionId}_${method}`;
-        const attempts = this.cache.get(cacheKey) || 0;
+        const attempts = await this.coordinator.incr(cacheKey, 600);
         
         const maxAttempts = 3;
-        const attemptsLeft = maxAttempts - attempts;
-        
-        if (attemptsLeft > 0) {
-            this.cache.set(cacheKey, attempts + 1, 600);
-        }
         
-        return Math.max(0, attemptsLeft);
+        return Math.max(0, maxAttempts - attempts + 1);
     }
 
     getAvailableMethods() {
@@ -550,7 +705,7 @@ class PairingStrategies {
     async storeBackupCode(sessionId, code) {
         // In real implementation, store in database
         const backupKey = `backup_${sessionId}`;
-        this.cache.set(backupKey, code, 0); // No expiration
+        await this.coordinator.set(backupKey, code, 0); // No expiration
     }
 
     async validatePhoneNumber(phone) {
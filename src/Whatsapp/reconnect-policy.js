@@ -0,0 +1,106 @@
+const { DisconnectReason } = require('@whiskeysockets/baileys');
+
+// What to do for each close reason. Anything not listed is treated as a
+// transient network problem and retried with backoff.
+const REASON_ACTIONS = {
+    [DisconnectReason.restartRequired]: 'restart',      // expected right after pairing
+    [DisconnectReason.connectionReplaced]: 'replaced',  // another client opened this session
+    [DisconnectReason.badSession]: 'quarantine',        // auth state is corrupt
+    [DisconnectReason.loggedOut]: 'logged_out',         // device unlinked from the phone
+    [DisconnectReason.multideviceMismatch]: 'logged_out'
+};
+
+class ReconnectPolicy {
+    constructor(options = {}) {
+        this.options = {
+            baseDelay: 1000,
+            maxDelay: 5 * 60 * 1000,
+            factor: 2,
+            jitter: 0.3, // +/- 30%
+            failureThreshold: 8, // consecutive failures before the breaker opens
+            cooldown: 10 * 60 * 1000, // how long the breaker stays open
+            ...options
+        };
+
+        this.attempts = 0;
+        this.circuit = 'closed';
+        this.openedAt = null;
+        this.lastReason = null;
+    }
+
+    // Returns { action, delay, attempt, circuit, circuitOpened }
+    decide(statusCode) {
+        const action = REASON_ACTIONS[statusCode] || 'reconnect';
+        this.lastReason = statusCode;
+
+        if (action === 'restart') {
+            return { action: 'reconnect', delay: 0, attempt: this.attempts, circuit: this.circuit, circuitOpened: false };
+        }
+
+        if (action !== 'reconnect') {
+            return { action, delay: null, attempt: this.attempts, circuit: this.circuit, circuitOpened: false };
+        }
+
+        return this.recordFailure();
+    }
+
+    recordFailure() {
+        this.attempts++;
+
+        // A failed probe while half open, or too many failures in a row, opens the breaker
+        if (this.circuit === 'half_open' || (this.circuit === 'closed' && this.attempts >= this.options.failureThreshold)) {
+            this.circuit = 'open';
+            this.openedAt = Date.now();
+
+            return {
+                action: 'reconnect',
+                delay: this.withJitter(this.options.cooldown),
+                attempt: this.attempts,
+                circuit: this.circuit,
+                circuitOpened: true
+            };
+        }
+
+        const delay = Math.min(
+            this.options.maxDelay,
+            this.options.baseDelay * Math.pow(this.options.factor, this.attempts - 1)
+        );
+
+        return {
+            action: 'reconnect',
+            delay: this.withJitter(delay),
+            attempt: this.attempts,
+            circuit: this.circuit,
+            circuitOpened: false
+        };
+    }
+
+    // Called when the cooldown ends and a single probe attempt is about to run
+    beforeAttempt() {
+        if (this.circuit === 'open') {
+            this.circuit = 'half_open';
+        }
+    }
+
+    recordSuccess() {
+        this.attempts = 0;
+        this.circuit = 'closed';
+        this.openedAt = null;
+    }
+
+    withJitter(delay) {
+        const spread = delay * this.options.jitter;
+        return Math.round(delay - spread + Math.random() * spread * 2);
+    }
+
+    getState() {
+        return {
+            attempts: this.attempts,
+            circuit: this.circuit,
+            openedAt: this.openedAt ? new Date(this.openedAt) : null,
+            lastReason: this.lastReason
+        };
+    }
+}
+
+module.exports = ReconnectPolicy;
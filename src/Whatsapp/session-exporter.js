@@ -0,0 +1,557 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const archiver = require('archiver');
+const unzipper = require('unzipper');
+const { createBaileysPro } = require('./Baileys-pro');
+const { SessionVault, DATA_KEY_FILE } = require('./encrypted-auth-state');
+const { getStore } = require('../storage');
+const { getCoordinator } = require('../utils/cluster-coordinator');
+const logger = require('../utils/logger').child({ module: 'session-exporter' });
+
+const SESSION_STRING_VERSION = 1;
+
+// Files an import may never write through `keys`: the wrapped data key and the session's own records
+const RESERVED_FILES = [DATA_KEY_FILE, 'creds.json', 'session-info.json'];
+
+// Decompressed size an imported string or zip may reach; real sessions are well under 1MB
+const MAX_IMPORT_SIZE = 8 * 1024 * 1024;
+
+// Fields every linked Baileys creds.json carries
+const REQUIRED_CREDS = ['noiseKey', 'signedIdentityKey', 'signedPreKey', 'registrationId', 'advSecretKey', 'me', 'account'];
+
+class SessionExporter {
+    constructor(options = {}) {
+        this.sessionManager = options.sessionManager || null;
+        // Set by WhatsAppService when not passed in; closes live sockets before an overwrite
+        this.whatsappService = options.whatsappService || null;
+        this.store = options.store || getStore();
+        this.coordinator = options.coordinator || getCoordinator();
+        this.prefix = options.prefix || process.env.SESSION_PREFIX || 'ABDULLAH-MD~';
+
+        this.formats = ['json', 'txt', 'env', 'zip'];
+    }
+
+    // Decrypt creds.json and every signal key file in the session's auth state
+    async readAuthFiles(sessionId) {
+        const vault = new SessionVault(sessionId, { store: this.store });
+        const creds = await vault.readJson('creds.json');
+
+        if (!creds) {
+            return null;
+        }
+
+        const keys = {};
+
+        for (const file of await vault.list()) {
+            if (file === 'creds.json' || file === 'session-info.json') {
+                continue;
+            }
+
+            keys[file] = await vault.readJson(file);
+        }
+
+        return { creds, keys };
+    }
+
+    async exportSessionString(sessionId) {
+        try {
+            const auth = await this.readAuthFiles(sessionId);
+
+            if (!auth || !this.isLinked(auth.creds)) {
+                return {
+                    success: false,
+                    error: 'SESSION_NOT_LINKED',
+                    message: 'Session has no linked WhatsApp credentials yet'
+                };
+            }
+
+            const session = this.sessionManager ? this.sessionManager.getSession(sessionId) : null;
+
+            const payload = {
+                v: SESSION_STRING_VERSION,
+                id: sessionId,
+                phone: session ? session.phone : null,
+                creds: auth.creds,
+                keys: auth.keys
+            };
+
+            const compressed = zlib.gzipSync(Buffer.from(JSON.stringify(payload)));
+
+            return {
+                success: true,
+                sessionId: sessionId,
+                sessionString: this.prefix + compressed.toString('base64'),
+                keyCount: Object.keys(auth.keys).length
+            };
+
+        } catch (error) {
+            logger.error('Error exporting session string:', error);
+
+            return {
+                success: false,
+                error: 'EXPORT_FAILED',
+                message: error.message
+            };
+        }
+    }
+
+    async packageSessionFiles(sessionId, format = 'zip') {
+        if (!this.formats.includes(format)) {
+            return {
+                success: false,
+                error: 'INVALID_FORMAT',
+                message: `Unsupported format: ${format}. Use one of ${this.formats.join(', ')}`
+            };
+        }
+
+        try {
+            const filename = `whatsapp-session-${sessionId}.${format}`;
+            const outputPath = path.join(os.tmpdir(), `${sessionId}_${Date.now()}.${format}`);
+
+            if (format === 'zip') {
+                const auth = await this.readAuthFiles(sessionId);
+
+                if (!auth) {
+                    return {
+                        success: false,
+                        error: 'SESSION_NOT_LINKED',
+                        message: 'Session has no linked WhatsApp credentials yet'
+                    };
+                }
+
+                // Zip the decrypted files so the folder works with plain useMultiFileAuthState
+                const session = this.sessionManager ? this.sessionManager.getSession(sessionId) : null;
+                const files = {
+                    'creds.json': auth.creds,
+                    ...auth.keys,
+                    ...(session && { 'session-info.json': session })
+                };
+
+                await this.zipFiles(files, outputPath, sessionId);
+
+                return { success: true, path: outputPath, filename };
+            }
+
+            const exported = await this.exportSessionString(sessionId);
+            if (!exported.success) {
+                return exported;
+            }
+
+            const session = this.sessionManager ? this.sessionManager.getSession(sessionId) : null;
+            let content;
+
+            switch (format) {
+                case 'txt':
+                    content = exported.sessionString;
+                    break;
+
+                case 'env':
+                    content = [
+                        `# WhatsApp session ${sessionId}${session ? ` (${session.name})` : ''}`,
+                        `SESSION_ID=${exported.sessionString}`,
+                        session && session.phone ? `OWNER_NUMBER=${session.phone.replace(/\D/g, '')}` : null
+                    ].filter(Boolean).join('\n') + '\n';
+                    break;
+
+                case 'json': {
+                    const auth = await this.readAuthFiles(sessionId);
+                    content = JSON.stringify({
+                        format: 'abdullah-md-session',
+                        version: SESSION_STRING_VERSION,
+                        sessionId: sessionId,
+                        session: session,
+                        exportedAt: new Date().toISOString(),
+                        sessionString: exported.sessionString,
+                        creds: auth.creds,
+                        keys: auth.keys
+                    }, null, 2);
+                    break;
+                }
+            }
+
+            await fs.writeFile(outputPath, content);
+
+            return { success: true, path: outputPath, filename };
+
+        } catch (error) {
+            logger.error('Error packaging session files:', error);
+
+            return {
+                success: false,
+                error: 'EXPORT_FAILED',
+                message: error.message
+            };
+        }
+    }
+
+    async importSessionString(sessionString, options = {}) {
+        const payload = this.decodeSessionString(sessionString);
+
+        if (!payload) {
+            return {
+                success: false,
+                error: 'INVALID_SESSION_STRING',
+                message: 'Session string could not be decoded'
+            };
+        }
+
+        if (payload.v !== SESSION_STRING_VERSION) {
+            return {
+                success: false,
+                error: 'UNSUPPORTED_VERSION',
+                message: `Unsupported session string version: ${payload.v}`
+            };
+        }
+
+        return await this.importSession({
+            sessionId: payload.id,
+            phone: payload.phone,
+            creds: payload.creds,
+            keys: payload.keys || {}
+        }, { ...options, source: 'string' });
+    }
+
+    async importZip(filePath, options = {}) {
+        try {
+            const directory = await unzipper.Open.file(filePath);
+
+            let creds = null;
+            let info = null;
+            const keys = {};
+            let total = 0;
+
+            for (const entry of directory.files) {
+                if (entry.type !== 'File') continue;
+
+                const file = path.basename(entry.path);
+                if (!file.endsWith('.json')) continue;
+
+                // Checked against the header first, then against what actually inflates
+                if (total + entry.uncompressedSize > MAX_IMPORT_SIZE) {
+                    return this.tooLarge();
+                }
+
+                const buffer = await this.readEntry(entry, MAX_IMPORT_SIZE - total);
+                if (!buffer) {
+                    return this.tooLarge();
+                }
+
+                total += buffer.length;
+                const content = JSON.parse(buffer.toString('utf-8'));
+
+                if (file === DATA_KEY_FILE) {
+                    continue;
+                } else if (file === 'creds.json') {
+                    creds = content;
+                } else if (file === 'session-info.json') {
+                    info = content;
+                } else {
+                    keys[file] = content;
+                }
+            }
+
+            return await this.importSession({
+                sessionId: info ? info.id : null,
+                phone: info ? info.phone : null,
+                name: info ? info.name : null,
+                creds: creds,
+                keys: keys
+            }, { ...options, source: 'zip' });
+
+        } catch (error) {
+            logger.error('Error reading session zip:', error);
+
+            return {
+                success: false,
+                error: 'INVALID_ARCHIVE',
+                message: 'Session archive could not be read'
+            };
+        }
+    }
+
+    // Buffers a zip entry, or resolves null once it inflates past `limit` bytes
+    readEntry(entry, limit) {
+        return new Promise((resolve, reject) => {
+            const stream = entry.stream();
+            const chunks = [];
+            let size = 0;
+
+            stream.on('data', (chunk) => {
+                size += chunk.length;
+
+                if (size > limit) {
+                    stream.destroy();
+                    resolve(null);
+                    return;
+                }
+
+                chunks.push(chunk);
+            });
+            stream.on('end', () => resolve(Buffer.concat(chunks)));
+            stream.on('error', reject);
+        });
+    }
+
+    tooLarge() {
+        return {
+            success: false,
+            error: 'ARCHIVE_TOO_LARGE',
+            message: `Session archive expands past ${MAX_IMPORT_SIZE / 1024 / 1024}MB`
+        };
+    }
+
+    async importSession(data, options = {}) {
+        try {
+            const { creds } = data;
+            const keys = {};
+
+            for (const [file, content] of Object.entries(data.keys || {})) {
+                if (!RESERVED_FILES.includes(file)) {
+                    keys[file] = content;
+                }
+            }
+
+            if (!creds || typeof creds !== 'object') {
+                return {
+                    success: false,
+                    error: 'MISSING_CREDS',
+                    message: 'No creds.json found in the import'
+                };
+            }
+
+            const missing = REQUIRED_CREDS.filter(field => !creds[field]);
+            if (missing.length > 0) {
+                return {
+                    success: false,
+                    error: 'INVALID_CREDS',
+                    message: `Credentials are missing: ${missing.join(', ')}`
+                };
+            }
+
+            const invalidKeys = Object.keys(keys).filter(file => !/^[\w.-]+\.json$/.test(file));
+            if (invalidKeys.length > 0) {
+                return {
+                    success: false,
+                    error: 'INVALID_KEYS',
+                    message: `Invalid key file names: ${invalidKeys.slice(0, 5).join(', ')}`
+                };
+            }
+
+            // The linked account must match the phone the caller expects
+            const credsPhone = creds.me.id.split(':')[0].split('@')[0];
+            const expectedPhones = [options.phone, data.phone]
+                .filter(Boolean)
+                .map(phone => String(phone).replace(/\D/g, ''));
+
+            if (expectedPhones.some(phone => phone !== credsPhone)) {
+                return {
+                    success: false,
+                    error: 'CREDS_MISMATCH',
+                    message: 'Credentials belong to a different phone number'
+                };
+            }
+
+            const sessionId = options.sessionId || data.sessionId ||
+                `WA_${crypto.randomBytes(8).toString('hex').toUpperCase()}`;
+
+            if (!/^[\w-]{1,64}$/.test(sessionId)) {
+                return {
+                    success: false,
+                    error: 'INVALID_SESSION_ID',
+                    message: 'Session ID may only contain letters, numbers, _ and -'
+                };
+            }
+
+            const existing = this.sessionManager ? this.sessionManager.getSession(sessionId) : null;
+
+            if (existing && options.tenant && existing.tenant !== options.tenant) {
+                return {
+                    success: false,
+                    error: 'SESSION_EXISTS',
+                    message: `Session ${sessionId} already exists`
+                };
+            }
+
+            if (existing && !options.overwrite) {
+                return {
+                    success: false,
+                    error: 'SESSION_EXISTS',
+                    message: `Session ${sessionId} already exists`
+                };
+            }
+
+            if (existing) {
+                // The live socket would keep its lease and save its creds over the imported ones
+                if (this.whatsappService && !await this.whatsappService.releaseSession(sessionId)) {
+                    return {
+                        success: false,
+                        error: 'SESSION_BUSY',
+                        message: `Session ${sessionId} is still connected on another worker`
+                    };
+                }
+
+                await this.sessionManager.deleteSession(sessionId);
+            }
+
+            // Rebuild the auth state from scratch
+            await this.store.removeSession(sessionId);
+
+            const vault = new SessionVault(sessionId, { store: this.store });
+            await vault.writeJson('creds.json', creds);
+
+            for (const [file, content] of Object.entries(keys)) {
+                await vault.writeJson(file, content);
+            }
+
+            let session = null;
+            if (this.sessionManager) {
+                session = this.sessionManager.createSession({
+                    id: sessionId,
+                    name: options.name || data.name,
+                    phone: `+${credsPhone}`,
+                    method: 'import',
+                    tenant: options.tenant,
+                    metadata: {
+                        importedAt: new Date(),
+                        source: options.source || 'string'
+                    }
+                }).session;
+            }
+
+            logger.info(`📥 Imported session: ${sessionId} (${Object.keys(keys).length} keys)`);
+
+            let test = null;
+            if (options.test) {
+                test = await this.testSession(sessionId, credsPhone);
+
+                if (this.sessionManager) {
+                    this.sessionManager.updateSession(sessionId, test.success
+                        ? { status: 'active', connectedAt: new Date() }
+                        : { status: 'import_failed' });
+                }
+            } else if (this.sessionManager) {
+                this.sessionManager.updateSession(sessionId, { status: 'imported' });
+            }
+
+            return {
+                success: true,
+                sessionId: sessionId,
+                session: session,
+                keyCount: Object.keys(keys).length,
+                test: test
+            };
+
+        } catch (error) {
+            logger.error('Error importing session:', error);
+
+            return {
+                success: false,
+                error: 'IMPORT_FAILED',
+                message: error.message
+            };
+        }
+    }
+
+    // Open the imported creds once to see whether WhatsApp still accepts them
+    async testSession(sessionId, phone, timeout = 30000) {
+        // Never open a second socket next to one another worker already holds
+        const lease = await this.coordinator.acquireLease(sessionId);
+        if (!lease.acquired) {
+            return {
+                success: false,
+                error: 'SESSION_BUSY',
+                message: `Session is connected on worker ${lease.owner.workerId}`
+            };
+        }
+
+        const baileys = createBaileysPro({ sessionId, phoneNumber: phone });
+
+        try {
+            await baileys.initialize();
+
+            return await new Promise((resolve) => {
+                const timer = setTimeout(() => resolve({
+                    success: false,
+                    error: 'TEST_TIMEOUT',
+                    message: 'WhatsApp did not confirm the session in time'
+                }), timeout);
+
+                baileys.on('connected', () => {
+                    clearTimeout(timer);
+                    resolve({ success: true, message: 'Session connected' });
+                });
+
+                const onRejected = () => {
+                    clearTimeout(timer);
+                    resolve({
+                        success: false,
+                        error: 'CREDS_REJECTED',
+                        message: 'WhatsApp rejected the imported credentials'
+                    });
+                };
+
+                baileys.on('loggedOut', onRejected);
+                baileys.on('quarantined', onRejected);
+            });
+
+        } catch (error) {
+            return {
+                success: false,
+                error: 'TEST_FAILED',
+                message: error.message
+            };
+        } finally {
+            await baileys.close();
+            await this.coordinator.releaseLease(sessionId).catch(() => {});
+        }
+    }
+
+    decodeSessionString(sessionString) {
+        try {
+            let encoded = String(sessionString || '').trim();
+
+            // Accept strings exported with any prefix ending in ~, e.g. ABDULLAH-MD~
+            if (encoded.includes('~')) {
+                encoded = encoded.slice(encoded.lastIndexOf('~') + 1);
+            }
+
+            const raw = Buffer.from(encoded, 'base64');
+            const json = raw[0] === 0x1f && raw[1] === 0x8b
+                ? zlib.gunzipSync(raw, { maxOutputLength: MAX_IMPORT_SIZE }).toString('utf-8')
+                : raw.toString('utf-8');
+
+            const payload = JSON.parse(json);
+            return payload && typeof payload === 'object' ? payload : null;
+
+        } catch (error) {
+            return null;
+        }
+    }
+
+    isLinked(creds) {
+        return Boolean(creds && creds.me && creds.me.id && creds.account);
+    }
+
+    zipFiles(files, outputPath, rootName) {
+        return new Promise((resolve, reject) => {
+            const output = fs.createWriteStream(outputPath);
+            const archive = archiver('zip', { zlib: { level: 9 } });
+
+            output.on('close', () => resolve(archive.pointer()));
+            archive.on('error', reject);
+
+            archive.pipe(output);
+
+            for (const [file, content] of Object.entries(files)) {
+                archive.append(JSON.stringify(content), { name: `${rootName}/${file}` });
+            }
+
+            archive.finalize();
+        });
+    }
+}
+
+module.exports = SessionExporter;
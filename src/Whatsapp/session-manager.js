@@ -1,20 +1,21 @@
-const fs = require('fs-extra');
-const path = require('path');
 const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 const NodeCache = require('node-cache');
+const { SessionVault } = require('./encrypted-auth-state');
+const { getStore } = require('../storage');
+const { getCoordinator } = require('../utils/cluster-coordinator');
+const logger = require('../utils/logger').child({ module: 'session-manager' });
 
 class SessionManager {
-    constructor() {
+    constructor(options = {}) {
         this.sessions = new Map();
         this.cache = new NodeCache({ 
             stdTTL: 300,
             checkperiod: 60 
         });
         
-        // Session storage directory
-        this.sessionDir = path.join(__dirname, '../../sessions');
-        fs.ensureDirSync(this.sessionDir);
+        // Session storage (filesystem, Redis or MongoDB, see STORAGE_BACKEND)
+        this.store = options.store || getStore();
         
         // Statistics
         this.stats = {
@@ -25,20 +26,37 @@ class SessionManager {
             errors: 0
         };
         
-        // Load existing sessions
-        this.loadSessions();
+        // Subscribers to real-time session updates
+        this.updateListeners = [];
+        
+        // Keep every worker's view of the sessions in step
+        this.coordinator = options.coordinator || getCoordinator();
+        this.subscribeToCluster();
+        
+        // Load existing sessions; ready resolves once they are in memory
+        this.ready = this.loadSessions();
     }
 
     async loadSessions() {
         try {
-            const sessionDirs = await fs.readdir(this.sessionDir);
+            const sessionIds = await this.store.listSessions();
             
-            for (const dir of sessionDirs) {
-                const sessionPath = path.join(this.sessionDir, dir, 'session-info.json');
+            for (const dir of sessionIds) {
+                const vault = new SessionVault(dir, { store: this.store });
                 
-                if (await fs.pathExists(sessionPath)) {
+                if (await this.store.get(dir, 'session-info.json') !== null) {
                     try {
-                        const sessionData = await fs.readJson(sessionPath);
+                        const sessionData = await vault.readJson('session-info.json');
+                        
+                        // Encrypt auth files left over from before ENCRYPTION_KEY was set
+                        const migrated = await vault.migrate();
+                        if (migrated > 0) {
+                            logger.info(`🔐 Encrypted ${migrated} plaintext files in session ${dir}`);
+                        }
+                        
+                        // Sessions created before tenancy belong to the default tenant
+                        sessionData.tenant = sessionData.tenant || 'default';
+                        
                         this.sessions.set(sessionData.id, sessionData);
                         this.stats.totalCreated++;
                         
@@ -49,15 +67,15 @@ class SessionManager {
                             this.stats.activeSessions++;
                         }
                     } catch (error) {
-                        console.error(`Error loading session ${dir}:`, error);
+                        logger.error(`Error loading session ${dir}:`, error);
                         this.stats.errors++;
                     }
                 }
             }
             
-            console.log(`✅ Loaded ${this.sessions.size} sessions from storage`);
+            logger.info(`✅ Loaded ${this.sessions.size} sessions from ${this.store.name} storage`);
         } catch (error) {
-            console.error('Error loading sessions:', error);
+            logger.error('Error loading sessions:', error);
         }
     }
 
@@ -71,6 +89,7 @@ class SessionManager {
                 phone: data.phone,
                 security: data.security || 'high',
                 method: data.method || 'code',
+                tenant: data.tenant || 'default',
                 status: 'pending',
                 createdAt: new Date(),
                 expiresAt: data.expiresAt || new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
@@ -88,13 +107,13 @@ class SessionManager {
             this.stats.totalCreated++;
             this.stats.activeSessions++;
             
-            // Save to disk
+            // Persist to the session store
             this.saveSession(session);
             
             // Cache session
             this.cache.set(`session_${sessionId}`, session);
             
-            console.log(`✅ Created session: ${sessionId} for ${session.phone}`);
+            logger.info(`✅ Created session: ${sessionId}`, { phone: session.phone });
             
             return {
                 success: true,
@@ -102,7 +121,7 @@ class SessionManager {
             };
             
         } catch (error) {
-            console.error('Error creating session:', error);
+            logger.error('Error creating session:', error);
             this.stats.errors++;
             
             return {
@@ -114,16 +133,15 @@ class SessionManager {
 
     async saveSession(session) {
         try {
-            const sessionDir = path.join(this.sessionDir, session.id);
-            await fs.ensureDir(sessionDir);
+            const vault = new SessionVault(session.id, { store: this.store });
+            await vault.writeJson('session-info.json', session);
             
-            const sessionPath = path.join(sessionDir, 'session-info.json');
-            await fs.writeJson(sessionPath, session, { spaces: 2 });
+            this.coordinator.publish('session_saved', { session });
             
-            console.log(`💾 Saved session: ${session.id}`);
+            logger.debug(`💾 Saved session: ${session.id}`);
             
         } catch (error) {
-            console.error('Error saving session:', error);
+            logger.error('Error saving session:', error);
             this.stats.errors++;
         }
     }
@@ -146,6 +164,10 @@ class SessionManager {
         let sessions = Array.from(this.sessions.values());
         
         // Apply filters
+        if (filter.tenant) {
+            sessions = sessions.filter(s => s.tenant === filter.tenant);
+        }
+        
         if (filter.status) {
             sessions = sessions.filter(s => s.status === filter.status);
         }
@@ -190,10 +212,10 @@ class SessionManager {
             // Update cache
             this.cache.set(`session_${sessionId}`, session);
             
-            // Save to disk
+            // Persist to the session store
             this.saveSession(session);
             
-            console.log(`🔄 Updated session: ${sessionId}`);
+            logger.info(`🔄 Updated session: ${sessionId}`);
             
             return {
                 success: true,
@@ -201,7 +223,7 @@ class SessionManager {
             };
             
         } catch (error) {
-            console.error('Error updating session:', error);
+            logger.error('Error updating session:', error);
             this.stats.errors++;
             
             return {
@@ -227,16 +249,14 @@ class SessionManager {
             // Remove from cache
             this.cache.del(`session_${sessionId}`);
             
-            // Delete session directory
-            const sessionDir = path.join(this.sessionDir, sessionId);
-            if (await fs.pathExists(sessionDir)) {
-                await fs.remove(sessionDir);
-            }
+            // Delete auth state and session info
+            await this.store.removeSession(sessionId);
+            this.coordinator.publish('session_deleted', { sessionId });
             
             this.stats.activeSessions--;
             this.stats.totalDeleted++;
             
-            console.log(`🗑️ Deleted session: ${sessionId}`);
+            logger.info(`🗑️ Deleted session: ${sessionId}`);
             
             return {
                 success: true,
@@ -244,7 +264,7 @@ class SessionManager {
             };
             
         } catch (error) {
-            console.error('Error deleting session:', error);
+            logger.error('Error deleting session:', error);
             this.stats.errors++;
             
             return {
@@ -266,12 +286,12 @@ class SessionManager {
                 }
             }
             
-            console.log(`🧹 Cleaned up ${cleaned} expired sessions`);
+            logger.info(`🧹 Cleaned up ${cleaned} expired sessions`);
             
             return cleaned;
             
         } catch (error) {
-            console.error('Error cleaning up sessions:', error);
+            logger.error('Error cleaning up sessions:', error);
             return 0;
         }
     }
@@ -304,24 +324,16 @@ class SessionManager {
 
     async getSessionStorageInfo(sessionId) {
         try {
-            const sessionDir = path.join(this.sessionDir, sessionId);
+            const { files, fileCount, totalSize } = await this.store.stat(sessionId);
             
-            if (!await fs.pathExists(sessionDir)) {
+            if (fileCount === 0) {
                 return { exists: false };
             }
             
-            const files = await fs.readdir(sessionDir);
-            let totalSize = 0;
-            
-            for (const file of files) {
-                const filePath = path.join(sessionDir, file);
-                const stats = await fs.stat(filePath);
-                totalSize += stats.size;
-            }
-            
             return {
                 exists: true,
-                fileCount: files.length,
+                backend: this.store.name,
+                fileCount: fileCount,
                 totalSize: totalSize,
                 sizeReadable: this.formatBytes(totalSize),
                 files: files
@@ -393,9 +405,13 @@ class SessionManager {
         }
     }
 
-    getStats() {
+    countSessions(tenant) {
+        return this.getAllSessions({ tenant }).length;
+    }
+
+    getStats(tenant = null) {
         const now = new Date();
-        const sessions = Array.from(this.sessions.values());
+        const sessions = this.getAllSessions({ tenant });
         
         // Calculate daily stats
         const today = new Date();
@@ -417,6 +433,18 @@ class SessionManager {
             byMethod[s.method] = (byMethod[s.method] || 0) + 1;
         });
         
+        if (tenant) {
+            return {
+                tenant: tenant,
+                total: sessions.length,
+                active: sessions.filter(s => s.status === 'active').length,
+                expired: sessions.filter(s => this.isSessionExpired(s)).length,
+                createdToday: createdToday,
+                byStatus: byStatus,
+                byMethod: byMethod
+            };
+        }
+        
         return {
             total: this.sessions.size,
             active: this.stats.activeSessions,
@@ -425,7 +453,8 @@ class SessionManager {
             byStatus: byStatus,
             byMethod: byMethod,
             storage: {
-                directory: this.sessionDir,
+                backend: this.store.name,
+                directory: this.store.baseDir || null,
                 sessionCount: this.sessions.size,
                 cacheSize: this.cache.keys().length
             },
@@ -433,110 +462,18 @@ class SessionManager {
         };
     }
 
-    // Backup and restore methods
-    async createBackup() {
-        try {
-            const backupId = `backup_${Date.now()}`;
-            const backupDir = path.join(__dirname, '../../backups', backupId);
-            await fs.ensureDir(backupDir);
-            
-            // Copy all session directories
-            const sessions = Array.from(this.sessions.values());
-            const backupData = {
-                timestamp: new Date().toISOString(),
-                sessionCount: sessions.length,
-                sessions: sessions
-            };
-            
-            // Save metadata
-            const metadataPath = path.join(backupDir, 'metadata.json');
-            await fs.writeJson(metadataPath, backupData, { spaces: 2 });
-            
-            // Copy session files
-            for (const session of sessions) {
-                const sourceDir = path.join(this.sessionDir, session.id);
-                const targetDir = path.join(backupDir, 'sessions', session.id);
-                
-                if (await fs.pathExists(sourceDir)) {
-                    await fs.copy(sourceDir, targetDir);
-                }
-            }
-            
-            console.log(`💾 Created backup: ${backupId}`);
-            
-            return {
-                success: true,
-                backupId: backupId,
-                path: backupDir,
-                size: await this.getDirectorySize(backupDir)
-            };
-            
-        } catch (error) {
-            console.error('Error creating backup:', error);
-            return {
-                success: false,
-                error: error.message
-            };
-        }
-    }
-
-    async restoreBackup(backupPath) {
-        try {
-            const metadataPath = path.join(backupPath, 'metadata.json');
-            
-            if (!await fs.pathExists(metadataPath)) {
-                throw new Error('Backup metadata not found');
-            }
-            
-            const metadata = await fs.readJson(metadataPath);
-            
-            // Restore sessions
-            for (const session of metadata.sessions) {
-                const sourceDir = path.join(backupPath, 'sessions', session.id);
-                const targetDir = path.join(this.sessionDir, session.id);
-                
-                if (await fs.pathExists(sourceDir)) {
-                    await fs.copy(sourceDir, targetDir);
-                    this.sessions.set(session.id, session);
-                }
-            }
-            
-            console.log(`🔄 Restored backup with ${metadata.sessions.length} sessions`);
-            
-            return {
-                success: true,
-                restored: metadata.sessions.length
-            };
-            
-        } catch (error) {
-            console.error('Error restoring backup:', error);
-            return {
-                success: false,
-                error: error.message
-            };
-        }
-    }
-
-    async getDirectorySize(dirPath) {
-        try {
-            const files = await fs.readdir(dirPath);
-            let totalSize = 0;
-            
-            for (const file of files) {
-                const filePath = path.join(dirPath, file);
-                const stats = await fs.stat(filePath);
-                
-                if (stats.isDirectory()) {
-                    totalSize += await this.getDirectorySize(filePath);
-                } else {
-                    totalSize += stats.size;
-                }
-            }
-            
-            return totalSize;
-        } catch (error) {
-            return 0;
+    // Track a session whose files were written straight to the store, e.g. by a restore
+    registerSession(session) {
+        session.tenant = session.tenant || 'default';
+        
+        if (!this.sessions.has(session.id)) {
+            this.stats.totalCreated++;
+            this.stats.activeSessions++;
         }
+        
+        this.sessions.set(session.id, session);
+        this.cache.set(`session_${session.id}`, session);
+        this.coordinator.publish('session_saved', { session });
     }
 
     // Utility methods
@@ -551,11 +488,53 @@ class SessionManager {
         return `WhatsApp_${phone}_${timestamp}`;
     }
 
+    subscribeToCluster() {
+        this.coordinator.subscribe('session_saved', ({ session }, from) => {
+            if (from === this.coordinator.workerId) return;
+            
+            if (!this.sessions.has(session.id)) {
+                this.stats.totalCreated++;
+                this.stats.activeSessions++;
+            }
+            
+            this.sessions.set(session.id, session);
+            this.cache.set(`session_${session.id}`, session);
+        });
+        
+        this.coordinator.subscribe('session_deleted', ({ sessionId }, from) => {
+            if (from === this.coordinator.workerId || !this.sessions.has(sessionId)) return;
+            
+            this.sessions.delete(sessionId);
+            this.cache.del(`session_${sessionId}`);
+            this.stats.activeSessions--;
+            this.stats.totalDeleted++;
+        });
+        
+        // WebSocket clients may be connected to any worker
+        this.coordinator.subscribe('session_update', ({ type, data }) => {
+            this.notifyListeners(type, data);
+        });
+    }
+
     // WebSocket broadcast for real-time updates
+    onUpdate(listener) {
+        this.updateListeners.push(listener);
+    }
+
     broadcastUpdate(type, data) {
-        // This would integrate with WebSocket server
-        // For now, we'll just log it
-        console.log(`📡 Broadcast: ${type}`, data);
+        logger.debug(`📡 Broadcast: ${type} (${data.sessionId})`);
+        this.coordinator.publish('session_update', { type, data });
+    }
+
+    // Only this worker's listeners
+    notifyListeners(type, data) {
+        this.updateListeners.forEach(listener => {
+            try {
+                listener(type, data);
+            } catch (error) {
+                logger.error(`Error in ${type} update listener:`, error);
+            }
+        });
     }
 }
 
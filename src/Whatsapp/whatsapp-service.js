@@ -0,0 +1,1031 @@
+const axios = require('axios');
+const { createBaileysPro } = require('./Baileys-pro');
+const SessionExporter = require('./session-exporter');
+const { SessionVault } = require('./encrypted-auth-state');
+const { getStore } = require('../storage');
+const { getCoordinator } = require('../utils/cluster-coordinator');
+const { toMessageContent, toJid } = require('../utils/message-schema');
+const { assertPublicUrl, agentsFor } = require('../webhooks/url-guard');
+const logger = require('../utils/logger').child({ module: 'whatsapp-service' });
+
+// WhatsApp's status codes for group requests, overall and per participant
+const GROUP_ERRORS = {
+    400: 'BAD_REQUEST',
+    401: 'NOT_AUTHORIZED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    406: 'NOT_ACCEPTABLE',
+    408: 'RECENTLY_LEFT',
+    409: 'CONFLICT',
+    500: 'GROUP_FULL'
+};
+
+function toGroup(group) {
+    return {
+        id: group.id,
+        subject: group.subject,
+        description: group.desc || null,
+        owner: group.owner || null,
+        createdAt: group.creation ? new Date(group.creation * 1000).toISOString() : null,
+        size: group.size || group.participants.length,
+        announce: Boolean(group.announce),
+        restrict: Boolean(group.restrict),
+        ephemeral: group.ephemeralDuration || 0,
+        participants: group.participants.map(participant => ({
+            id: participant.id,
+            admin: participant.admin || null
+        }))
+    };
+}
+
+// Pool of live BaileysPro sockets, one per session, owned by this worker
+class WhatsAppService {
+    constructor(options = {}) {
+        this.sessionManager = options.sessionManager || null;
+        this.store = options.store || getStore();
+        this.coordinator = options.coordinator || getCoordinator();
+        this.sessionExporter = options.sessionExporter || new SessionExporter({
+            sessionManager: this.sessionManager,
+            store: this.store,
+            coordinator: this.coordinator
+        });
+
+        // Pushes this pool's session events to their webhooks, when configured
+        this.webhooks = options.webhookManager || null;
+
+        // Downloads inbound media for this pool's sessions, when configured
+        this.mediaStore = options.mediaStore || null;
+
+        // Messages, chats and contacts of this pool's sessions, when configured
+        this.messageStore = options.messageStore || null;
+
+        this.connections = new Map();
+
+        // How long connectSession waits for an already linked session to open
+        this.connectTimeout = options.connectTimeout || 30000;
+
+        // How long testConnection waits on a pooled socket that is still connecting
+        this.testTimeout = options.testTimeout || 30000;
+
+        // Reconnecting active sessions after a restart
+        this.resumeOptions = {
+            enabled: process.env.AUTO_RESUME !== 'false',
+            concurrency: parseInt(process.env.RESUME_CONCURRENCY, 10) || 5,
+            stagger: parseInt(process.env.RESUME_STAGGER_MS, 10) || 2000
+        };
+
+        this.resumeProgress = {
+            status: 'idle',
+            total: 0,
+            resumed: 0,
+            awaitingOpen: 0,
+            skipped: 0,
+            failed: 0,
+            startedAt: null,
+            finishedAt: null
+        };
+
+        // Another worker took the session over, so our socket must go
+        this.coordinator.on('leaseLost', (sessionId) => {
+            this.disconnectSession(sessionId).catch(() => {});
+        });
+
+        // Another worker is about to rewrite this session's creds (import, restore)
+        this.coordinator.subscribe('session_release', ({ sessionId }) => {
+            if (this.connections.has(sessionId)) {
+                this.disconnectSession(sessionId).catch(() => {});
+            }
+        });
+
+        // Imports close this pool's sockets before overwriting their creds
+        if (!this.sessionExporter.whatsappService) {
+            this.sessionExporter.whatsappService = this;
+        }
+    }
+
+    // Returns the live instance for a session, creating and starting it if needed
+    async openConnection(sessionId, phone) {
+        if (this.connections.has(sessionId)) {
+            return this.connections.get(sessionId);
+        }
+
+        // Only one worker may hold a live socket for a session
+        const lease = await this.coordinator.acquireLease(sessionId);
+        if (!lease.acquired) {
+            const error = new Error(`Session ${sessionId} is owned by worker ${lease.owner.workerId}`);
+            error.code = 'SESSION_OWNED_ELSEWHERE';
+            throw error;
+        }
+
+        const baileys = createBaileysPro({
+            sessionId: sessionId,
+            phoneNumber: phone,
+            messageStore: this.messageStore
+        });
+
+        this.wireEvents(baileys);
+        this.connections.set(sessionId, baileys);
+
+        try {
+            await baileys.initialize();
+        } catch (error) {
+            this.connections.delete(sessionId);
+            await this.coordinator.releaseLease(sessionId).catch(() => {});
+            throw error;
+        }
+
+        return baileys;
+    }
+
+    wireEvents(baileys) {
+        const sessionId = baileys.sessionId;
+
+        baileys.on('connecting', () => {
+            this.broadcast(sessionId, 'connecting');
+        });
+
+        baileys.on('connected', () => {
+            logger.info(`🔗 Session ${sessionId} connected`);
+            this.broadcast(sessionId, 'open');
+
+            const session = this.sessionManager && this.sessionManager.getSession(sessionId);
+            if (session) {
+                this.sessionManager.updateSession(sessionId, {
+                    status: 'active',
+                    connectedAt: new Date(),
+                    stats: {
+                        ...session.stats,
+                        connectionAttempts: (session.stats?.connectionAttempts || 0) + 1,
+                        lastConnection: new Date()
+                    }
+                });
+            }
+        });
+
+        baileys.on('disconnected', ({ reason, statusCode }) => {
+            this.broadcast(sessionId, 'closed', { reason, statusCode });
+        });
+
+        baileys.on('reconnecting', ({ attempt, delay, circuit }) => {
+            this.broadcast(sessionId, 'reconnecting', { attempt, delay, circuit });
+        });
+
+        baileys.on('circuitOpen', ({ attempts, retryIn }) => {
+            logger.warn(`⛔ Session ${sessionId} keeps failing to reconnect, backing off for ${retryIn}ms`);
+            this.broadcast(sessionId, 'circuit_open', { attempts, retryIn });
+        });
+
+        // Another client took the session over; step aside instead of fighting it
+        baileys.on('replaced', () => {
+            this.broadcast(sessionId, 'replaced');
+            this.dropConnection(sessionId);
+        });
+
+        baileys.on('quarantined', ({ statusCode }) => {
+            this.broadcast(sessionId, 'quarantined', { statusCode });
+
+            if (this.sessionManager && this.sessionManager.getSession(sessionId)) {
+                this.sessionManager.updateSession(sessionId, {
+                    status: 'quarantined',
+                    quarantinedAt: new Date()
+                });
+            }
+
+            this.dropConnection(sessionId);
+        });
+
+        baileys.on('loggedOut', () => {
+            this.broadcast(sessionId, 'logged_out');
+
+            if (this.sessionManager && this.sessionManager.getSession(sessionId)) {
+                this.sessionManager.updateSession(sessionId, {
+                    status: 'logged_out'
+                });
+            }
+
+            this.dropConnection(sessionId);
+        });
+
+        if (this.webhooks) {
+            this.webhooks.attach(baileys);
+        }
+
+        if (this.mediaStore) {
+            this.mediaStore.attach(baileys);
+        }
+    }
+
+    // The socket is already gone; forget it and free the session for other workers
+    dropConnection(sessionId) {
+        const baileys = this.connections.get(sessionId);
+        if (!baileys) return;
+
+        this.connections.delete(sessionId);
+        baileys.close();
+        this.coordinator.releaseLease(sessionId).catch(() => {});
+
+        if (this.webhooks) {
+            this.webhooks.detach(sessionId);
+        }
+    }
+
+    broadcast(sessionId, type, data = {}) {
+        if (!this.sessionManager) return;
+
+        this.sessionManager.broadcastUpdate(type, {
+            sessionId: sessionId,
+            ...data
+        });
+    }
+
+    getInstance(sessionId) {
+        return this.connections.get(sessionId) || null;
+    }
+
+    async connectSession(sessionId, phone) {
+        try {
+            const baileys = await this.openConnection(sessionId, phone);
+
+            if (baileys.isConnected) {
+                return {
+                    success: true,
+                    sessionId: sessionId,
+                    status: 'connected',
+                    connection: this.getConnection(sessionId)
+                };
+            }
+
+            // Not linked yet: the socket stays up waiting for the phone
+            if (!baileys.state?.creds?.me) {
+                return {
+                    success: true,
+                    sessionId: sessionId,
+                    status: 'awaiting_link',
+                    connection: this.getConnection(sessionId)
+                };
+            }
+
+            const outcome = await this.waitForOpen(baileys, this.connectTimeout);
+
+            if (outcome === 'logged_out') {
+                return {
+                    success: false,
+                    error: 'LOGGED_OUT',
+                    message: 'WhatsApp rejected the session credentials'
+                };
+            }
+
+            if (outcome === 'timeout') {
+                return {
+                    success: false,
+                    error: 'CONNECTION_TIMEOUT',
+                    message: 'WhatsApp did not open the connection in time'
+                };
+            }
+
+            return {
+                success: true,
+                sessionId: sessionId,
+                status: 'connected',
+                connection: this.getConnection(sessionId)
+            };
+
+        } catch (error) {
+            logger.error(`❌ Failed to connect session ${sessionId}:`, error);
+
+            return {
+                success: false,
+                error: error.code || 'CONNECTION_FAILED',
+                message: error.message
+            };
+        }
+    }
+
+    // Resolves 'open', 'logged_out' or 'timeout'
+    waitForOpen(baileys, timeout) {
+        if (baileys.isConnected) {
+            return Promise.resolve('open');
+        }
+
+        return new Promise((resolve) => {
+            const done = (result) => {
+                clearTimeout(timer);
+                baileys.off('connected', onOpen);
+                baileys.off('loggedOut', onLoggedOut);
+                resolve(result);
+            };
+
+            const onOpen = () => done('open');
+            const onLoggedOut = () => done('logged_out');
+            const timer = setTimeout(() => done('timeout'), timeout);
+
+            baileys.on('connected', onOpen);
+            baileys.on('loggedOut', onLoggedOut);
+        });
+    }
+
+    // Reconnect every active, linked session; at most `concurrency` sockets are
+    // opening at once and each start is spaced `stagger` ms after the previous one
+    async resumeSessions(options = {}) {
+        const { enabled, concurrency, stagger } = { ...this.resumeOptions, ...options };
+
+        if (!enabled || !this.sessionManager) {
+            this.resumeProgress.status = 'disabled';
+            return this.resumeProgress;
+        }
+
+        await this.sessionManager.ready;
+
+        const queue = this.sessionManager.getAllSessions({ status: 'active' })
+            .filter(session => !this.sessionManager.isSessionExpired(session));
+
+        this.resumeProgress = {
+            status: 'running',
+            total: queue.length,
+            resumed: 0,
+            awaitingOpen: 0,
+            skipped: 0,
+            failed: 0,
+            startedAt: new Date(),
+            finishedAt: null
+        };
+
+        logger.info(`♻️ Resuming ${queue.length} active sessions (concurrency ${concurrency}, stagger ${stagger}ms)`);
+
+        let nextStart = Date.now();
+
+        const runWorker = async () => {
+            while (queue.length > 0) {
+                const session = queue.shift();
+
+                const startAt = Math.max(Date.now(), nextStart);
+                nextStart = startAt + stagger;
+
+                if (startAt > Date.now()) {
+                    await new Promise(resolve => setTimeout(resolve, startAt - Date.now()));
+                }
+
+                const outcome = await this.resumeSession(session);
+                this.resumeProgress[outcome]++;
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, runWorker));
+
+        this.resumeProgress.status = 'done';
+        this.resumeProgress.finishedAt = new Date();
+
+        const { resumed, awaitingOpen, skipped, failed } = this.resumeProgress;
+        logger.info(`♻️ Resume finished: ${resumed} connected, ${awaitingOpen} still opening, ${skipped} skipped, ${failed} failed`);
+
+        return this.resumeProgress;
+    }
+
+    // Returns which resumeProgress counter the session belongs in
+    async resumeSession(session) {
+        try {
+            if (this.connections.has(session.id)) {
+                return 'skipped';
+            }
+
+            // Another worker already picked this one up
+            const owner = await this.coordinator.getOwner(session.id);
+            if (!this.coordinator.isLocal(owner)) {
+                return 'skipped';
+            }
+
+            const vault = new SessionVault(session.id, { store: this.store });
+            const creds = await vault.readJson('creds.json');
+
+            if (!this.sessionExporter.isLinked(creds)) {
+                logger.warn(`⚠️ Session ${session.id} is active but has no linked creds, not resuming`);
+                return 'skipped';
+            }
+
+            const result = await this.connectSession(session.id, session.phone);
+
+            if (result.success) {
+                return 'resumed';
+            }
+
+            if (result.error === 'SESSION_OWNED_ELSEWHERE') {
+                return 'skipped';
+            }
+
+            // The socket stays up and keeps retrying in the background
+            if (result.error === 'CONNECTION_TIMEOUT') {
+                return 'awaitingOpen';
+            }
+
+            return 'failed';
+
+        } catch (error) {
+            logger.error(`❌ Failed to resume session ${session.id}:`, error);
+            return 'failed';
+        }
+    }
+
+    getResumeStatus() {
+        return {
+            ...this.resumeProgress,
+            remaining: this.resumeProgress.total - this.resumeProgress.resumed -
+                this.resumeProgress.awaitingOpen - this.resumeProgress.skipped - this.resumeProgress.failed
+        };
+    }
+
+    // Counts only, nothing per session or tenant, so /health can show it without a key
+    getResumeSummary() {
+        const { total, resumed, awaitingOpen, skipped, failed } = this.resumeProgress;
+        const done = resumed + awaitingOpen + skipped;
+
+        return {
+            total: total,
+            done: done,
+            failed: failed,
+            inProgress: total - done - failed
+        };
+    }
+
+    getConnection(sessionId) {
+        const baileys = this.connections.get(sessionId);
+        if (!baileys) return null;
+
+        return {
+            sessionId: sessionId,
+            phoneNumber: baileys.phoneNumber,
+            connected: baileys.isConnected,
+            connecting: baileys.isConnecting,
+            workerId: this.coordinator.workerId
+        };
+    }
+
+    getSessionStats(sessionId) {
+        const baileys = this.connections.get(sessionId);
+        if (!baileys) return null;
+
+        const { connectedAt } = baileys.stats;
+
+        return {
+            ...baileys.stats,
+            uptime: baileys.isConnected && connectedAt
+                ? Math.floor((Date.now() - new Date(connectedAt)) / 1000)
+                : 0
+        };
+    }
+
+    async testConnection(sessionId) {
+        try {
+            const baileys = this.connections.get(sessionId);
+
+            // A pooled socket is the session's only socket: report on it rather than open a
+            // second one, which would share this worker's lease and then release it
+            if (baileys) {
+                if (!baileys.state?.creds?.me) {
+                    return {
+                        success: false,
+                        message: 'Session is waiting to be linked',
+                        data: {
+                            error: 'AWAITING_LINK',
+                            connection: this.getConnection(sessionId)
+                        }
+                    };
+                }
+
+                const outcome = await this.waitForOpen(baileys, this.testTimeout);
+
+                if (outcome === 'logged_out') {
+                    return {
+                        success: false,
+                        message: 'WhatsApp rejected the session credentials',
+                        data: {
+                            error: 'LOGGED_OUT'
+                        }
+                    };
+                }
+
+                if (outcome === 'timeout') {
+                    return {
+                        success: false,
+                        message: 'WhatsApp did not open the connection in time',
+                        data: {
+                            error: 'CONNECTION_TIMEOUT',
+                            connection: this.getConnection(sessionId)
+                        }
+                    };
+                }
+
+                return {
+                    success: true,
+                    message: 'Session is connected',
+                    data: {
+                        connection: this.getConnection(sessionId),
+                        stats: this.getSessionStats(sessionId)
+                    }
+                };
+            }
+
+            const session = this.sessionManager && this.sessionManager.getSession(sessionId);
+            const result = await this.sessionExporter.testSession(sessionId, session ? session.phone : undefined);
+
+            return {
+                success: result.success,
+                message: result.message,
+                data: {
+                    error: result.error || null
+                }
+            };
+
+        } catch (error) {
+            logger.error(`❌ Test connection failed for ${sessionId}:`, error);
+
+            return {
+                success: false,
+                message: error.message,
+                data: {
+                    error: 'TEST_FAILED'
+                }
+            };
+        }
+    }
+
+    // Send a message validated by utils/message-schema
+    async sendMessage(sessionId, message) {
+        const baileys = this.connections.get(sessionId);
+
+        if (!baileys || !baileys.isConnected) {
+            return {
+                success: false,
+                error: 'NOT_CONNECTED',
+                message: 'Session is not connected to WhatsApp'
+            };
+        }
+
+        let quoted;
+        if (message.quoted) {
+            quoted = this.messageStore
+                ? await this.messageStore.getMessage(sessionId, { id: message.quoted })
+                : null;
+
+            if (!quoted) {
+                return {
+                    success: false,
+                    error: 'QUOTED_NOT_FOUND',
+                    message: `Message ${message.quoted} is not available to quote`
+                };
+            }
+        }
+
+        const content = toMessageContent(message);
+        if (message.url) {
+            const media = await this.fetchMedia(message.url);
+            if (!media.success) return media;
+            content[message.type] = media.data;
+        }
+
+        const result = await baileys.sendMessage(message.to, content, {
+            quoted: quoted,
+            expiresIn: message.expiresIn
+        });
+
+        if (!result.success) {
+            return {
+                success: false,
+                error: 'SEND_FAILED',
+                message: result.error
+            };
+        }
+
+        return {
+            success: true,
+            messageId: result.messageId,
+            to: message.to,
+            type: message.type,
+            timestamp: result.timestamp
+        };
+    }
+
+    // Downloads a message's media here rather than letting Baileys follow the URL, so the
+    // same private-address checks as webhooks apply and the size is capped
+    async fetchMedia(url) {
+        const maxSize = parseInt(process.env.MEDIA_MAX_FILE_SIZE, 10) || 64 * 1024 * 1024;
+
+        try {
+            // DNS may have changed since the message was queued
+            await assertPublicUrl(url);
+
+            const response = await axios.get(url, {
+                ...agentsFor(url),
+                timeout: 30000,
+                maxRedirects: 0,
+                maxContentLength: maxSize,
+                responseType: 'arraybuffer'
+            });
+
+            return { success: true, data: Buffer.from(response.data) };
+        } catch (error) {
+            if (error.code === 'WEBHOOK_URL_BLOCKED') {
+                return { success: false, error: 'MEDIA_URL_BLOCKED', message: error.message };
+            }
+
+            if (error.code === 'ERR_BAD_RESPONSE' && /maxContentLength/.test(error.message)) {
+                return {
+                    success: false,
+                    error: 'MEDIA_TOO_LARGE',
+                    message: `Media is larger than MEDIA_MAX_FILE_SIZE (${maxSize} bytes)`
+                };
+            }
+
+            return {
+                success: false,
+                error: 'MEDIA_FETCH_FAILED',
+                message: `Could not download ${url}: ${error.response ? `HTTP ${error.response.status}` : error.code || error.message}`
+            };
+        }
+    }
+
+    // Groups the account is in, straight from WhatsApp; query matches the ID or subject
+    async getGroups(sessionId, options = {}) {
+        const baileys = this.connections.get(sessionId);
+
+        if (!baileys || !baileys.isConnected) {
+            return {
+                success: false,
+                error: 'NOT_CONNECTED',
+                message: 'Session is not connected to WhatsApp'
+            };
+        }
+
+        const result = await baileys.getGroups();
+
+        if (!result.success) {
+            return {
+                success: false,
+                error: 'FETCH_FAILED',
+                message: result.error
+            };
+        }
+
+        const query = options.query ? options.query.toLowerCase() : null;
+        const groups = Object.values(result.groups)
+            .filter(group => !query || group.id.toLowerCase().includes(query) || (group.subject || '').toLowerCase().includes(query))
+            .map(toGroup)
+            .sort((a, b) => (a.subject || '').localeCompare(b.subject || ''));
+
+        return {
+            success: true,
+            groups: groups
+        };
+    }
+
+    // Runs a BaileysPro group call on a connected session, naming WhatsApp's error code on failure
+    async groupAction(sessionId, action) {
+        const baileys = this.connections.get(sessionId);
+
+        if (!baileys || !baileys.isConnected) {
+            return {
+                success: false,
+                error: 'NOT_CONNECTED',
+                message: 'Session is not connected to WhatsApp'
+            };
+        }
+
+        const result = await action(baileys);
+
+        if (!result.success) {
+            return {
+                success: false,
+                error: GROUP_ERRORS[result.statusCode] || 'GROUP_ACTION_FAILED',
+                message: result.error
+            };
+        }
+
+        return result;
+    }
+
+    async getGroup(sessionId, groupJid) {
+        const result = await this.groupAction(sessionId, baileys => baileys.getGroupMetadata(groupJid));
+        return result.success ? { success: true, group: toGroup(result.group) } : result;
+    }
+
+    // Participants WhatsApp left out of the new group (privacy settings, not on WhatsApp) are reported as failed
+    async createGroup(sessionId, subject, participants) {
+        const result = await this.groupAction(sessionId, baileys => baileys.createGroup(subject, participants));
+        if (!result.success) return result;
+
+        const group = toGroup(result.group);
+        const added = new Set(group.participants.map(participant => participant.id));
+
+        return {
+            success: true,
+            group: group,
+            participants: participants.map(jid => added.has(jid)
+                ? { jid: jid, success: true, error: null }
+                : { jid: jid, success: false, error: 'NOT_ADDED' })
+        };
+    }
+
+    async updateGroupParticipants(sessionId, groupJid, action, participants) {
+        const result = await this.groupAction(sessionId, baileys => baileys.updateGroupParticipants(groupJid, participants, action));
+        if (!result.success) return result;
+
+        const byJid = new Map(result.results.map(entry => [entry.jid, entry.status]));
+        const results = participants.map(jid => {
+            const status = byJid.get(jid);
+
+            if (status === '200') {
+                return { jid: jid, success: true, error: null };
+            }
+
+            return {
+                jid: jid,
+                success: false,
+                error: status ? GROUP_ERRORS[status] || `ERROR_${status}` : 'NO_RESPONSE'
+            };
+        });
+
+        return {
+            success: true,
+            action: action,
+            participants: results,
+            succeeded: results.filter(entry => entry.success).length,
+            failed: results.filter(entry => !entry.success).length
+        };
+    }
+
+    // Applies each requested change in turn; one failing does not stop the rest
+    async updateGroup(sessionId, groupJid, changes) {
+        const steps = [];
+
+        if (changes.subject !== undefined) {
+            steps.push(['subject', baileys => baileys.updateGroupSubject(groupJid, changes.subject)]);
+        }
+        if (changes.description !== undefined) {
+            steps.push(['description', baileys => baileys.updateGroupDescription(groupJid, changes.description)]);
+        }
+        if (changes.announce !== undefined) {
+            steps.push(['announce', baileys => baileys.updateGroupSetting(groupJid, changes.announce ? 'announcement' : 'not_announcement')]);
+        }
+        if (changes.locked !== undefined) {
+            steps.push(['locked', baileys => baileys.updateGroupSetting(groupJid, changes.locked ? 'locked' : 'unlocked')]);
+        }
+        if (changes.ephemeral !== undefined) {
+            steps.push(['ephemeral', baileys => baileys.updateGroupEphemeral(groupJid, changes.ephemeral)]);
+        }
+
+        const results = [];
+
+        for (const [field, action] of steps) {
+            const result = await this.groupAction(sessionId, action);
+
+            if (result.error === 'NOT_CONNECTED') return result;
+
+            results.push({
+                field: field,
+                success: result.success,
+                error: result.success ? null : result.error,
+                message: result.success ? null : result.message
+            });
+        }
+
+        return {
+            success: results.some(entry => entry.success),
+            changes: results
+        };
+    }
+
+    async getGroupInvite(sessionId, groupJid, options = {}) {
+        const result = await this.groupAction(sessionId, baileys => options.revoke
+            ? baileys.revokeGroupInviteCode(groupJid)
+            : baileys.getGroupInviteCode(groupJid));
+
+        if (!result.success) return result;
+
+        return {
+            success: true,
+            code: result.code,
+            link: `https://chat.whatsapp.com/${result.code}`
+        };
+    }
+
+    async leaveGroup(sessionId, groupJid) {
+        return this.groupAction(sessionId, baileys => baileys.leaveGroup(groupJid));
+    }
+
+    async getProfilePicture(sessionId, jid) {
+        const baileys = this.connections.get(sessionId);
+
+        if (!baileys || !baileys.isConnected) {
+            return {
+                success: false,
+                error: 'NOT_CONNECTED',
+                message: 'Session is not connected to WhatsApp'
+            };
+        }
+
+        const result = await baileys.getProfilePicture(toJid(jid));
+
+        if (!result.success) {
+            return {
+                success: false,
+                error: 'NO_PROFILE_PICTURE',
+                message: result.error
+            };
+        }
+
+        return {
+            success: true,
+            jid: toJid(jid),
+            url: result.url
+        };
+    }
+
+    // Close the socket; with logout the device is also unlinked from the phone
+    async disconnectSession(sessionId, options = {}) {
+        const baileys = this.connections.get(sessionId);
+
+        if (!baileys) {
+            return {
+                success: false,
+                error: 'NOT_CONNECTED',
+                message: `Session ${sessionId} has no live connection on this worker`
+            };
+        }
+
+        this.connections.delete(sessionId);
+
+        if (this.webhooks) {
+            this.webhooks.detach(sessionId);
+        }
+
+        try {
+            if (options.logout) {
+                await baileys.cleanup();
+            } else {
+                await baileys.close();
+                baileys.listeners.clear();
+            }
+
+            return {
+                success: true,
+                sessionId: sessionId,
+                message: options.logout ? 'Session logged out' : 'Session disconnected'
+            };
+
+        } catch (error) {
+            logger.error(`❌ Failed to disconnect session ${sessionId}:`, error);
+
+            return {
+                success: false,
+                error: 'DISCONNECT_FAILED',
+                message: error.message
+            };
+        } finally {
+            await this.coordinator.releaseLease(sessionId).catch(() => {});
+        }
+    }
+
+    // Close a session's socket on whichever worker holds it, keeping the device linked, and
+    // wait for its lease to go; a socket left open would write its own creds over new ones
+    async releaseSession(sessionId, timeout = 10000) {
+        if (this.connections.has(sessionId)) {
+            await this.disconnectSession(sessionId);
+        }
+
+        if (!await this.coordinator.getOwner(sessionId)) {
+            return true;
+        }
+
+        this.coordinator.publish('session_release', { sessionId });
+
+        const deadline = Date.now() + timeout;
+        while (Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, 250));
+
+            if (!await this.coordinator.getOwner(sessionId)) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    // Used on shutdown: close sockets but keep every device linked
+    async disconnectAll() {
+        const sessionIds = Array.from(this.connections.keys());
+        const results = await Promise.all(sessionIds.map(sessionId => this.disconnectSession(sessionId)));
+
+        const disconnected = results.filter(result => result.success).length;
+        logger.info(`🔌 Disconnected ${disconnected}/${sessionIds.length} sessions`);
+
+        return {
+            success: true,
+            disconnected: disconnected,
+            failed: sessionIds.length - disconnected
+        };
+    }
+
+    // Make sure the latest creds are persisted and report what is stored
+    async createSessionFiles(sessionId) {
+        const baileys = this.connections.get(sessionId);
+
+        if (baileys && baileys.saveCreds) {
+            await baileys.saveCreds();
+        }
+
+        return await this.getSessionFiles(sessionId);
+    }
+
+    async getSessionFiles(sessionId) {
+        try {
+            const { files, fileCount, totalSize } = await this.store.stat(sessionId);
+
+            return {
+                success: true,
+                exists: fileCount > 0,
+                backend: this.store.name,
+                fileCount: fileCount,
+                totalSize: totalSize,
+                files: files
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: 'STORAGE_ERROR',
+                message: error.message
+            };
+        }
+    }
+
+    async deleteSessionFiles(sessionId) {
+        try {
+            await this.store.removeSession(sessionId);
+
+            return {
+                success: true,
+                sessionId: sessionId
+            };
+
+        } catch (error) {
+            logger.error(`❌ Failed to delete files for ${sessionId}:`, error);
+
+            return {
+                success: false,
+                error: 'DELETE_FAILED',
+                message: error.message
+            };
+        }
+    }
+
+    packageSessionFiles(sessionId, format = 'zip') {
+        return this.sessionExporter.packageSessionFiles(sessionId, format);
+    }
+
+    async getStorageStats() {
+        try {
+            const sessionIds = await this.store.listSessions();
+            let totalSize = 0;
+            let fileCount = 0;
+
+            for (const sessionId of sessionIds) {
+                const stat = await this.store.stat(sessionId);
+                totalSize += stat.totalSize;
+                fileCount += stat.fileCount;
+            }
+
+            return {
+                backend: this.store.name,
+                sessions: sessionIds.length,
+                fileCount: fileCount,
+                totalSize: totalSize
+            };
+
+        } catch (error) {
+            return {
+                backend: this.store.name,
+                error: error.message
+            };
+        }
+    }
+
+    isConnected() {
+        return Array.from(this.connections.values()).some(baileys => baileys.isConnected);
+    }
+
+    // Optionally limited to the given session IDs, e.g. one tenant's
+    getStats(sessionIds = null) {
+        const connections = Array.from(this.connections.values())
+            .filter(baileys => !sessionIds || sessionIds.includes(baileys.sessionId));
+
+        return {
+            total: connections.length,
+            connected: connections.filter(baileys => baileys.isConnected).length,
+            connecting: connections.filter(baileys => baileys.isConnecting).length,
+            messagesSent: connections.reduce((total, baileys) => total + baileys.stats.messagesSent, 0),
+            messagesReceived: connections.reduce((total, baileys) => total + baileys.stats.messagesReceived, 0),
+            workerId: this.coordinator.workerId
+        };
+    }
+}
+
+module.exports = WhatsAppService;
@@ -0,0 +1,31 @@
+const LocalTarget = require('./local-target');
+
+// Every target implements the same interface, keyed by file name:
+//   upload(localPath, name), download(name, localPath), list, delete, close
+const backends = {
+    local: () => LocalTarget,
+    s3: () => require('./s3-target'),
+    sftp: () => require('./sftp-target')
+};
+
+function createBackupTarget(backend, options = {}) {
+    if (!backends[backend]) {
+        throw new Error(`Unknown backup target: ${backend}. Use one of ${Object.keys(backends).join(', ')}`);
+    }
+
+    const Target = backends[backend]();
+    return new Target(options);
+}
+
+// BACKUP_TARGETS is a comma-separated list, e.g. "s3,sftp"; empty keeps backups on this machine only
+function createBackupTargets(names = process.env.BACKUP_TARGETS || '') {
+    return names.split(',')
+        .map(name => name.trim())
+        .filter(Boolean)
+        .map(name => createBackupTarget(name));
+}
+
+module.exports = {
+    createBackupTarget,
+    createBackupTargets
+};
@@ -0,0 +1,47 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// Copies backups to another directory, typically a mounted network or external disk
+class LocalTarget {
+    constructor(options = {}) {
+        this.name = 'local';
+        this.dir = options.dir || process.env.BACKUP_TARGET_DIR;
+
+        if (!this.dir) {
+            throw new Error('BACKUP_TARGET_DIR must be set to use the local backup target');
+        }
+    }
+
+    filePath(name) {
+        if (name !== path.basename(name)) {
+            throw new Error(`Invalid backup file name: ${name}`);
+        }
+
+        return path.join(this.dir, name);
+    }
+
+    async upload(localPath, name) {
+        await fs.ensureDir(this.dir);
+
+        const tmpPath = `${this.filePath(name)}.${process.pid}.tmp`;
+        await fs.copy(localPath, tmpPath);
+        await fs.rename(tmpPath, this.filePath(name));
+    }
+
+    async download(name, localPath) {
+        await fs.copy(this.filePath(name), localPath);
+    }
+
+    async list() {
+        if (!await fs.pathExists(this.dir)) return [];
+        return (await fs.readdir(this.dir)).filter(file => !file.endsWith('.tmp'));
+    }
+
+    async delete(name) {
+        await fs.remove(this.filePath(name));
+    }
+
+    async close() {}
+}
+
+module.exports = LocalTarget;
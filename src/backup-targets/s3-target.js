@@ -0,0 +1,90 @@
+const fs = require('fs-extra');
+const { pipeline } = require('stream/promises');
+const {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    ListObjectsV2Command,
+    DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+
+// Any S3-compatible bucket; set S3_ENDPOINT for MinIO, R2, Spaces and the like
+class S3Target {
+    constructor(options = {}) {
+        this.name = 's3';
+        this.bucket = options.bucket || process.env.S3_BUCKET;
+        this.prefix = options.prefix !== undefined ? options.prefix : (process.env.S3_PREFIX || 'backups/');
+
+        if (!this.bucket) {
+            throw new Error('S3_BUCKET must be set to use the s3 backup target');
+        }
+
+        const endpoint = options.endpoint || process.env.S3_ENDPOINT;
+
+        // Credentials come from AWS_ACCESS_KEY_ID / AWS_SECRET_ACCESS_KEY or the usual AWS chain
+        this.client = new S3Client({
+            region: options.region || process.env.AWS_REGION || 'us-east-1',
+            endpoint: endpoint || undefined,
+            // Most S3 stand-ins only support path-style URLs
+            forcePathStyle: Boolean(endpoint) || process.env.S3_FORCE_PATH_STYLE === 'true',
+            // Streamed uploads otherwise get trailing checksums, which not every stand-in accepts
+            requestChecksumCalculation: 'WHEN_REQUIRED',
+            responseChecksumValidation: 'WHEN_REQUIRED'
+        });
+    }
+
+    key(name) {
+        return `${this.prefix}${name}`;
+    }
+
+    async upload(localPath, name) {
+        const { size } = await fs.stat(localPath);
+
+        await this.client.send(new PutObjectCommand({
+            Bucket: this.bucket,
+            Key: this.key(name),
+            Body: fs.createReadStream(localPath),
+            ContentLength: size
+        }));
+    }
+
+    async download(name, localPath) {
+        const { Body } = await this.client.send(new GetObjectCommand({
+            Bucket: this.bucket,
+            Key: this.key(name)
+        }));
+
+        await pipeline(Body, fs.createWriteStream(localPath, { mode: 0o600 }));
+    }
+
+    async list() {
+        const names = [];
+        let token;
+
+        do {
+            const page = await this.client.send(new ListObjectsV2Command({
+                Bucket: this.bucket,
+                Prefix: this.prefix,
+                ContinuationToken: token
+            }));
+
+            (page.Contents || []).forEach(object => names.push(object.Key.slice(this.prefix.length)));
+            token = page.IsTruncated ? page.NextContinuationToken : undefined;
+        } while (token);
+
+        return names;
+    }
+
+    async delete(name) {
+        await this.client.send(new DeleteObjectCommand({
+            Bucket: this.bucket,
+            Key: this.key(name)
+        }));
+    }
+
+    async close() {
+        this.client.destroy();
+    }
+}
+
+module.exports = S3Target;
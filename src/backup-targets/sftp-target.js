@@ -0,0 +1,84 @@
+const fs = require('fs-extra');
+const path = require('path');
+const SftpClient = require('ssh2-sftp-client');
+
+// Copies backups to a directory on an SSH server; connects per operation, since
+// backups are infrequent and an idle SSH connection would not survive between them
+class SftpTarget {
+    constructor(options = {}) {
+        this.name = 'sftp';
+        this.dir = options.dir || process.env.SFTP_DIR || 'backups';
+
+        const privateKeyPath = options.privateKeyPath || process.env.SFTP_PRIVATE_KEY_PATH;
+
+        this.config = {
+            host: options.host || process.env.SFTP_HOST,
+            port: options.port || parseInt(process.env.SFTP_PORT, 10) || 22,
+            username: options.username || process.env.SFTP_USERNAME,
+            password: options.password || process.env.SFTP_PASSWORD || undefined,
+            privateKey: privateKeyPath ? fs.readFileSync(privateKeyPath) : undefined,
+            readyTimeout: 20000
+        };
+
+        if (!this.config.host || !this.config.username) {
+            throw new Error('SFTP_HOST and SFTP_USERNAME must be set to use the sftp backup target');
+        }
+    }
+
+    remotePath(name) {
+        if (name !== path.basename(name)) {
+            throw new Error(`Invalid backup file name: ${name}`);
+        }
+
+        return path.posix.join(this.dir, name);
+    }
+
+    async withClient(action) {
+        const client = new SftpClient();
+        await client.connect(this.config);
+
+        try {
+            return await action(client);
+        } finally {
+            await client.end();
+        }
+    }
+
+    async upload(localPath, name) {
+        await this.withClient(async client => {
+            await client.mkdir(this.dir, true);
+
+            // Upload under a temporary name so a half-sent archive never looks complete
+            const tmpPath = `${this.remotePath(name)}.tmp`;
+            await client.put(localPath, tmpPath);
+
+            if (await client.exists(this.remotePath(name))) {
+                await client.delete(this.remotePath(name));
+            }
+            await client.rename(tmpPath, this.remotePath(name));
+        });
+    }
+
+    async download(name, localPath) {
+        await this.withClient(client => client.fastGet(this.remotePath(name), localPath));
+    }
+
+    async list() {
+        return this.withClient(async client => {
+            if (!await client.exists(this.dir)) return [];
+
+            const entries = await client.list(this.dir);
+            return entries
+                .filter(entry => entry.type === '-' && !entry.name.endsWith('.tmp'))
+                .map(entry => entry.name);
+        });
+    }
+
+    async delete(name) {
+        await this.withClient(client => client.delete(this.remotePath(name), true));
+    }
+
+    async close() {}
+}
+
+module.exports = SftpTarget;
@@ -0,0 +1,268 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { Transform } = require('stream');
+const { getMediaContent } = require('../webhooks/event-normalizer');
+const logger = require('../utils/logger').child({ module: 'media-store' });
+
+const EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/gif': 'gif',
+    'video/mp4': 'mp4',
+    'video/3gpp': '3gp',
+    'audio/ogg': 'ogg',
+    'audio/mpeg': 'mp3',
+    'audio/mp4': 'm4a',
+    'audio/aac': 'aac',
+    'application/pdf': 'pdf',
+    'application/zip': 'zip'
+};
+
+// Inbound media, decrypted and kept per session as media/<sessionId>/<messageId>.media
+// next to a <messageId>.json metadata file
+class MediaStore {
+    constructor(options = {}) {
+        this.baseDir = options.baseDir || process.env.MEDIA_DIR || path.join(__dirname, '../../media');
+        this.maxFileSize = options.maxFileSize || parseInt(process.env.MEDIA_MAX_FILE_SIZE, 10) || 64 * 1024 * 1024;
+        this.maxSessionSize = options.maxSessionSize || parseInt(process.env.MEDIA_MAX_SESSION_SIZE, 10) || 512 * 1024 * 1024;
+        this.concurrency = options.concurrency || 3;
+
+        this.active = 0;
+        this.waiting = [];
+
+        fs.ensureDirSync(this.baseDir);
+    }
+
+    paths(sessionId, messageId) {
+        if (!/^[\w-]+$/.test(sessionId) || !/^[\w-]{1,128}$/.test(messageId)) {
+            throw new Error(`Invalid media path: ${sessionId}/${messageId}`);
+        }
+
+        const dir = path.join(this.baseDir, sessionId);
+
+        return {
+            dir: dir,
+            meta: path.join(dir, `${messageId}.json`),
+            file: path.join(dir, `${messageId}.media`)
+        };
+    }
+
+    // Download media from a BaileysPro instance's inbound messages as they arrive
+    attach(baileys) {
+        baileys.on('message', ({ message, type }) => {
+            // 'append' is history sync: old media that would only fill the quota
+            if (type !== 'notify' || !getMediaContent(message)) return;
+
+            this.save(baileys, message).catch(error => {
+                logger.error(`❌ Failed to store media ${message.key.id} for ${baileys.sessionId}:`, error);
+            });
+        });
+    }
+
+    async save(baileys, message) {
+        const media = getMediaContent(message);
+        const { meta, file, dir } = this.paths(baileys.sessionId, message.key.id);
+
+        const record = {
+            messageId: message.key.id,
+            sessionId: baileys.sessionId,
+            chat: message.key.remoteJid,
+            from: message.key.participant || message.key.remoteJid,
+            type: media.type,
+            mimetype: media.body.mimetype || 'application/octet-stream',
+            fileName: media.body.fileName || null,
+            size: media.body.fileLength ? Number(media.body.fileLength) : null,
+            status: 'pending',
+            error: null,
+            createdAt: new Date().toISOString(),
+            storedAt: null
+        };
+
+        await fs.ensureDir(dir);
+
+        if (record.size && record.size > this.maxFileSize) {
+            record.status = 'too_large';
+            record.error = `Larger than MEDIA_MAX_FILE_SIZE (${this.maxFileSize} bytes)`;
+            await this.writeMeta(meta, record);
+            return record;
+        }
+
+        await this.writeMeta(meta, record);
+        await this.acquire();
+
+        try {
+            record.size = await this.download(baileys, message, file);
+            record.status = 'stored';
+            record.storedAt = new Date().toISOString();
+        } catch (error) {
+            await fs.remove(file);
+            record.status = error.code === 'MEDIA_TOO_LARGE' ? 'too_large' : 'failed';
+            record.error = error.message;
+        } finally {
+            this.release();
+        }
+
+        await this.writeMeta(meta, record);
+
+        if (record.status === 'stored') {
+            await this.enforceQuota(baileys.sessionId);
+        }
+
+        return record;
+    }
+
+    // Streams to disk, aborting once the file passes maxFileSize
+    async download(baileys, message, file) {
+        const stream = await baileys.downloadMedia(message);
+        const tmpPath = `${file}.${process.pid}.tmp`;
+        const maxFileSize = this.maxFileSize;
+        let size = 0;
+
+        const limit = new Transform({
+            transform(chunk, encoding, callback) {
+                size += chunk.length;
+
+                if (size > maxFileSize) {
+                    const error = new Error(`Larger than MEDIA_MAX_FILE_SIZE (${maxFileSize} bytes)`);
+                    error.code = 'MEDIA_TOO_LARGE';
+                    return callback(error);
+                }
+
+                callback(null, chunk);
+            }
+        });
+
+        try {
+            await pipeline(stream, limit, fs.createWriteStream(tmpPath, { mode: 0o600 }));
+            await fs.rename(tmpPath, file);
+        } catch (error) {
+            await fs.remove(tmpPath);
+            throw error;
+        }
+
+        return size;
+    }
+
+    acquire() {
+        if (this.active < this.concurrency) {
+            this.active++;
+            return Promise.resolve();
+        }
+
+        return new Promise(resolve => this.waiting.push(resolve));
+    }
+
+    release() {
+        const next = this.waiting.shift();
+
+        if (next) {
+            next();
+        } else {
+            this.active--;
+        }
+    }
+
+    async writeMeta(metaPath, record) {
+        const tmpPath = `${metaPath}.${process.pid}.tmp`;
+        await fs.writeFile(tmpPath, JSON.stringify(record, null, 2), { mode: 0o600 });
+        await fs.rename(tmpPath, metaPath);
+    }
+
+    async get(sessionId, messageId) {
+        try {
+            return await fs.readJson(this.paths(sessionId, messageId).meta);
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    createReadStream(sessionId, messageId) {
+        return fs.createReadStream(this.paths(sessionId, messageId).file);
+    }
+
+    fileName(record) {
+        if (record.fileName) return record.fileName;
+
+        const mimetype = record.mimetype.split(';')[0].trim();
+        return `${record.messageId}.${EXTENSIONS[mimetype] || 'bin'}`;
+    }
+
+    async list(sessionId) {
+        const dir = path.join(this.baseDir, sessionId);
+        if (!/^[\w-]+$/.test(sessionId) || !await fs.pathExists(dir)) return [];
+
+        const records = [];
+
+        for (const file of await fs.readdir(dir)) {
+            if (!file.endsWith('.json')) continue;
+
+            try {
+                records.push(await fs.readJson(path.join(dir, file)));
+            } catch (error) {
+                // Half-written metadata is replaced on the next write
+            }
+        }
+
+        return records.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    // Evict the oldest stored files until the session is back under MEDIA_MAX_SESSION_SIZE
+    async enforceQuota(sessionId) {
+        const stored = (await this.list(sessionId)).filter(record => record.status === 'stored');
+        let total = stored.reduce((sum, record) => sum + (record.size || 0), 0);
+        let evicted = 0;
+
+        while (total > this.maxSessionSize && stored.length > 0) {
+            const oldest = stored.pop();
+            const { meta, file } = this.paths(sessionId, oldest.messageId);
+
+            await fs.remove(file);
+            await this.writeMeta(meta, {
+                ...oldest,
+                status: 'evicted',
+                error: `Evicted to stay under MEDIA_MAX_SESSION_SIZE (${this.maxSessionSize} bytes)`
+            });
+
+            total -= oldest.size || 0;
+            evicted++;
+        }
+
+        if (evicted > 0) {
+            logger.info(`🧹 Evicted ${evicted} media files from session ${sessionId}`);
+        }
+
+        return evicted;
+    }
+
+    async removeSession(sessionId) {
+        if (!/^[\w-]+$/.test(sessionId)) return;
+        await fs.remove(path.join(this.baseDir, sessionId));
+    }
+
+    async getStats() {
+        const sessions = await fs.readdir(this.baseDir);
+        let files = 0;
+        let totalSize = 0;
+
+        for (const sessionId of sessions) {
+            for (const record of await this.list(sessionId)) {
+                if (record.status === 'stored') {
+                    files++;
+                    totalSize += record.size || 0;
+                }
+            }
+        }
+
+        return {
+            directory: this.baseDir,
+            files: files,
+            totalSize: totalSize,
+            downloading: this.active
+        };
+    }
+}
+
+module.exports = MediaStore;
@@ -0,0 +1,22 @@
+const JsonlMessageStore = require('./jsonl-message-store');
+
+// Every message store implements the same interface, keyed by session ID:
+//   openSession, closeSession, upsertMessages, updateMessages, updateChats, deleteChats,
+//   upsertContacts, getMessage, listChats, getChat, listMessages, listContacts,
+//   removeSession, getStats, close
+const backends = {
+    jsonl: () => JsonlMessageStore
+};
+
+function createMessageStore(backend = process.env.MESSAGE_STORE || 'jsonl', options = {}) {
+    if (!backends[backend]) {
+        throw new Error(`Unknown MESSAGE_STORE: ${backend}. Use one of ${Object.keys(backends).join(', ')}`);
+    }
+
+    const Store = backends[backend]();
+    return new Store(options);
+}
+
+module.exports = {
+    createMessageStore
+};
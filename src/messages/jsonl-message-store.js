@@ -0,0 +1,505 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { BufferJSON, proto } = require('@whiskeysockets/baileys');
+const encryption = require('../utils/encryption');
+const { SessionVault } = require('../Whatsapp/encrypted-auth-state');
+const { normalizeMessage, normalizeContact, toTimestamp, RECEIPT_STATUSES } = require('../webhooks/event-normalizer');
+const logger = require('../utils/logger').child({ module: 'jsonl-message-store' });
+
+const MESSAGES_FILE = 'messages.jsonl';
+const CHATS_FILE = 'chats.json';
+const CONTACTS_FILE = 'contacts.json';
+
+// Messages, chats and contacts per session under data/messages/<sessionId>/.
+// messages.jsonl is an append-only log of upserts and updates, replayed on load and
+// compacted once it is mostly superseded lines; chats and contacts are snapshots.
+// With ENCRYPTION_KEY set every line is sealed with the session's data key.
+class JsonlMessageStore {
+    constructor(options = {}) {
+        this.name = 'jsonl';
+        this.baseDir = options.baseDir || process.env.MESSAGE_STORE_DIR || path.join(__dirname, '../../data/messages');
+        this.maxPerChat = options.maxPerChat || parseInt(process.env.MESSAGE_STORE_MAX_PER_CHAT, 10) || 1000;
+        this.masterKey = options.masterKey !== undefined ? options.masterKey : encryption.getMasterKey();
+
+        // Sessions with a live socket in this process; everything else is read from disk on demand
+        this.sessions = new Map();
+
+        fs.ensureDirSync(this.baseDir);
+
+        this.flushTimer = setInterval(() => this.flushAll(), options.flushInterval || 1000);
+        this.flushTimer.unref();
+    }
+
+    sessionDir(sessionId) {
+        if (!/^[\w-]+$/.test(sessionId)) {
+            throw new Error(`Invalid session ID: ${sessionId}`);
+        }
+
+        return path.join(this.baseDir, sessionId);
+    }
+
+    async openSession(sessionId) {
+        if (!this.sessions.has(sessionId)) {
+            const loading = this.readSession(sessionId);
+            this.sessions.set(sessionId, loading);
+
+            loading.catch(() => this.sessions.delete(sessionId));
+        }
+
+        return await this.sessions.get(sessionId);
+    }
+
+    // Write out what is buffered and let go of the in-memory copy
+    async closeSession(sessionId) {
+        const loading = this.sessions.get(sessionId);
+        if (!loading) return;
+
+        const state = await loading;
+        await this.flush(state);
+        this.sessions.delete(sessionId);
+    }
+
+    async state(sessionId) {
+        return this.sessions.has(sessionId)
+            ? await this.sessions.get(sessionId)
+            : await this.readSession(sessionId);
+    }
+
+    async readSession(sessionId) {
+        const dir = this.sessionDir(sessionId);
+
+        const state = {
+            sessionId: sessionId,
+            dir: dir,
+            dataKey: this.masterKey ? await new SessionVault(sessionId, { masterKey: this.masterKey }).getDataKey() : null,
+            chats: new Map(),
+            contacts: new Map(),
+            messages: new Map(), // chat JID -> Map(message ID -> WAMessage)
+            index: new Map(), // message ID -> chat JID
+            pending: [],
+            lines: 0,
+            dirty: false,
+            flushing: null
+        };
+
+        for (const chat of await this.readSnapshot(state, CHATS_FILE)) {
+            state.chats.set(chat.id, chat);
+        }
+
+        for (const contact of await this.readSnapshot(state, CONTACTS_FILE)) {
+            state.contacts.set(contact.id, contact);
+        }
+
+        const logPath = path.join(dir, MESSAGES_FILE);
+
+        if (await fs.pathExists(logPath)) {
+            const lines = (await fs.readFile(logPath, 'utf-8')).split('\n');
+
+            for (const line of lines) {
+                if (!line) continue;
+                state.lines++;
+
+                let entry;
+                try {
+                    entry = this.decode(state, line);
+                } catch (error) {
+                    // A line cut short by a crash; everything before it is intact
+                    continue;
+                }
+
+                if (entry.m) {
+                    // Lines hold the protobuf JSON form; this restores enums, longs and bytes
+                    this.applyMessage(state, proto.WebMessageInfo.fromObject(entry.m));
+                } else if (entry.u) {
+                    this.applyUpdate(state, entry.u.key, entry.u.update);
+                } else if (entry.d) {
+                    this.applyChatDelete(state, entry.d);
+                }
+            }
+        }
+
+        return state;
+    }
+
+    encode(state, value) {
+        const text = JSON.stringify(value, BufferJSON.replacer);
+        if (!state.dataKey) return text;
+
+        return JSON.stringify(encryption.encrypt(Buffer.from(text, 'utf-8'), state.dataKey));
+    }
+
+    decode(state, text) {
+        const parsed = JSON.parse(text);
+
+        if (encryption.isEnvelope(parsed)) {
+            if (!state.dataKey) {
+                throw new Error('Message store is encrypted but ENCRYPTION_KEY is not set');
+            }
+
+            return JSON.parse(encryption.decrypt(parsed, state.dataKey).toString('utf-8'), BufferJSON.reviver);
+        }
+
+        return JSON.parse(text, BufferJSON.reviver);
+    }
+
+    async readSnapshot(state, file) {
+        try {
+            return this.decode(state, await fs.readFile(path.join(state.dir, file), 'utf-8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+
+    applyMessage(state, message) {
+        const chatId = message.key.remoteJid;
+        if (!chatId) return;
+
+        if (!state.messages.has(chatId)) {
+            state.messages.set(chatId, new Map());
+        }
+
+        const chatMessages = state.messages.get(chatId);
+        const existing = chatMessages.get(message.key.id);
+
+        // Keep receipts already applied when the same message is upserted again
+        if (existing) {
+            Object.assign(existing, message);
+        } else {
+            chatMessages.set(message.key.id, message);
+        }
+        state.index.set(message.key.id, chatId);
+
+        if (chatMessages.size > this.maxPerChat * 1.1) {
+            this.trimChat(state, chatMessages);
+        }
+    }
+
+    applyUpdate(state, key, update) {
+        const chatId = key.remoteJid || state.index.get(key.id);
+        const message = chatId && state.messages.get(chatId) && state.messages.get(chatId).get(key.id);
+
+        if (message) {
+            Object.assign(message, update);
+        }
+
+        return Boolean(message);
+    }
+
+    applyChatDelete(state, chatId) {
+        const chatMessages = state.messages.get(chatId);
+
+        if (chatMessages) {
+            chatMessages.forEach((message, id) => state.index.delete(id));
+            state.messages.delete(chatId);
+        }
+
+        state.chats.delete(chatId);
+    }
+
+    // Keep only the newest maxPerChat messages of a chat
+    trimChat(state, chatMessages) {
+        const sorted = this.sortByTime(Array.from(chatMessages.values()));
+
+        sorted.slice(this.maxPerChat).forEach(message => {
+            chatMessages.delete(message.key.id);
+            state.index.delete(message.key.id);
+        });
+    }
+
+    timeOf(message) {
+        const value = message.messageTimestamp;
+        if (!value) return 0;
+        return typeof value === 'object' && value.toNumber ? value.toNumber() : Number(value);
+    }
+
+    // Newest first
+    sortByTime(messages) {
+        return messages.sort((a, b) => this.timeOf(b) - this.timeOf(a));
+    }
+
+    async upsertMessages(sessionId, messages) {
+        const state = await this.openSession(sessionId);
+
+        messages.forEach(message => {
+            if (!message.key || !message.key.id) return;
+
+            this.applyMessage(state, message);
+            state.pending.push({ m: message });
+
+            const chat = state.chats.get(message.key.remoteJid);
+            const time = this.timeOf(message);
+
+            if (!chat) {
+                state.chats.set(message.key.remoteJid, { id: message.key.remoteJid, lastMessageTime: time });
+                state.dirty = true;
+            } else if (time > (chat.lastMessageTime || 0)) {
+                chat.lastMessageTime = time;
+                state.dirty = true;
+            }
+        });
+    }
+
+    async updateMessages(sessionId, updates) {
+        const state = await this.openSession(sessionId);
+
+        updates.forEach(({ key, update }) => {
+            if (this.applyUpdate(state, key, update)) {
+                state.pending.push({ u: { key, update } });
+            }
+        });
+    }
+
+    async updateChats(sessionId, chats) {
+        const state = await this.openSession(sessionId);
+
+        chats.forEach(chat => {
+            if (!chat.id) return;
+            state.chats.set(chat.id, { ...state.chats.get(chat.id), ...chat });
+        });
+
+        state.dirty = true;
+    }
+
+    async deleteChats(sessionId, chatIds) {
+        const state = await this.openSession(sessionId);
+
+        chatIds.forEach(chatId => {
+            this.applyChatDelete(state, chatId);
+            state.pending.push({ d: chatId });
+        });
+
+        state.dirty = true;
+    }
+
+    async upsertContacts(sessionId, contacts) {
+        const state = await this.openSession(sessionId);
+
+        contacts.forEach(contact => {
+            if (!contact.id) return;
+            state.contacts.set(contact.id, { ...state.contacts.get(contact.id), ...contact });
+        });
+
+        state.dirty = true;
+    }
+
+    // Raw WAMessage by ID, for quoting and for Baileys' getMessage retries
+    async getMessage(sessionId, key) {
+        const state = await this.state(sessionId);
+        const chatId = key.remoteJid || state.index.get(key.id);
+        const chatMessages = chatId && state.messages.get(chatId);
+
+        return (chatMessages && chatMessages.get(key.id)) || null;
+    }
+
+    chatName(state, chat) {
+        const contact = state.contacts.get(chat.id);
+        return chat.name || (contact && (contact.name || contact.notify || contact.verifiedName)) || null;
+    }
+
+    toChat(state, chat) {
+        const messages = state.messages.get(chat.id);
+
+        return {
+            id: chat.id,
+            name: this.chatName(state, chat),
+            isGroup: chat.id.endsWith('@g.us'),
+            unreadCount: chat.unreadCount || 0,
+            archived: Boolean(chat.archived),
+            pinned: Boolean(chat.pinned),
+            muteEndTime: chat.muteEndTime ? toTimestamp(chat.muteEndTime) : null,
+            lastMessageAt: toTimestamp(chat.lastMessageTime || chat.conversationTimestamp),
+            messageCount: messages ? messages.size : 0
+        };
+    }
+
+    // Case-insensitive match on the JID or any of the names
+    matches(query, ...values) {
+        if (!query) return true;
+
+        const needle = query.toLowerCase();
+        return values.some(value => value && String(value).toLowerCase().includes(needle));
+    }
+
+    // Most recently active first; returns { chats, total }
+    async listChats(sessionId, options = {}) {
+        const state = await this.state(sessionId);
+        const limit = options.limit || 50;
+        const offset = options.offset || 0;
+
+        const chats = Array.from(state.chats.values())
+            .map(chat => this.toChat(state, chat))
+            .filter(chat => this.matches(options.query, chat.id, chat.name))
+            .sort((a, b) => new Date(b.lastMessageAt || 0) - new Date(a.lastMessageAt || 0));
+
+        return {
+            chats: chats.slice(offset, offset + limit),
+            total: chats.length
+        };
+    }
+
+    // Sorted by name; returns { contacts, total }
+    async listContacts(sessionId, options = {}) {
+        const state = await this.state(sessionId);
+        const limit = options.limit || 50;
+        const offset = options.offset || 0;
+
+        const contacts = Array.from(state.contacts.values())
+            .map(contact => normalizeContact(contact))
+            .filter(contact => this.matches(options.query, contact.id, contact.name, contact.notify, contact.verifiedName))
+            .sort((a, b) => (a.name || a.notify || a.id).localeCompare(b.name || b.notify || b.id));
+
+        return {
+            contacts: contacts.slice(offset, offset + limit),
+            total: contacts.length
+        };
+    }
+
+    async getChat(sessionId, jid) {
+        const state = await this.state(sessionId);
+        const chat = state.chats.get(jid);
+
+        return chat ? this.toChat(state, chat) : null;
+    }
+
+    // Newest first; pass the last ID of a page as `before` for the next one
+    async listMessages(sessionId, jid, options = {}) {
+        const state = await this.state(sessionId);
+        const chatMessages = state.messages.get(jid);
+        const limit = options.limit || 50;
+
+        if (!chatMessages) {
+            return { messages: [], nextCursor: null };
+        }
+
+        let messages = this.sortByTime(Array.from(chatMessages.values()));
+
+        if (options.before) {
+            const index = messages.findIndex(message => message.key.id === options.before);
+            messages = index === -1 ? [] : messages.slice(index + 1);
+        }
+
+        const page = messages.slice(0, limit);
+
+        return {
+            messages: page.map(message => ({
+                ...normalizeMessage(message),
+                // Unset proto fields read back as their default, ERROR for status
+                status: Object.prototype.hasOwnProperty.call(message, 'status') ? RECEIPT_STATUSES[message.status] || null : null
+            })),
+            nextCursor: messages.length > limit ? page[page.length - 1].key.id : null
+        };
+    }
+
+    async flush(state) {
+        // One write at a time per session so lines land in order
+        while (state.flushing) {
+            await state.flushing;
+        }
+
+        if (state.pending.length === 0 && !state.dirty) return;
+
+        state.flushing = this.write(state).finally(() => {
+            state.flushing = null;
+        });
+
+        await state.flushing;
+    }
+
+    async write(state) {
+        const entries = state.pending.splice(0);
+        const dirty = state.dirty;
+        state.dirty = false;
+
+        await fs.ensureDir(state.dir);
+
+        if (entries.length > 0) {
+            const text = entries.map(entry => this.encode(state, entry)).join('\n') + '\n';
+            await fs.appendFile(path.join(state.dir, MESSAGES_FILE), text, { mode: 0o600 });
+            state.lines += entries.length;
+        }
+
+        if (dirty) {
+            await this.writeFile(state, CHATS_FILE, this.encode(state, Array.from(state.chats.values())));
+            await this.writeFile(state, CONTACTS_FILE, this.encode(state, Array.from(state.contacts.values())));
+        }
+
+        let live = 0;
+        state.messages.forEach(chatMessages => {
+            live += chatMessages.size;
+        });
+
+        if (state.lines > live * 2 + 1000) {
+            await this.compact(state, live);
+        }
+    }
+
+    async writeFile(state, file, text) {
+        const filePath = path.join(state.dir, file);
+        const tmpPath = `${filePath}.${process.pid}.tmp`;
+
+        await fs.writeFile(tmpPath, text, { mode: 0o600 });
+        await fs.rename(tmpPath, filePath);
+    }
+
+    // Rewrite the log with one line per message still held
+    async compact(state, live) {
+        const lines = [];
+
+        state.messages.forEach(chatMessages => {
+            chatMessages.forEach(message => {
+                lines.push(this.encode(state, { m: message }));
+            });
+        });
+
+        await this.writeFile(state, MESSAGES_FILE, lines.length ? lines.join('\n') + '\n' : '');
+        state.lines = live;
+    }
+
+    async flushAll() {
+        for (const loading of this.sessions.values()) {
+            try {
+                await this.flush(await loading);
+            } catch (error) {
+                logger.error('❌ Message store flush failed:', error);
+            }
+        }
+    }
+
+    async removeSession(sessionId) {
+        const loading = this.sessions.get(sessionId);
+        this.sessions.delete(sessionId);
+
+        if (loading) {
+            const state = await loading.catch(() => null);
+            if (state && state.flushing) await state.flushing.catch(() => {});
+        }
+
+        await fs.remove(this.sessionDir(sessionId));
+    }
+
+    async getStats() {
+        let messages = 0;
+
+        for (const loading of this.sessions.values()) {
+            const state = await loading;
+            state.messages.forEach(chatMessages => {
+                messages += chatMessages.size;
+            });
+        }
+
+        return {
+            backend: this.name,
+            directory: this.baseDir,
+            openSessions: this.sessions.size,
+            messages: messages
+        };
+    }
+
+    async close() {
+        clearInterval(this.flushTimer);
+        await this.flushAll();
+    }
+}
+
+module.exports = JsonlMessageStore;
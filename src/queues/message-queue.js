@@ -0,0 +1,289 @@
+const EventEmitter = require('events');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { createStore } = require('../storage');
+const { getCoordinator } = require('../utils/cluster-coordinator');
+
+// Jobs the processor may still pick up; sent, dead and cancelled are final
+const PENDING_STATUSES = ['queued', 'scheduled', 'retrying'];
+const FINAL_STATUSES = ['sent', 'dead', 'cancelled'];
+const JOB_STATUSES = [...PENDING_STATUSES, 'sending', ...FINAL_STATUSES];
+
+// Jobs get their own namespace in the configured storage backend, one entry per job
+function createQueueStore() {
+    return createStore(undefined, {
+        baseDir: path.join(__dirname, '../../data/queue'),
+        prefix: `${process.env.REDIS_KEY_PREFIX || 'wa:'}queue:`,
+        collection: 'message_jobs'
+    });
+}
+
+// Persistent outbound message jobs, grouped by session. Any worker may enqueue or
+// read jobs; only the worker holding a session's socket sends them.
+class MessageQueue extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        this.store = options.store || createQueueStore();
+        this.coordinator = options.coordinator || getCoordinator();
+        this.maxAttempts = options.maxAttempts || parseInt(process.env.QUEUE_MAX_ATTEMPTS, 10) || 5;
+        this.retention = (parseInt(process.env.QUEUE_RETENTION_DAYS, 10) || 7) * 24 * 60 * 60 * 1000;
+
+        // Unfinished jobs of the sessions this worker sends for, loaded on first use
+        this.pending = new Map();
+        this.loads = new Map();
+
+        // Jobs enqueued or changed by other workers
+        this.coordinator.subscribe('queue_job', (job, from) => {
+            if (from === this.coordinator.workerId) return;
+
+            if (this.track(job)) {
+                this.emit('job', job);
+            }
+        });
+    }
+
+    entryName(jobId) {
+        return `${jobId}.json`;
+    }
+
+    isValidJobId(jobId) {
+        return /^[0-9a-f-]{36}$/.test(jobId);
+    }
+
+    async enqueue(sessionId, message) {
+        const { sendAt, ...content } = message;
+        const now = new Date();
+        const scheduled = Boolean(sendAt) && new Date(sendAt) > now;
+
+        const job = {
+            id: uuidv4(),
+            sessionId: sessionId,
+            status: scheduled ? 'scheduled' : 'queued',
+            message: content,
+            attempts: 0,
+            maxAttempts: this.maxAttempts,
+            runAt: (scheduled ? new Date(sendAt) : now).toISOString(),
+            createdAt: now.toISOString(),
+            updatedAt: now.toISOString(),
+            sentAt: null,
+            result: null,
+            lastError: null,
+            revision: 0
+        };
+
+        return await this.save(job);
+    }
+
+    async save(job) {
+        job.revision++;
+        job.updatedAt = new Date().toISOString();
+
+        await this.store.set(job.sessionId, this.entryName(job.id), JSON.stringify(job));
+
+        this.track(job);
+        this.coordinator.publish('queue_job', job);
+        this.emit('job', job);
+
+        return job;
+    }
+
+    // Keep the pending cache in step; returns false for stale or out-of-order copies
+    track(job) {
+        const jobs = this.pending.get(job.sessionId);
+        if (!jobs) return true;
+
+        const current = jobs.get(job.id);
+        if (current && current.revision > job.revision) {
+            return false;
+        }
+
+        if (FINAL_STATUSES.includes(job.status)) {
+            jobs.delete(job.id);
+        } else {
+            jobs.set(job.id, job);
+        }
+
+        return true;
+    }
+
+    async get(sessionId, jobId) {
+        if (!this.isValidJobId(jobId)) return null;
+
+        const raw = await this.store.get(sessionId, this.entryName(jobId));
+        return raw ? JSON.parse(raw) : null;
+    }
+
+    async readAll(sessionId) {
+        const names = await this.store.list(sessionId);
+        const jobs = [];
+
+        for (const name of names) {
+            const raw = await this.store.get(sessionId, name);
+            if (raw) jobs.push(JSON.parse(raw));
+        }
+
+        return jobs;
+    }
+
+    async list(sessionId, filters = {}) {
+        let jobs = await this.readAll(sessionId);
+
+        if (filters.status) {
+            jobs = jobs.filter(job => job.status === filters.status);
+        }
+
+        return jobs.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    load(sessionId) {
+        if (!this.loads.has(sessionId)) {
+            const loading = this.readAll(sessionId).then(async (all) => {
+                const jobs = new Map();
+
+                for (const job of all) {
+                    if (FINAL_STATUSES.includes(job.status)) continue;
+
+                    // Left mid-send by a crash; it may or may not have gone out, so retry it
+                    if (job.status === 'sending') {
+                        job.status = 'retrying';
+                        job.lastError = {
+                            code: 'INTERRUPTED',
+                            message: 'Worker stopped while sending',
+                            at: new Date().toISOString()
+                        };
+                        await this.save(job);
+                    }
+
+                    jobs.set(job.id, job);
+                }
+
+                this.pending.set(sessionId, jobs);
+                return jobs;
+            }).catch((error) => {
+                this.loads.delete(sessionId);
+                throw error;
+            });
+
+            this.loads.set(sessionId, loading);
+        }
+
+        return this.loads.get(sessionId);
+    }
+
+    // Pending jobs whose time has come, oldest first
+    async due(sessionId, now = Date.now()) {
+        const jobs = await this.load(sessionId);
+
+        return Array.from(jobs.values())
+            .filter(job => PENDING_STATUSES.includes(job.status) && new Date(job.runAt).getTime() <= now)
+            .sort((a, b) => new Date(a.runAt) - new Date(b.runAt));
+    }
+
+    markSending(job) {
+        job.status = 'sending';
+        job.attempts++;
+        return this.save(job);
+    }
+
+    complete(job, result) {
+        job.status = 'sent';
+        job.sentAt = new Date().toISOString();
+        job.result = { messageId: result.messageId, timestamp: result.timestamp };
+        job.lastError = null;
+        return this.save(job);
+    }
+
+    retry(job, error, delay) {
+        job.status = 'retrying';
+        job.runAt = new Date(Date.now() + delay).toISOString();
+        job.lastError = { code: error.error, message: error.message, at: new Date().toISOString() };
+        return this.save(job);
+    }
+
+    deadLetter(job, error) {
+        job.status = 'dead';
+        job.lastError = { code: error.error, message: error.message, at: new Date().toISOString() };
+        return this.save(job);
+    }
+
+    // Give a dead-lettered job a fresh set of attempts
+    async requeue(sessionId, jobId) {
+        const job = await this.get(sessionId, jobId);
+
+        if (!job) {
+            return { success: false, error: 'JOB_NOT_FOUND', message: 'Job not found' };
+        }
+
+        if (job.status !== 'dead') {
+            return { success: false, error: 'JOB_NOT_DEAD', message: `Only dead-lettered jobs can be retried, this one is ${job.status}` };
+        }
+
+        job.status = 'queued';
+        job.attempts = 0;
+        job.runAt = new Date().toISOString();
+
+        return { success: true, job: await this.save(job) };
+    }
+
+    async cancel(sessionId, jobId) {
+        const job = await this.get(sessionId, jobId);
+
+        if (!job) {
+            return { success: false, error: 'JOB_NOT_FOUND', message: 'Job not found' };
+        }
+
+        if (!PENDING_STATUSES.includes(job.status)) {
+            return { success: false, error: 'JOB_NOT_PENDING', message: `Job is ${job.status} and can no longer be cancelled` };
+        }
+
+        job.status = 'cancelled';
+
+        return { success: true, job: await this.save(job) };
+    }
+
+    // Drop finished jobs older than QUEUE_RETENTION_DAYS
+    async prune(sessionId) {
+        const cutoff = Date.now() - this.retention;
+        let pruned = 0;
+
+        for (const job of await this.readAll(sessionId)) {
+            if (FINAL_STATUSES.includes(job.status) && new Date(job.updatedAt).getTime() < cutoff) {
+                await this.store.delete(sessionId, this.entryName(job.id));
+                pruned++;
+            }
+        }
+
+        return pruned;
+    }
+
+    async removeSession(sessionId) {
+        await this.store.removeSession(sessionId);
+        this.pending.delete(sessionId);
+        this.loads.delete(sessionId);
+    }
+
+    getStats() {
+        let pending = 0;
+        this.pending.forEach(jobs => {
+            pending += jobs.size;
+        });
+
+        return {
+            backend: this.store.name,
+            sessions: this.pending.size,
+            pending: pending
+        };
+    }
+
+    close() {
+        return this.store.close();
+    }
+}
+
+module.exports = {
+    MessageQueue,
+    JOB_STATUSES,
+    PENDING_STATUSES,
+    FINAL_STATUSES
+};
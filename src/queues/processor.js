@@ -0,0 +1,247 @@
+const { RateLimiterMemory } = require('rate-limiter-flexible');
+const { MessageQueue } = require('./message-queue');
+const logger = require('../utils/logger').child({ module: 'queue-processor' });
+
+// Failures worth another attempt; anything else (a quoted message that is gone,
+// a payload WhatsApp rejects outright) goes straight to the dead-letter list
+const TRANSIENT_ERRORS = ['NOT_CONNECTED', 'SEND_FAILED'];
+
+// Sends queued jobs through the sockets this worker holds, one at a time per
+// session, within per-session and per-recipient rate limits
+class QueueProcessor {
+    constructor(options = {}) {
+        this.queue = options.queue || new MessageQueue();
+        this.whatsappService = options.whatsappService;
+
+        this.options = {
+            interval: 1000,
+            perSession: parseInt(process.env.SEND_RATE_PER_SESSION, 10) || 20, // per minute
+            perRecipient: parseInt(process.env.SEND_RATE_PER_RECIPIENT, 10) || 6, // per minute
+            minGap: parseInt(process.env.SEND_MIN_INTERVAL_MS, 10) || 1000, // between sends on one session
+            retryDelay: 5000,
+            maxRetryDelay: 10 * 60 * 1000,
+            ...options
+        };
+
+        this.sessionLimiter = new RateLimiterMemory({
+            keyPrefix: 'queue_session',
+            points: this.options.perSession,
+            duration: 60
+        });
+
+        this.recipientLimiter = new RateLimiterMemory({
+            keyPrefix: 'queue_recipient',
+            points: this.options.perRecipient,
+            duration: 60
+        });
+
+        this.busy = new Set();
+        this.lastSentAt = new Map();
+        this.timer = null;
+        this.pruneTimer = null;
+
+        // Send new jobs right away instead of waiting for the next tick
+        this.queue.on('job', (job) => {
+            if (job.status === 'queued') {
+                setImmediate(() => this.processSession(job.sessionId));
+            }
+        });
+    }
+
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => this.tick(), this.options.interval);
+        this.pruneTimer = setInterval(() => this.prune(), 60 * 60 * 1000);
+
+        logger.info(`📨 Message queue processor started (${this.options.perSession}/min per session, ${this.options.perRecipient}/min per recipient)`);
+    }
+
+    async stop() {
+        clearInterval(this.timer);
+        clearInterval(this.pruneTimer);
+        this.timer = null;
+
+        // Let sends already on the wire finish so their jobs are not left as sending
+        while (this.busy.size > 0) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+    }
+
+    tick() {
+        for (const [sessionId, baileys] of this.whatsappService.connections) {
+            if (baileys.isConnected) {
+                this.processSession(sessionId);
+            }
+        }
+    }
+
+    // Send at most one due job for the session
+    async processSession(sessionId) {
+        if (this.busy.has(sessionId) || !this.canSend(sessionId)) return;
+
+        this.busy.add(sessionId);
+
+        try {
+            const job = await this.nextJob(sessionId);
+
+            if (job) {
+                await this.send(job);
+            }
+        } catch (error) {
+            logger.error(`❌ Queue processing failed for session ${sessionId}:`, error);
+        } finally {
+            this.busy.delete(sessionId);
+        }
+    }
+
+    canSend(sessionId) {
+        const baileys = this.whatsappService.connections.get(sessionId);
+        const lastSentAt = this.lastSentAt.get(sessionId) || 0;
+
+        return Boolean(baileys && baileys.isConnected) && Date.now() - lastSentAt >= this.options.minGap;
+    }
+
+    // Oldest due job whose recipient still has budget, or null when the session has none left
+    async nextJob(sessionId) {
+        const sessionUsage = await this.sessionLimiter.get(sessionId);
+        if (sessionUsage && sessionUsage.consumedPoints >= this.options.perSession) {
+            return null;
+        }
+
+        for (const job of await this.queue.due(sessionId)) {
+            const recipientUsage = await this.recipientLimiter.get(`${sessionId}:${job.message.to}`);
+
+            if (!recipientUsage || recipientUsage.consumedPoints < this.options.perRecipient) {
+                return job;
+            }
+        }
+
+        return null;
+    }
+
+    async send(job) {
+        await this.sessionLimiter.consume(job.sessionId).catch(() => {});
+        await this.recipientLimiter.consume(`${job.sessionId}:${job.message.to}`).catch(() => {});
+        this.lastSentAt.set(job.sessionId, Date.now());
+
+        await this.queue.markSending(job);
+
+        let result;
+        try {
+            result = await this.whatsappService.sendMessage(job.sessionId, job.message);
+        } catch (error) {
+            result = { success: false, error: 'SEND_FAILED', message: error.message };
+        }
+
+        if (result.success) {
+            await this.queue.complete(job, result);
+            return;
+        }
+
+        if (TRANSIENT_ERRORS.includes(result.error) && job.attempts < job.maxAttempts) {
+            await this.queue.retry(job, result, this.retryDelay(job.attempts));
+            logger.warn(`⚠️ Message job ${job.id} failed (${result.error}), retry ${job.attempts}/${job.maxAttempts} at ${job.runAt}`);
+            return;
+        }
+
+        await this.queue.deadLetter(job, result);
+        logger.error(`❌ Message job ${job.id} dead-lettered: ${result.message}`);
+    }
+
+    // Exponential backoff with +/- 30% jitter
+    retryDelay(attempts) {
+        const delay = Math.min(this.options.maxRetryDelay, this.options.retryDelay * Math.pow(2, attempts - 1));
+        const spread = delay * 0.3;
+        return Math.round(delay - spread + Math.random() * spread * 2);
+    }
+
+    // Resolves with the job once it is sent or dead, or null if that takes longer than timeout
+    waitFor(jobId, timeout) {
+        return new Promise((resolve) => {
+            const onJob = (job) => {
+                if (job.id === jobId && (job.status === 'sent' || job.status === 'dead')) {
+                    finish(job);
+                }
+            };
+
+            const timer = setTimeout(() => finish(null), timeout);
+
+            const finish = (job) => {
+                clearTimeout(timer);
+                this.queue.removeListener('job', onJob);
+                resolve(job);
+            };
+
+            this.queue.on('job', onJob);
+        });
+    }
+
+    async prune() {
+        let pruned = 0;
+
+        for (const sessionId of this.whatsappService.connections.keys()) {
+            try {
+                pruned += await this.queue.prune(sessionId);
+            } catch (error) {
+                logger.error(`❌ Failed to prune message jobs for ${sessionId}:`, error);
+            }
+        }
+
+        if (pruned > 0) {
+            logger.info(`🧹 Pruned ${pruned} finished message jobs`);
+        }
+
+        return pruned;
+    }
+
+    getStats() {
+        return {
+            running: Boolean(this.timer),
+            sending: this.busy.size,
+            limits: {
+                perSession: this.options.perSession,
+                perRecipient: this.options.perRecipient,
+                minGap: this.options.minGap
+            },
+            ...this.queue.getStats()
+        };
+    }
+}
+
+module.exports = QueueProcessor;
+
+// Standalone (the whatsapp-queue PM2 app): sockets live in the server workers, so
+// sending happens there; this process prunes finished jobs across every session
+if (require.main === module) {
+    require('dotenv').config();
+
+    const queue = new MessageQueue();
+
+    const housekeeping = async () => {
+        try {
+            const sessions = await queue.store.listSessions();
+            let pruned = 0;
+
+            for (const sessionId of sessions) {
+                pruned += await queue.prune(sessionId);
+            }
+
+            logger.info(`🧹 Pruned ${pruned} finished message jobs across ${sessions.length} session queues`);
+        } catch (error) {
+            logger.error('❌ Message queue housekeeping failed:', error);
+        }
+    };
+
+    housekeeping();
+    const timer = setInterval(housekeeping, 60 * 60 * 1000);
+
+    const shutdown = async () => {
+        clearInterval(timer);
+        await queue.close();
+        process.exit(0);
+    };
+
+    process.on('SIGTERM', shutdown);
+    process.on('SIGINT', shutdown);
+}
@@ -0,0 +1,91 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+
+// One directory per session, one file per entry: the layout useMultiFileAuthState uses
+class FilesystemStore {
+    constructor(options = {}) {
+        this.name = 'filesystem';
+        this.baseDir = options.baseDir || path.join(__dirname, '../../sessions');
+        fs.ensureDirSync(this.baseDir);
+    }
+
+    async connect() {}
+
+    async close() {}
+
+    sessionPath(sessionId, name) {
+        // Entry names never contain separators, but never trust a session ID either
+        if (!/^[\w-]+$/.test(sessionId) || (name && name !== path.basename(name))) {
+            throw new Error(`Invalid storage path: ${sessionId}/${name}`);
+        }
+
+        return name ? path.join(this.baseDir, sessionId, name) : path.join(this.baseDir, sessionId);
+    }
+
+    async get(sessionId, name) {
+        try {
+            return await fs.readFile(this.sessionPath(sessionId, name), 'utf-8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    // With exclusive, returns false instead of overwriting an existing entry
+    async set(sessionId, name, value, options = {}) {
+        const filePath = this.sessionPath(sessionId, name);
+        await fs.ensureDir(path.dirname(filePath));
+
+        if (options.exclusive) {
+            try {
+                await fs.writeFile(filePath, value, { flag: 'wx', mode: 0o600 });
+                return true;
+            } catch (error) {
+                if (error.code === 'EEXIST') return false;
+                throw error;
+            }
+        }
+
+        // Write then rename so readers never see a half-written file
+        const tmpPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+        await fs.writeFile(tmpPath, value, { mode: 0o600 });
+        await fs.rename(tmpPath, filePath);
+
+        return true;
+    }
+
+    async delete(sessionId, name) {
+        await fs.remove(this.sessionPath(sessionId, name));
+    }
+
+    async list(sessionId) {
+        const dir = this.sessionPath(sessionId);
+        if (!await fs.pathExists(dir)) return [];
+
+        const files = await fs.readdir(dir);
+        return files.filter(file => !file.endsWith('.tmp'));
+    }
+
+    async listSessions() {
+        const entries = await fs.readdir(this.baseDir, { withFileTypes: true });
+        return entries.filter(entry => entry.isDirectory()).map(entry => entry.name);
+    }
+
+    async removeSession(sessionId) {
+        await fs.remove(this.sessionPath(sessionId));
+    }
+
+    async stat(sessionId) {
+        const files = await this.list(sessionId);
+        let totalSize = 0;
+
+        for (const file of files) {
+            totalSize += (await fs.stat(this.sessionPath(sessionId, file))).size;
+        }
+
+        return { files, fileCount: files.length, totalSize };
+    }
+}
+
+module.exports = FilesystemStore;
@@ -0,0 +1,34 @@
+const FilesystemStore = require('./filesystem-store');
+
+// Every store implements the same interface, keyed by (sessionId, entry name):
+//   get, set (with { exclusive }), delete, list, listSessions, removeSession, stat
+const backends = {
+    filesystem: () => FilesystemStore,
+    redis: () => require('./redis-store'),
+    mongodb: () => require('./mongo-store')
+};
+
+const stores = new Map();
+
+function createStore(backend = process.env.STORAGE_BACKEND || 'filesystem', options = {}) {
+    if (!backends[backend]) {
+        throw new Error(`Unknown STORAGE_BACKEND: ${backend}. Use one of ${Object.keys(backends).join(', ')}`);
+    }
+
+    const Store = backends[backend]();
+    return new Store(options);
+}
+
+// Shared instance per backend so every module uses the same connection
+function getStore(backend = process.env.STORAGE_BACKEND || 'filesystem') {
+    if (!stores.has(backend)) {
+        stores.set(backend, createStore(backend));
+    }
+
+    return stores.get(backend);
+}
+
+module.exports = {
+    createStore,
+    getStore
+};
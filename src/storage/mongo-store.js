@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const logger = require('../utils/logger').child({ module: 'mongo-store' });
+
+const sessionFileSchema = new mongoose.Schema({
+    sessionId: { type: String, required: true, index: true },
+    name: { type: String, required: true },
+    value: { type: String, required: true },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+sessionFileSchema.index({ sessionId: 1, name: 1 }, { unique: true });
+
+// One document per session entry, in the session_files collection by default
+class MongoStore {
+    constructor(options = {}) {
+        this.name = 'mongodb';
+        this.uri = options.uri || process.env.MONGODB_URI;
+        this.collection = options.collection || 'session_files';
+        this.connection = null;
+        this.ready = null;
+    }
+
+    connect() {
+        if (!this.ready) {
+            this.connection = mongoose.createConnection(this.uri);
+            this.SessionFile = this.connection.model('SessionFile', sessionFileSchema, this.collection);
+
+            this.ready = this.connection.asPromise().then(async () => {
+                await this.SessionFile.init();
+                logger.info('✅ MongoDB session store connected');
+            });
+        }
+
+        return this.ready;
+    }
+
+    async close() {
+        if (this.connection) {
+            await this.connection.close();
+            this.connection = null;
+            this.ready = null;
+        }
+    }
+
+    async get(sessionId, name) {
+        await this.connect();
+        const doc = await this.SessionFile.findOne({ sessionId, name }).lean();
+        return doc ? doc.value : null;
+    }
+
+    async set(sessionId, name, value, options = {}) {
+        await this.connect();
+
+        if (options.exclusive) {
+            try {
+                await this.SessionFile.create({ sessionId, name, value });
+                return true;
+            } catch (error) {
+                // Duplicate key: someone else wrote it first
+                if (error.code === 11000) return false;
+                throw error;
+            }
+        }
+
+        await this.SessionFile.updateOne(
+            { sessionId, name },
+            { value, updatedAt: new Date() },
+            { upsert: true }
+        );
+
+        return true;
+    }
+
+    async delete(sessionId, name) {
+        await this.connect();
+        await this.SessionFile.deleteOne({ sessionId, name });
+    }
+
+    async list(sessionId) {
+        await this.connect();
+        const docs = await this.SessionFile.find({ sessionId }, { name: 1 }).lean();
+        return docs.map(doc => doc.name);
+    }
+
+    async listSessions() {
+        await this.connect();
+        return await this.SessionFile.distinct('sessionId');
+    }
+
+    async removeSession(sessionId) {
+        await this.connect();
+        await this.SessionFile.deleteMany({ sessionId });
+    }
+
+    async stat(sessionId) {
+        await this.connect();
+
+        const docs = await this.SessionFile.find({ sessionId }).lean();
+        const files = docs.map(doc => doc.name);
+        const totalSize = docs.reduce((total, doc) => total + Buffer.byteLength(doc.value), 0);
+
+        return { files, fileCount: files.length, totalSize };
+    }
+}
+
+module.exports = MongoStore;
@@ -0,0 +1,89 @@
+const { createClient } = require('redis');
+const logger = require('../utils/logger').child({ module: 'redis-store' });
+
+// One hash per session (entry name -> value) plus a set of known session IDs
+class RedisStore {
+    constructor(options = {}) {
+        this.name = 'redis';
+        this.prefix = options.prefix || process.env.REDIS_KEY_PREFIX || 'wa:';
+        this.client = createClient({ url: options.url || process.env.REDIS_URL });
+        this.ready = null;
+
+        this.client.on('error', (error) => {
+            logger.error('Redis store error:', error);
+        });
+    }
+
+    connect() {
+        if (!this.ready) {
+            this.ready = this.client.connect().then(() => {
+                logger.info('✅ Redis session store connected');
+            });
+        }
+
+        return this.ready;
+    }
+
+    async close() {
+        if (this.ready) {
+            await this.client.quit();
+            this.ready = null;
+        }
+    }
+
+    sessionKey(sessionId) {
+        return `${this.prefix}session:${sessionId}`;
+    }
+
+    async get(sessionId, name) {
+        await this.connect();
+        const value = await this.client.hGet(this.sessionKey(sessionId), name);
+        return value === undefined ? null : value;
+    }
+
+    async set(sessionId, name, value, options = {}) {
+        await this.connect();
+
+        const written = options.exclusive
+            ? await this.client.hSetNX(this.sessionKey(sessionId), name, value)
+            : await this.client.hSet(this.sessionKey(sessionId), name, value) >= 0;
+
+        await this.client.sAdd(`${this.prefix}sessions`, sessionId);
+
+        return Boolean(written);
+    }
+
+    async delete(sessionId, name) {
+        await this.connect();
+        await this.client.hDel(this.sessionKey(sessionId), name);
+    }
+
+    async list(sessionId) {
+        await this.connect();
+        return await this.client.hKeys(this.sessionKey(sessionId));
+    }
+
+    async listSessions() {
+        await this.connect();
+        return await this.client.sMembers(`${this.prefix}sessions`);
+    }
+
+    async removeSession(sessionId) {
+        await this.connect();
+        await this.client.del(this.sessionKey(sessionId));
+        await this.client.sRem(`${this.prefix}sessions`, sessionId);
+    }
+
+    async stat(sessionId) {
+        await this.connect();
+
+        const entries = await this.client.hGetAll(this.sessionKey(sessionId));
+        const files = Object.keys(entries);
+        const totalSize = Object.values(entries)
+            .reduce((total, value) => total + Buffer.byteLength(value), 0);
+
+        return { files, fileCount: files.length, totalSize };
+    }
+}
+
+module.exports = RedisStore;
@@ -0,0 +1,358 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const NodeCache = require('node-cache');
+const logger = require('./logger').child({ module: 'api-key-manager' });
+
+const SCOPES = [
+    'sessions:read',
+    'sessions:write',
+    'backup:admin',
+    'stats:read',
+    'keys:admin'
+];
+
+// Scopes that only admin keys may hold
+const ADMIN_SCOPES = ['backup:admin', 'keys:admin'];
+
+const KEY_TYPES = ['admin', 'integration'];
+
+// ADMIN_API_KEY grants full admin, so a published example value or a short key is never accepted
+const PLACEHOLDER_ADMIN_KEYS = ['your-admin-api-key-change-this'];
+const MIN_ADMIN_KEY_LENGTH = 32;
+
+class ApiKeyManager {
+    constructor(options = {}) {
+        this.keyFile = options.keyFile || path.join(__dirname, '../../config/api-keys.json');
+        this.enabled = options.enabled !== undefined
+            ? options.enabled
+            : process.env.FEATURE_API_KEYS !== 'false';
+
+        this.keys = new Map();
+        this.keyFileMtime = 0;
+
+        // Verified keys, so bcrypt only runs once per key every few minutes
+        this.cache = new NodeCache({
+            stdTTL: 60,
+            checkperiod: 60
+        });
+
+        this.envAdminHash = this.checkEnvAdminKey(process.env.ADMIN_API_KEY)
+            ? this.hashForLookup(process.env.ADMIN_API_KEY)
+            : null;
+
+        this.stats = {
+            authenticated: 0,
+            rejected: 0,
+            created: 0,
+            revoked: 0
+        };
+
+        this.loadKeys();
+
+        if (this.enabled && !this.envAdminHash && this.keys.size === 0) {
+            logger.warn('⚠️ API keys are enabled but no keys exist. Set ADMIN_API_KEY to bootstrap an admin key.');
+        }
+    }
+
+    checkEnvAdminKey(key) {
+        if (!key) return false;
+
+        if (PLACEHOLDER_ADMIN_KEYS.includes(key) || key.length < MIN_ADMIN_KEY_LENGTH) {
+            logger.warn(`⚠️ ADMIN_API_KEY is the example value or shorter than ${MIN_ADMIN_KEY_LENGTH} characters; ignoring it. Run npm run setup or set a random key.`);
+            return false;
+        }
+
+        return true;
+    }
+
+    loadKeys() {
+        try {
+            if (!fs.pathExistsSync(this.keyFile)) return;
+
+            const stat = fs.statSync(this.keyFile);
+            const records = fs.readJsonSync(this.keyFile);
+
+            this.keys = new Map(records.map(record => [record.id, record]));
+            this.keyFileMtime = stat.mtimeMs;
+
+        } catch (error) {
+            logger.error('Error loading API keys:', error);
+        }
+    }
+
+    // Pick up keys created or revoked by other workers
+    async reloadIfChanged() {
+        try {
+            const stat = await fs.stat(this.keyFile);
+
+            if (stat.mtimeMs !== this.keyFileMtime) {
+                this.loadKeys();
+                this.cache.flushAll();
+            }
+        } catch (error) {
+            // No key file yet
+        }
+    }
+
+    async saveKeys() {
+        await fs.ensureDir(path.dirname(this.keyFile));
+        await fs.writeJson(this.keyFile, Array.from(this.keys.values()), {
+            spaces: 2,
+            mode: 0o600
+        });
+
+        this.keyFileMtime = (await fs.stat(this.keyFile)).mtimeMs;
+    }
+
+    async createKey({ name, type = 'integration', scopes = [], tenant = null }) {
+        if (!name) {
+            return {
+                success: false,
+                error: 'NAME_REQUIRED',
+                message: 'Key name is required'
+            };
+        }
+
+        if (!KEY_TYPES.includes(type)) {
+            return {
+                success: false,
+                error: 'INVALID_KEY_TYPE',
+                message: `Key type must be one of ${KEY_TYPES.join(', ')}`
+            };
+        }
+
+        const unknown = scopes.filter(scope => !SCOPES.includes(scope));
+        if (scopes.length === 0 || unknown.length > 0) {
+            return {
+                success: false,
+                error: 'INVALID_SCOPES',
+                message: `Scopes must be a non-empty list of ${SCOPES.join(', ')}`
+            };
+        }
+
+        if (type === 'integration' && scopes.some(scope => ADMIN_SCOPES.includes(scope))) {
+            return {
+                success: false,
+                error: 'ADMIN_SCOPE_DENIED',
+                message: `Integration keys cannot hold ${ADMIN_SCOPES.join(', ')}`
+            };
+        }
+
+        if (tenant !== null && !/^[\w-]{1,64}$/.test(tenant)) {
+            return {
+                success: false,
+                error: 'INVALID_TENANT_ID',
+                message: 'Tenant ID may only contain letters, numbers, _ and -'
+            };
+        }
+
+        await this.reloadIfChanged();
+
+        const id = crypto.randomBytes(6).toString('hex');
+        const secret = crypto.randomBytes(24).toString('base64url');
+        const key = `wsp_${id}_${secret}`;
+
+        const record = {
+            id: id,
+            name: name,
+            type: type,
+            scopes: scopes,
+            // Integration keys always belong to a tenant; admin keys without one see every tenant
+            tenant: tenant || (type === 'integration' ? 'default' : null),
+            prefix: key.slice(0, 12),
+            hash: await bcrypt.hash(key, 10),
+            createdAt: new Date(),
+            lastUsedAt: null,
+            revokedAt: null
+        };
+
+        this.keys.set(id, record);
+        await this.saveKeys();
+        this.stats.created++;
+
+        logger.info(`🔑 Created ${type} API key: ${record.prefix}… (${name})`);
+
+        return {
+            success: true,
+            key: key,
+            apiKey: this.sanitize(record)
+        };
+    }
+
+    // A tenant-bound caller can only revoke its own tenant's keys; others look like they don't exist
+    async revokeKey(id, tenant = null) {
+        await this.reloadIfChanged();
+
+        const record = this.keys.get(id);
+        if (!record || record.revokedAt || (tenant && record.tenant !== tenant)) {
+            return {
+                success: false,
+                error: 'KEY_NOT_FOUND',
+                message: 'API key not found'
+            };
+        }
+
+        record.revokedAt = new Date();
+        await this.saveKeys();
+        this.cache.flushAll();
+        this.stats.revoked++;
+
+        logger.info(`🚫 Revoked API key: ${record.prefix}… (${record.name})`);
+
+        return {
+            success: true,
+            apiKey: this.sanitize(record)
+        };
+    }
+
+    listKeys(tenant = null) {
+        return Array.from(this.keys.values())
+            .filter(record => !tenant || record.tenant === tenant)
+            .map(record => this.sanitize(record));
+    }
+
+    async verifyKey(key) {
+        if (!key || typeof key !== 'string') return null;
+
+        const lookup = this.hashForLookup(key);
+
+        if (this.envAdminHash && crypto.timingSafeEqual(lookup, this.envAdminHash)) {
+            return {
+                id: 'env-admin',
+                name: 'ADMIN_API_KEY',
+                type: 'admin',
+                tenant: null,
+                scopes: SCOPES
+            };
+        }
+
+        await this.reloadIfChanged();
+
+        const cached = this.cache.get(lookup.toString('hex'));
+        if (cached) return cached;
+
+        const match = /^wsp_([a-f0-9]{12})_/.exec(key);
+        if (!match) return null;
+
+        const record = this.keys.get(match[1]);
+        if (!record || record.revokedAt) return null;
+
+        if (!await bcrypt.compare(key, record.hash)) return null;
+
+        record.lastUsedAt = new Date();
+
+        const apiKey = this.sanitize(record);
+        this.cache.set(lookup.toString('hex'), apiKey);
+
+        return apiKey;
+    }
+
+    // Express middleware: resolve the caller's key and attach it to req.apiKey
+    authenticate() {
+        return async (req, res, next) => {
+            if (!this.enabled) {
+                req.apiKey = { id: 'anonymous', type: 'admin', tenant: null, scopes: SCOPES };
+                return next();
+            }
+
+            try {
+                const key = this.extractKey(req);
+
+                if (!key) {
+                    this.stats.rejected++;
+                    return res.status(401).json({
+                        success: false,
+                        error: 'API_KEY_REQUIRED',
+                        message: 'Provide an API key via the Authorization or X-API-Key header'
+                    });
+                }
+
+                const apiKey = await this.verifyKey(key);
+
+                if (!apiKey) {
+                    this.stats.rejected++;
+                    return res.status(401).json({
+                        success: false,
+                        error: 'INVALID_API_KEY',
+                        message: 'API key is invalid or has been revoked'
+                    });
+                }
+
+                this.stats.authenticated++;
+                req.apiKey = apiKey;
+                next();
+
+            } catch (error) {
+                next(error);
+            }
+        };
+    }
+
+    requireScope(scope) {
+        return (req, res, next) => {
+            if (!req.apiKey || !req.apiKey.scopes.includes(scope)) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'INSUFFICIENT_SCOPE',
+                    message: `This endpoint requires the ${scope} scope`
+                });
+            }
+
+            next();
+        };
+    }
+
+    requireAdmin() {
+        return (req, res, next) => {
+            if (!req.apiKey || req.apiKey.type !== 'admin') {
+                return res.status(403).json({
+                    success: false,
+                    error: 'ADMIN_KEY_REQUIRED',
+                    message: 'This endpoint requires an admin key'
+                });
+            }
+
+            next();
+        };
+    }
+
+    extractKey(req) {
+        const header = req.headers.authorization;
+
+        if (header && header.startsWith('Bearer ')) {
+            return header.slice(7).trim();
+        }
+
+        return req.headers['x-api-key'] || null;
+    }
+
+    hashForLookup(key) {
+        return crypto.createHash('sha256').update(key).digest();
+    }
+
+    sanitize(record) {
+        const { hash, ...rest } = record;
+        return rest;
+    }
+
+    getStats() {
+        const records = Array.from(this.keys.values());
+
+        return {
+            enabled: this.enabled,
+            total: records.length,
+            active: records.filter(r => !r.revokedAt).length,
+            byType: {
+                admin: records.filter(r => r.type === 'admin' && !r.revokedAt).length,
+                integration: records.filter(r => r.type === 'integration' && !r.revokedAt).length
+            },
+            ...this.stats
+        };
+    }
+}
+
+ApiKeyManager.SCOPES = SCOPES;
+
+module.exports = ApiKeyManager;
@@ -0,0 +1,849 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { pipeline } = require('stream/promises');
+const { Transform } = require('stream');
+const archiver = require('archiver');
+const unzipper = require('unzipper');
+const cron = require('node-cron');
+const { SessionVault } = require('../Whatsapp/encrypted-auth-state');
+const { getStore } = require('../storage');
+const { getCoordinator } = require('./cluster-coordinator');
+const { createBackupTargets } = require('../backup-targets');
+const logger = require('./logger').child({ module: 'backup-system' });
+
+const scrypt = promisify(crypto.scrypt);
+
+// <magic><salt><iv> then the AES-256-GCM encrypted zip, then the auth tag
+const MAGIC = Buffer.from('WSPBAK01');
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const HEADER_LENGTH = MAGIC.length + SALT_LENGTH + IV_LENGTH;
+
+const BACKUP_ID = /^backup_[\w-]+$/;
+// v2 records which backup holds each file, for incremental backups
+const MANIFEST_VERSION = 2;
+const MIN_PASSWORD_LENGTH = 8;
+
+// What to do with a backed-up session whose ID already exists
+const RESTORE_POLICIES = ['skip', 'overwrite', 'rename'];
+
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function backupError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+// Encrypted archives of every session's auth state under backups/<backupId>.backup.
+// Entries are decrypted out of the session vault, so an archive restores under any
+// ENCRYPTION_KEY; the archive itself is sealed with a key derived from the backup password.
+// <backupId>.json next to it is a plaintext copy of the manifest for listing.
+// An incremental backup only archives files that changed since its parent; its
+// manifest names the backup each unchanged file lives in, so restores follow the chain.
+class BackupSystem {
+    constructor(options = {}) {
+        this.store = options.store || getStore();
+        this.sessionManager = options.sessionManager || null;
+        this.whatsappService = options.whatsappService || null;
+        this.tenantManager = options.tenantManager || null;
+        this.baseDir = options.baseDir || process.env.BACKUP_DIR || path.join(__dirname, '../../backups');
+        this.password = options.password || process.env.BACKUP_PASSWORD || null;
+        this.retentionDays = options.retentionDays || parseInt(process.env.BACKUP_RETENTION_DAYS, 10) || 7;
+        this.coordinator = options.coordinator || getCoordinator();
+
+        // Off-box copies of every archive (BACKUP_TARGETS)
+        this.targets = options.targets || createBackupTargets();
+
+        this.schedules = [];
+
+        fs.ensureDirSync(this.baseDir);
+    }
+
+    paths(backupId) {
+        if (!BACKUP_ID.test(backupId)) {
+            throw backupError('INVALID_BACKUP_ID', `Invalid backup ID: ${backupId}`);
+        }
+
+        return {
+            archive: path.join(this.baseDir, `${backupId}.backup`),
+            manifest: path.join(this.baseDir, `${backupId}.json`)
+        };
+    }
+
+    checkPassword(password) {
+        if (!password) {
+            throw backupError('PASSWORD_REQUIRED', 'A backup password is required (or set BACKUP_PASSWORD)');
+        }
+
+        if (password.length < MIN_PASSWORD_LENGTH) {
+            throw backupError('WEAK_PASSWORD', `Backup passwords must be at least ${MIN_PASSWORD_LENGTH} characters`);
+        }
+    }
+
+    deriveKey(password, salt) {
+        return scrypt(password, salt, 32);
+    }
+
+    // Lets an incremental backup confirm it shares its parent's password without opening it
+    async keyCheck(password, salt = crypto.randomBytes(SALT_LENGTH)) {
+        return {
+            salt: salt.toString('base64'),
+            hash: sha256(await this.deriveKey(password, salt))
+        };
+    }
+
+    // Newest backup made with the same password, whose files an incremental backup can point at
+    async findParent(password) {
+        for (const backup of await this.listBackups()) {
+            const record = await this.readRecord(backup.id);
+            if (!record || !record.keyCheck) continue;
+
+            const check = await this.keyCheck(password, Buffer.from(record.keyCheck.salt, 'base64'));
+            if (check.hash === record.keyCheck.hash) {
+                return record;
+            }
+        }
+
+        return null;
+    }
+
+    // Every session's auth files, decrypted; sessions whose vault cannot be read are skipped
+    async collectSessions() {
+        const sessions = [];
+        const skipped = [];
+
+        for (const sessionId of await this.store.listSessions()) {
+            const vault = new SessionVault(sessionId, { store: this.store });
+            const files = [];
+
+            try {
+                for (const name of await vault.list()) {
+                    const text = await vault.readText(name);
+                    if (text !== null) {
+                        files.push({ name: name, content: Buffer.from(text, 'utf-8') });
+                    }
+                }
+            } catch (error) {
+                logger.error(`❌ Skipping session ${sessionId} in backup:`, error);
+                skipped.push({ id: sessionId, error: error.message });
+                continue;
+            }
+
+            if (files.length === 0) continue;
+
+            const infoFile = files.find(file => file.name === 'session-info.json');
+            const info = infoFile ? JSON.parse(infoFile.content.toString('utf-8')) : {};
+
+            sessions.push({
+                id: sessionId,
+                tenant: info.tenant || 'default',
+                status: info.status || null,
+                files: files
+            });
+        }
+
+        return { sessions, skipped };
+    }
+
+    async createBackup(password, options = {}) {
+        try {
+            const secret = password || this.password;
+            this.checkPassword(secret);
+
+            const backupId = `backup_${Date.now()}`;
+            const { archive, manifest: manifestPath } = this.paths(backupId);
+            const { sessions, skipped } = await this.collectSessions();
+
+            // Unchanged files stay where the parent found them
+            const parent = options.incremental ? await this.findParent(secret) : null;
+            const previous = new Map();
+
+            if (parent) {
+                parent.sessions.forEach(session => session.files.forEach(file => {
+                    previous.set(`${session.id}/${file.name}`, file);
+                }));
+            }
+
+            sessions.forEach(session => session.files.forEach(file => {
+                file.sha256 = sha256(file.content);
+
+                const before = previous.get(`${session.id}/${file.name}`);
+                file.source = before && before.sha256 === file.sha256 ? before.source || parent.id : backupId;
+            }));
+
+            const manifest = {
+                version: MANIFEST_VERSION,
+                id: backupId,
+                type: parent ? 'incremental' : 'full',
+                parent: parent ? parent.id : null,
+                createdAt: new Date().toISOString(),
+                reason: options.reason || 'manual',
+                storage: this.store.name,
+                sessionCount: sessions.length,
+                fileCount: sessions.reduce((sum, session) => sum + session.files.length, 0),
+                totalSize: sessions.reduce((sum, session) =>
+                    sum + session.files.reduce((size, file) => size + file.content.length, 0), 0),
+                sessions: sessions.map(session => ({
+                    id: session.id,
+                    tenant: session.tenant,
+                    status: session.status,
+                    files: session.files.map(file => ({
+                        name: file.name,
+                        size: file.content.length,
+                        sha256: file.sha256,
+                        source: file.source
+                    }))
+                })),
+                skipped: skipped
+            };
+
+            manifest.changedFileCount = sessions.reduce((sum, session) =>
+                sum + session.files.filter(file => file.source === backupId).length, 0);
+
+            await this.writeArchive(archive, secret, sessions, manifest);
+
+            const stat = await fs.stat(archive);
+            const record = {
+                ...manifest,
+                keyCheck: await this.keyCheck(secret),
+                archive: {
+                    file: path.basename(archive),
+                    size: stat.size,
+                    sha256: sha256(await fs.readFile(archive))
+                },
+                targets: {}
+            };
+
+            await fs.writeJson(manifestPath, record, { spaces: 2 });
+
+            logger.info(`💾 Created ${manifest.type} backup: ${backupId} (${manifest.sessionCount} sessions, ${manifest.changedFileCount}/${manifest.fileCount} files)`);
+
+            await this.pushToTargets(record);
+
+            return {
+                success: true,
+                backup: this.summarize(record)
+            };
+
+        } catch (error) {
+            logger.error('❌ Error creating backup:', error);
+            return {
+                success: false,
+                error: error.code || 'BACKUP_FAILED',
+                message: error.message
+            };
+        }
+    }
+
+    async writeArchive(archivePath, password, sessions, manifest) {
+        const salt = crypto.randomBytes(SALT_LENGTH);
+        const iv = crypto.randomBytes(IV_LENGTH);
+        const cipher = crypto.createCipheriv('aes-256-gcm', await this.deriveKey(password, salt), iv);
+        const tmpPath = `${archivePath}.${process.pid}.tmp`;
+
+        // The tag only exists once the cipher has flushed, so append it on the way out
+        const appendTag = new Transform({
+            transform(chunk, encoding, callback) {
+                callback(null, chunk);
+            },
+            flush(callback) {
+                callback(null, cipher.getAuthTag());
+            }
+        });
+
+        const archive = archiver('zip', { zlib: { level: 9 } });
+
+        for (const session of sessions) {
+            for (const file of session.files) {
+                if (file.source !== manifest.id) continue;
+                archive.append(file.content, { name: `sessions/${session.id}/${file.name}` });
+            }
+        }
+
+        archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+        archive.finalize();
+
+        try {
+            await fs.writeFile(tmpPath, Buffer.concat([MAGIC, salt, iv]), { mode: 0o600 });
+            await pipeline(archive, cipher, appendTag, fs.createWriteStream(tmpPath, { flags: 'a' }));
+            await fs.rename(tmpPath, archivePath);
+        } catch (error) {
+            await fs.remove(tmpPath);
+            throw error;
+        }
+    }
+
+    // Decrypt and unzip one archive: { manifest, files: Map(path -> Buffer) }
+    async openArchive(archivePath, password) {
+        const data = await fs.readFile(archivePath);
+
+        if (data.length < HEADER_LENGTH + TAG_LENGTH || !data.subarray(0, MAGIC.length).equals(MAGIC)) {
+            throw backupError('INVALID_ARCHIVE', 'Not a backup archive');
+        }
+
+        const salt = data.subarray(MAGIC.length, MAGIC.length + SALT_LENGTH);
+        const iv = data.subarray(MAGIC.length + SALT_LENGTH, HEADER_LENGTH);
+        const decipher = crypto.createDecipheriv('aes-256-gcm', await this.deriveKey(password, salt), iv);
+        decipher.setAuthTag(data.subarray(data.length - TAG_LENGTH));
+
+        let zip;
+        try {
+            zip = Buffer.concat([
+                decipher.update(data.subarray(HEADER_LENGTH, data.length - TAG_LENGTH)),
+                decipher.final()
+            ]);
+        } catch (error) {
+            // GCM cannot tell a wrong password from a damaged file
+            throw backupError('WRONG_PASSWORD', 'Wrong password, or the archive is damaged');
+        }
+
+        const directory = await unzipper.Open.buffer(zip);
+        const files = new Map();
+
+        for (const entry of directory.files) {
+            if (entry.type === 'File') {
+                files.set(entry.path, await entry.buffer());
+            }
+        }
+
+        if (!files.has('manifest.json')) {
+            throw backupError('INVALID_ARCHIVE', 'Backup archive has no manifest');
+        }
+
+        const manifest = JSON.parse(files.get('manifest.json').toString('utf-8'));
+
+        if (manifest.version > MANIFEST_VERSION) {
+            throw backupError('UNSUPPORTED_VERSION', `Unsupported backup version: ${manifest.version}`);
+        }
+
+        return { manifest, files };
+    }
+
+    // Decrypt and unpack an archive, plus any earlier backups an incremental one points at,
+    // checking every file against the manifest.
+    // Returns { manifest, sessions: [{ id, tenant, status, files: { name: text } }] }
+    async readArchive(archivePath, password) {
+        this.checkPassword(password);
+
+        const { manifest, files } = await this.openArchive(archivePath, password);
+        const sources = new Map([[manifest.id, files]]);
+
+        const corrupt = [];
+        const sessions = [];
+
+        for (const session of manifest.sessions) {
+            if (!/^[\w-]+$/.test(session.id)) {
+                throw backupError('INVALID_ARCHIVE', `Invalid session ID in backup: ${session.id}`);
+            }
+
+            const contents = {};
+
+            for (const file of session.files) {
+                const source = file.source || manifest.id;
+
+                if (!sources.has(source)) {
+                    const sourcePath = await this.locateArchive(source);
+
+                    if (!sourcePath) {
+                        throw backupError('MISSING_PARENT', `Backup ${manifest.id} needs backup ${source}, which is not available`);
+                    }
+
+                    sources.set(source, (await this.openArchive(sourcePath, password)).files);
+                }
+
+                const content = sources.get(source).get(`sessions/${session.id}/${file.name}`);
+
+                if (!content || sha256(content) !== file.sha256 || file.name !== path.basename(file.name)) {
+                    corrupt.push(`${session.id}/${file.name}`);
+                    continue;
+                }
+
+                contents[file.name] = content.toString('utf-8');
+            }
+
+            sessions.push({ id: session.id, tenant: session.tenant, status: session.status, files: contents });
+        }
+
+        if (corrupt.length > 0) {
+            throw backupError('CHECKSUM_MISMATCH', `Files failed their checksum: ${corrupt.slice(0, 5).join(', ')}`);
+        }
+
+        return { manifest, sessions };
+    }
+
+    async sessionExists(sessionId) {
+        if (this.sessionManager && this.sessionManager.getSession(sessionId)) return true;
+        return (await this.store.list(sessionId)).length > 0;
+    }
+
+    // First free <sessionId>_restored, <sessionId>_restored_2, ...
+    async freeSessionId(sessionId, taken) {
+        for (let n = 1; ; n++) {
+            const candidate = n === 1 ? `${sessionId}_restored` : `${sessionId}_restored_${n}`;
+
+            if (!taken.has(candidate) && !await this.sessionExists(candidate)) {
+                return candidate;
+            }
+        }
+    }
+
+    // What restoring would do to each selected session: create, skip, overwrite or rename.
+    // options.conflict is the policy for sessions that already exist; options.conflicts
+    // overrides it per session ID; options.sessions restricts the restore to those IDs.
+    async planRestore(sessions, options = {}) {
+        const selected = options.sessions && options.sessions.length > 0 ? new Set(options.sessions) : null;
+        const taken = new Set();
+        const plan = [];
+
+        for (const session of sessions) {
+            if (selected && !selected.has(session.id)) continue;
+
+            const exists = await this.sessionExists(session.id);
+            const policy = (options.conflicts && options.conflicts[session.id]) || options.conflict || 'skip';
+
+            if (!RESTORE_POLICIES.includes(policy)) {
+                throw backupError('INVALID_POLICY', `Unknown conflict policy for ${session.id}: ${policy}`);
+            }
+
+            const entry = {
+                id: session.id,
+                action: exists ? policy : 'create',
+                restoredAs: session.id,
+                exists: exists,
+                fileCount: Object.keys(session.files).length
+            };
+
+            if (entry.action === 'skip') {
+                entry.restoredAs = null;
+            } else if (entry.action === 'rename') {
+                entry.restoredAs = await this.freeSessionId(session.id, taken);
+            }
+
+            if (entry.restoredAs) taken.add(entry.restoredAs);
+            plan.push(entry);
+        }
+
+        return {
+            plan: plan,
+            notFound: selected ? Array.from(selected).filter(id => !sessions.some(session => session.id === id)) : []
+        };
+    }
+
+    // The sessions a restore adds to each tenant must fit its maxSessions; overwriting
+    // one of the tenant's own sessions does not add one
+    async checkSessionQuotas(plan, sessions) {
+        if (!this.tenantManager || !this.sessionManager) return;
+
+        const adding = new Map();
+
+        for (const entry of plan) {
+            if (entry.action === 'skip') continue;
+
+            const session = sessions.find(candidate => candidate.id === entry.id);
+            const info = session.files['session-info.json'] ? JSON.parse(session.files['session-info.json']) : {};
+            const tenant = info.tenant || 'default';
+            const current = entry.action === 'overwrite' ? this.sessionManager.getSession(entry.restoredAs) : null;
+
+            if (current && current.tenant === tenant) continue;
+
+            adding.set(tenant, (adding.get(tenant) || 0) + 1);
+        }
+
+        for (const [tenant, count] of adding) {
+            const quota = await this.tenantManager.checkSessionQuota(tenant, this.sessionManager.countSessions(tenant), count);
+
+            if (!quota.allowed) {
+                throw backupError(quota.error, `${quota.message}; restoring would add ${count}`);
+            }
+        }
+    }
+
+    // Never swap auth state out from under a live socket: close the ones being overwritten,
+    // on whichever worker holds them, before anything is written
+    async releaseSessions(plan) {
+        if (!this.whatsappService) return;
+
+        const busy = [];
+        for (const entry of plan) {
+            if (entry.action !== 'overwrite') continue;
+
+            if (!await this.whatsappService.releaseSession(entry.restoredAs)) {
+                busy.push(entry.restoredAs);
+            }
+        }
+
+        if (busy.length > 0) {
+            throw backupError('SESSION_BUSY', `Sessions still connected on another worker: ${busy.join(', ')}`);
+        }
+    }
+
+    async restoreSession(session, entry, backupId) {
+        const sessionId = entry.restoredAs;
+
+        if (entry.action === 'overwrite') {
+            if (this.sessionManager && this.sessionManager.getSession(sessionId)) {
+                await this.sessionManager.deleteSession(sessionId);
+            }
+            await this.store.removeSession(sessionId);
+        }
+
+        const files = { ...session.files };
+        let info = null;
+
+        if (files['session-info.json']) {
+            info = JSON.parse(files['session-info.json']);
+            info.id = sessionId;
+            info.metadata = {
+                ...info.metadata,
+                restoredAt: new Date().toISOString(),
+                restoredFrom: { backupId: backupId, sessionId: session.id }
+            };
+            files['session-info.json'] = JSON.stringify(info);
+        }
+
+        const vault = new SessionVault(sessionId, { store: this.store });
+        for (const [name, text] of Object.entries(files)) {
+            await vault.writeText(name, text);
+        }
+
+        // Published as session_saved, so every worker's registry picks up the restored info
+        if (this.sessionManager && info) {
+            this.sessionManager.registerSession(info);
+        }
+    }
+
+    // Restore sessions from an archive; with options.dryRun only report the plan
+    async restoreBackup(archivePath, password, options = {}) {
+        try {
+            const { manifest, sessions } = await this.readArchive(archivePath, password || this.password);
+            const { plan, notFound } = await this.planRestore(sessions, options);
+
+            if (notFound.length > 0) {
+                throw backupError('SESSIONS_NOT_IN_BACKUP', `Not in this backup: ${notFound.join(', ')}`);
+            }
+
+            await this.checkSessionQuotas(plan, sessions);
+
+            if (!options.dryRun) {
+                await this.releaseSessions(plan);
+
+                for (const entry of plan) {
+                    if (entry.action === 'skip') continue;
+
+                    const session = sessions.find(candidate => candidate.id === entry.id);
+                    await this.restoreSession(session, entry, manifest.id);
+                }
+
+                const restored = plan.filter(entry => entry.action !== 'skip').length;
+                logger.info(`🔄 Restored backup ${manifest.id}: ${restored} sessions restored, ${plan.length - restored} skipped`);
+            }
+
+            return {
+                success: true,
+                dryRun: Boolean(options.dryRun),
+                backup: {
+                    id: manifest.id,
+                    createdAt: manifest.createdAt,
+                    sessionCount: manifest.sessionCount
+                },
+                sessions: plan
+            };
+
+        } catch (error) {
+            logger.error('❌ Error restoring backup:', error);
+            return {
+                success: false,
+                error: error.code || 'RESTORE_FAILED',
+                message: error.message
+            };
+        }
+    }
+
+    // Restore one of this server's own backups, checking it against its manifest first
+    async restoreStoredBackup(backupId, password, options = {}) {
+        await this.locateArchive(backupId);
+        const backup = await this.describeBackup(backupId);
+
+        if (!backup) {
+            return { success: false, error: 'BACKUP_NOT_FOUND', message: 'Backup not found' };
+        }
+
+        if (!backup.intact) {
+            return { success: false, error: 'ARCHIVE_DAMAGED', message: 'Backup archive does not match its checksum' };
+        }
+
+        return this.restoreBackup(this.paths(backupId).archive, password, options);
+    }
+
+    // Scheduled backups use BACKUP_PASSWORD, then drop the ones past retention
+    async autoBackup(options = {}) {
+        if (!this.password) {
+            logger.warn('⚠️ Skipping automatic backup: BACKUP_PASSWORD is not set');
+            return { success: false, error: 'PASSWORD_REQUIRED' };
+        }
+
+        const result = await this.createBackup(this.password, { reason: 'auto', ...options });
+        await this.prune();
+
+        return result;
+    }
+
+    // BACKUP_SCHEDULE (full) and BACKUP_INCREMENTAL_SCHEDULE are cron expressions in BACKUP_TIMEZONE
+    startSchedules() {
+        const schedules = [
+            { type: 'full', expression: process.env.BACKUP_SCHEDULE || '0 3 * * *' },
+            { type: 'incremental', expression: process.env.BACKUP_INCREMENTAL_SCHEDULE }
+        ];
+
+        if (!this.password) {
+            logger.warn('⚠️ Backup schedules are off: BACKUP_PASSWORD is not set');
+            return;
+        }
+
+        for (const { type, expression } of schedules) {
+            if (!expression || expression === 'off') continue;
+
+            if (!cron.validate(expression)) {
+                logger.error(`❌ Invalid ${type} backup schedule: ${expression}`);
+                continue;
+            }
+
+            this.schedules.push(cron.schedule(expression, () => {
+                this.runScheduled(type).catch(error => {
+                    logger.error(`❌ Scheduled ${type} backup failed:`, error);
+                });
+            }, { timezone: process.env.BACKUP_TIMEZONE || undefined }));
+
+            logger.info(`⏰ ${type} backups scheduled: ${expression}`);
+        }
+    }
+
+    stopSchedules() {
+        this.schedules.forEach(task => task.stop());
+        this.schedules = [];
+    }
+
+    // Every worker runs the schedule (and shuts down), but only the first to claim the minute backs up
+    async runScheduled(type) {
+        const minute = Math.floor(Date.now() / 60000);
+        const claims = await this.coordinator.incr(`backup_schedule:${type}:${minute}`, 120);
+
+        if (claims !== 1) return null;
+
+        return this.autoBackup({
+            reason: type === 'shutdown' ? 'shutdown' : 'scheduled',
+            incremental: type !== 'full'
+        });
+    }
+
+    // Copy the archive and its manifest to every target, noting the outcome in the manifest
+    async pushToTargets(record) {
+        if (this.targets.length === 0) return;
+
+        const { archive, manifest } = this.paths(record.id);
+
+        for (const target of this.targets) {
+            try {
+                await target.upload(archive, path.basename(archive));
+                await target.upload(manifest, path.basename(manifest));
+                record.targets[target.name] = { uploadedAt: new Date().toISOString(), error: null };
+                logger.info(`☁️ Uploaded ${record.id} to ${target.name}`);
+            } catch (error) {
+                record.targets[target.name] = { uploadedAt: null, error: error.message };
+                logger.error(`❌ Uploading ${record.id} to ${target.name} failed:`, error);
+            }
+        }
+
+        await fs.writeJson(manifest, record, { spaces: 2 });
+    }
+
+    // Local path of a backup's archive, fetched from a target when this machine lacks it
+    async locateArchive(backupId) {
+        if (!BACKUP_ID.test(backupId)) return null;
+
+        const { archive, manifest } = this.paths(backupId);
+        if (await fs.pathExists(archive)) return archive;
+
+        for (const target of this.targets) {
+            try {
+                await target.download(path.basename(manifest), manifest);
+                await target.download(path.basename(archive), archive);
+                logger.info(`📥 Fetched ${backupId} from ${target.name}`);
+                return archive;
+            } catch (error) {
+                await fs.remove(archive);
+                await fs.remove(manifest);
+            }
+        }
+
+        return null;
+    }
+
+    summarize(record) {
+        return {
+            id: record.id,
+            createdAt: record.createdAt,
+            reason: record.reason,
+            sessionCount: record.sessionCount,
+            type: record.type || 'full',
+            parent: record.parent || null,
+            fileCount: record.fileCount,
+            size: record.archive.size,
+            sha256: record.archive.sha256
+        };
+    }
+
+    // Newest first
+    async listBackups() {
+        const backups = [];
+
+        for (const file of await fs.readdir(this.baseDir)) {
+            if (!/^backup_[\w-]+\.json$/.test(file)) continue;
+
+            try {
+                backups.push(this.summarize(await fs.readJson(path.join(this.baseDir, file))));
+            } catch (error) {
+                logger.error(`❌ Unreadable backup manifest ${file}:`, error);
+            }
+        }
+
+        return backups.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    async readRecord(backupId) {
+        try {
+            return await fs.readJson(this.paths(backupId).manifest);
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    // IDs of the backups whose archives hold files the given backups need
+    dependencies(records) {
+        const needed = new Set();
+
+        records.forEach(record => record.sessions.forEach(session => session.files.forEach(file => {
+            if (file.source && file.source !== record.id) {
+                needed.add(file.source);
+            }
+        })));
+
+        return needed;
+    }
+
+    // The full manifest, plus whether the archive on disk still matches it
+    async describeBackup(backupId) {
+        if (!BACKUP_ID.test(backupId)) return null;
+
+        const { archive } = this.paths(backupId);
+        const record = await this.readRecord(backupId);
+        if (!record) return null;
+
+        delete record.keyCheck;
+        const intact = await fs.pathExists(archive) && sha256(await fs.readFile(archive)) === record.archive.sha256;
+
+        return { ...record, intact };
+    }
+
+    // Refuses while a later incremental backup still needs files from this one
+    async deleteBackup(backupId) {
+        if (!BACKUP_ID.test(backupId) || !await this.readRecord(backupId)) {
+            return { success: false, error: 'BACKUP_NOT_FOUND', message: 'Backup not found' };
+        }
+
+        const others = [];
+        for (const backup of await this.listBackups()) {
+            if (backup.id !== backupId) others.push(await this.readRecord(backup.id));
+        }
+
+        if (this.dependencies(others.filter(Boolean)).has(backupId)) {
+            return {
+                success: false,
+                error: 'BACKUP_IN_USE',
+                message: 'Later incremental backups depend on this backup; delete them first'
+            };
+        }
+
+        await this.removeBackup(backupId);
+        return { success: true };
+    }
+
+    async removeBackup(backupId) {
+        const { archive, manifest } = this.paths(backupId);
+
+        await fs.remove(archive);
+        await fs.remove(manifest);
+
+        for (const target of this.targets) {
+            try {
+                await target.delete(path.basename(archive));
+                await target.delete(path.basename(manifest));
+            } catch (error) {
+                logger.error(`❌ Deleting ${backupId} from ${target.name} failed:`, error);
+            }
+        }
+
+        logger.info(`🗑️ Deleted backup: ${backupId}`);
+    }
+
+    // Remove backups older than BACKUP_RETENTION_DAYS, always keeping the newest
+    // and any backup a kept incremental still draws files from
+    async prune() {
+        const cutoff = Date.now() - this.retentionDays * 24 * 60 * 60 * 1000;
+        const backups = await this.listBackups();
+        const expired = backups.slice(1).filter(backup => new Date(backup.createdAt).getTime() < cutoff);
+        const expiredIds = new Set(expired.map(backup => backup.id));
+
+        const kept = [];
+        for (const backup of backups) {
+            if (!expiredIds.has(backup.id)) kept.push(await this.readRecord(backup.id));
+        }
+
+        const needed = this.dependencies(kept.filter(Boolean));
+        let pruned = 0;
+
+        for (const backup of expired) {
+            if (!needed.has(backup.id)) {
+                await this.removeBackup(backup.id);
+                pruned++;
+            }
+        }
+
+        if (pruned > 0) {
+            logger.info(`🧹 Pruned ${pruned} backups older than ${this.retentionDays} days`);
+        }
+
+        return pruned;
+    }
+
+    async getStats() {
+        const backups = await this.listBackups();
+
+        return {
+            directory: this.baseDir,
+            count: backups.length,
+            totalSize: backups.reduce((sum, backup) => sum + backup.size, 0),
+            latest: backups.length > 0 ? backups[0].createdAt : null,
+            retentionDays: this.retentionDays,
+            automatic: Boolean(this.password),
+            scheduled: this.schedules.length,
+            targets: this.targets.map(target => target.name)
+        };
+    }
+
+    async close() {
+        this.stopSchedules();
+        await Promise.all(this.targets.map(target => target.close()));
+    }
+}
+
+BackupSystem.RESTORE_POLICIES = RESTORE_POLICIES;
+
+module.exports = BackupSystem;
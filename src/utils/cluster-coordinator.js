@@ -0,0 +1,375 @@
+const EventEmitter = require('events');
+const cluster = require('cluster');
+const NodeCache = require('node-cache');
+const logger = require('./logger').child({ module: 'cluster-coordinator' });
+
+const LEASE_TTL = 30; // seconds, renewed every LEASE_TTL / 3
+const MASTER_ENV = 'CLUSTER_COORDINATOR_PID'; // set by attachMaster, inherited by cluster.fork()
+const REQUEST_TIMEOUT = 5000;
+
+// SharedState methods workers may call over IPC
+const OPERATIONS = ['get', 'set', 'del', 'incr', 'acquireLease', 'renewLeases', 'releaseLease', 'getOwner', 'getStats'];
+
+// Key/value state with TTLs plus per-session ownership leases. One instance lives
+// in the cluster master (or in-process when not clustered); workers reach it over IPC.
+class SharedState extends EventEmitter {
+    constructor() {
+        super();
+
+        this.values = new NodeCache({ stdTTL: 600, checkperiod: 5, useClones: false });
+        this.leases = new NodeCache({ stdTTL: LEASE_TTL, checkperiod: 5, useClones: false });
+
+        this.values.on('expired', (key, value) => {
+            this.emit('expired', { key, value });
+        });
+    }
+
+    get(key) {
+        const value = this.values.get(key);
+        return value === undefined ? null : value;
+    }
+
+    // ttl arrives as null rather than undefined once it has crossed IPC
+    set(key, value, ttl) {
+        return ttl === undefined || ttl === null
+            ? this.values.set(key, value)
+            : this.values.set(key, value, ttl);
+    }
+
+    // Returns false when the key was already gone, so one-time codes can only be used once
+    del(key) {
+        return this.values.del(key) > 0;
+    }
+
+    incr(key, ttl) {
+        const count = (this.values.get(key) || 0) + 1;
+        this.set(key, count, ttl);
+        return count;
+    }
+
+    acquireLease(sessionId, owner, ttl = LEASE_TTL) {
+        const current = this.leases.get(sessionId);
+
+        if (current && current.workerId !== owner.workerId) {
+            return { acquired: false, owner: current };
+        }
+
+        const lease = {
+            ...owner,
+            sessionId: sessionId,
+            acquiredAt: current ? current.acquiredAt : Date.now(),
+            renewedAt: Date.now()
+        };
+
+        this.leases.set(sessionId, lease, ttl);
+        return { acquired: true, owner: lease };
+    }
+
+    // Returns the session IDs the worker no longer owns. The address is rewritten on every
+    // renewal, so leases taken before the worker's internal server was listening get one
+    renewLeases(workerId, sessionIds, address, ttl = LEASE_TTL) {
+        const lost = [];
+
+        for (const sessionId of sessionIds) {
+            const current = this.leases.get(sessionId);
+
+            if (!current || current.workerId !== workerId) {
+                lost.push(sessionId);
+                continue;
+            }
+
+            current.renewedAt = Date.now();
+            if (address) {
+                current.address = address;
+            }
+            this.leases.set(sessionId, current, ttl);
+        }
+
+        return lost;
+    }
+
+    releaseLease(sessionId, workerId) {
+        const current = this.leases.get(sessionId);
+
+        if (!current || current.workerId !== workerId) {
+            return false;
+        }
+
+        this.leases.del(sessionId);
+        return true;
+    }
+
+    getOwner(sessionId) {
+        return this.leases.get(sessionId) || null;
+    }
+
+    releaseWorker(workerId) {
+        const owned = this.leases.keys().filter(sessionId => {
+            const lease = this.leases.get(sessionId);
+            return lease && lease.workerId === workerId;
+        });
+
+        this.leases.del(owned);
+        return owned.length;
+    }
+
+    getStats() {
+        return {
+            values: this.values.keys().length,
+            leases: this.leases.keys().length
+        };
+    }
+}
+
+// Worker-side handle on the shared state. When the process is not a cluster worker
+// it keeps its own SharedState, so single-process deployments behave the same way.
+class ClusterCoordinator extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        // Only workers forked by a master that ran attachMaster have someone to answer them;
+        // PM2's cluster mode forks workers from its own daemon, which does not
+        this.clustered = cluster.isWorker && process.env[MASTER_ENV] === String(process.ppid);
+        this.workerId = this.clustered ? cluster.worker.id : 0;
+        this.address = options.address || null;
+
+        this.heldLeases = new Set();
+        this.pending = new Map();
+        this.nextRequestId = 1;
+
+        if (this.clustered) {
+            process.on('message', (message) => this.handleMessage(message));
+        } else {
+            this.state = new SharedState();
+            this.state.on('expired', (payload) => this.dispatch('expired', payload, this.workerId));
+        }
+
+        this.renewTimer = setInterval(() => this.renewLeases(), LEASE_TTL * 1000 / 3);
+        this.renewTimer.unref();
+    }
+
+    // Internal URL other workers proxy this worker's sessions to
+    setAddress(address) {
+        this.address = address;
+
+        // Sessions resumed before the internal server was up hold leases without an address
+        this.renewLeases();
+    }
+
+    call(op, ...args) {
+        if (!this.clustered) {
+            return Promise.resolve(this.state[op](...args));
+        }
+
+        const id = this.nextRequestId++;
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pending.delete(id);
+                reject(new Error(`Cluster coordinator did not answer ${op} in time`));
+            }, REQUEST_TIMEOUT);
+
+            this.pending.set(id, { resolve, reject, timer });
+            process.send({ coordinator: 'request', id, op, args });
+        });
+    }
+
+    handleMessage(message) {
+        if (!message || !message.coordinator) return;
+
+        if (message.coordinator === 'response') {
+            const pending = this.pending.get(message.id);
+            if (!pending) return;
+
+            this.pending.delete(message.id);
+            clearTimeout(pending.timer);
+
+            if (message.error) {
+                pending.reject(new Error(message.error));
+            } else {
+                pending.resolve(message.result);
+            }
+            return;
+        }
+
+        if (message.coordinator === 'message') {
+            this.dispatch(message.channel, message.payload, message.from);
+        }
+    }
+
+    dispatch(channel, payload, from) {
+        this.emit(`message:${channel}`, payload, from);
+    }
+
+    get(key) {
+        return this.call('get', key);
+    }
+
+    set(key, value, ttl) {
+        return this.call('set', key, value, ttl);
+    }
+
+    del(key) {
+        return this.call('del', key);
+    }
+
+    incr(key, ttl) {
+        return this.call('incr', key, ttl);
+    }
+
+    async acquireLease(sessionId) {
+        const result = await this.call('acquireLease', sessionId, {
+            workerId: this.workerId,
+            pid: process.pid,
+            address: this.address
+        });
+
+        if (result.acquired) {
+            this.heldLeases.add(sessionId);
+        }
+
+        return result;
+    }
+
+    async releaseLease(sessionId) {
+        this.heldLeases.delete(sessionId);
+        return await this.call('releaseLease', sessionId, this.workerId);
+    }
+
+    getOwner(sessionId) {
+        return this.call('getOwner', sessionId);
+    }
+
+    isLocal(owner) {
+        return !owner || owner.workerId === this.workerId;
+    }
+
+    async renewLeases() {
+        if (this.heldLeases.size === 0) return;
+
+        try {
+            const lost = await this.call('renewLeases', this.workerId, Array.from(this.heldLeases), this.address);
+
+            lost.forEach(sessionId => {
+                this.heldLeases.delete(sessionId);
+                logger.warn(`⚠️ Lost ownership of session ${sessionId}`);
+                this.emit('leaseLost', sessionId);
+            });
+        } catch (error) {
+            logger.error('Lease renewal failed:', error);
+        }
+    }
+
+    // Deliver to every worker, this one included
+    publish(channel, payload) {
+        if (!this.clustered) {
+            setImmediate(() => this.dispatch(channel, payload, this.workerId));
+            return;
+        }
+
+        process.send({ coordinator: 'publish', channel, payload });
+    }
+
+    subscribe(channel, handler) {
+        this.on(`message:${channel}`, handler);
+    }
+
+    getStatus() {
+        return {
+            clustered: this.clustered,
+            workerId: this.workerId,
+            address: this.address,
+            leases: Array.from(this.heldLeases)
+        };
+    }
+
+    async close() {
+        clearInterval(this.renewTimer);
+
+        await Promise.all(Array.from(this.heldLeases).map(sessionId =>
+            this.releaseLease(sessionId).catch(() => false)
+        ));
+    }
+}
+
+// Run in the cluster master: serve workers' requests and relay their publishes
+function attachMaster(clusterModule = cluster) {
+    const state = new SharedState();
+
+    // Tells the workers forked after this that there is a master to talk to
+    process.env[MASTER_ENV] = String(process.pid);
+
+    const sendToAll = (message) => {
+        Object.values(clusterModule.workers).forEach(worker => {
+            if (worker && worker.isConnected()) {
+                worker.send(message);
+            }
+        });
+    };
+
+    clusterModule.on('message', (worker, message) => {
+        if (!message || !message.coordinator) return;
+
+        if (message.coordinator === 'publish') {
+            sendToAll({
+                coordinator: 'message',
+                channel: message.channel,
+                payload: message.payload,
+                from: worker.id
+            });
+            return;
+        }
+
+        if (message.coordinator !== 'request') return;
+
+        let response;
+
+        try {
+            if (!OPERATIONS.includes(message.op)) {
+                throw new Error(`Unknown coordinator operation: ${message.op}`);
+            }
+
+            response = { coordinator: 'response', id: message.id, result: state[message.op](...message.args) };
+        } catch (error) {
+            response = { coordinator: 'response', id: message.id, error: error.message };
+        }
+
+        if (worker.isConnected()) {
+            worker.send(response);
+        }
+    });
+
+    // Expired pairing codes and the like go to every worker's subscribers
+    state.on('expired', (payload) => {
+        sendToAll({ coordinator: 'message', channel: 'expired', payload, from: 0 });
+    });
+
+    // A dead worker's sockets are gone, so its sessions are free to take over
+    clusterModule.on('exit', (worker) => {
+        const released = state.releaseWorker(worker.id);
+
+        if (released > 0) {
+            logger.info(`🔓 Released ${released} session leases held by worker ${worker.id}`);
+        }
+    });
+
+    return state;
+}
+
+let shared = null;
+
+// One coordinator per worker process so every module shares the IPC channel
+function getCoordinator() {
+    if (!shared) {
+        shared = new ClusterCoordinator();
+    }
+
+    return shared;
+}
+
+module.exports = {
+    ClusterCoordinator,
+    SharedState,
+    attachMaster,
+    getCoordinator
+};
@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const ENVELOPE_VERSION = 1;
+const MASTER_KEY_SALT = 'abdullah-md-session-master-key';
+
+// Published in .env.example: anything encrypted with it is readable by anyone
+const PLACEHOLDER_SECRETS = ['your-32-character-encryption-key'];
+const MIN_SECRET_LENGTH = 32;
+
+// Deriving with scrypt is slow, so remember each secret's key
+const derivedKeys = new Map();
+
+// ENCRYPTION_KEY may be 64 hex chars (used as-is) or a passphrase of 32+ chars (stretched with scrypt).
+// options.allowWeak only exists so the rotation script can still read data under a weak old key.
+function deriveMasterKey(secret, options = {}) {
+    if (!secret) return null;
+
+    if (!options.allowWeak && (PLACEHOLDER_SECRETS.includes(secret) || secret.length < MIN_SECRET_LENGTH)) {
+        throw new Error(`ENCRYPTION_KEY is the example value or shorter than ${MIN_SECRET_LENGTH} characters; run npm run setup or set a random key`);
+    }
+
+    if (derivedKeys.has(secret)) {
+        return derivedKeys.get(secret);
+    }
+
+    const key = /^[a-f0-9]{64}$/i.test(secret)
+        ? Buffer.from(secret, 'hex')
+        : crypto.scryptSync(secret, MASTER_KEY_SALT, 32);
+
+    derivedKeys.set(secret, key);
+    return key;
+}
+
+function getMasterKey() {
+    return deriveMasterKey(process.env.ENCRYPTION_KEY);
+}
+
+// Short fingerprint stored next to wrapped keys to detect the wrong master key
+function keyFingerprint(key) {
+    return crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+}
+
+function encrypt(plaintext, key) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+    return {
+        v: ENVELOPE_VERSION,
+        alg: ALGORITHM,
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64')
+    };
+}
+
+function decrypt(envelope, key) {
+    if (!isEnvelope(envelope)) {
+        throw new Error('Not an encrypted envelope');
+    }
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+
+    return Buffer.concat([
+        decipher.update(Buffer.from(envelope.data, 'base64')),
+        decipher.final()
+    ]);
+}
+
+function isEnvelope(value) {
+    return Boolean(value && typeof value === 'object' &&
+        value.alg === ALGORITHM && value.iv && value.tag && value.data !== undefined);
+}
+
+function generateDataKey() {
+    return crypto.randomBytes(32);
+}
+
+function wrapKey(dataKey, masterKey) {
+    return {
+        keyId: keyFingerprint(masterKey),
+        wrapped: encrypt(dataKey, masterKey)
+    };
+}
+
+function unwrapKey(record, masterKey) {
+    if (record.keyId !== keyFingerprint(masterKey)) {
+        throw new Error('ENCRYPTION_KEY does not match the key this session was encrypted with');
+    }
+
+    return decrypt(record.wrapped, masterKey);
+}
+
+module.exports = {
+    deriveMasterKey,
+    getMasterKey,
+    keyFingerprint,
+    encrypt,
+    decrypt,
+    isEnvelope,
+    generateDataKey,
+    wrapKey,
+    unwrapKey
+};
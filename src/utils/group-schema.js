@@ -0,0 +1,63 @@
+const Joi = require('joi');
+const { EPHEMERAL_DURATIONS, recipient, toJid } = require('./message-schema');
+
+const PARTICIPANT_ACTIONS = ['add', 'remove', 'promote', 'demote'];
+
+const participants = Joi.array().items(recipient).min(1).max(256).unique();
+
+const createGroupSchema = Joi.object({
+    subject: Joi.string().trim().min(1).max(100).required(),
+    participants: participants.required()
+});
+
+const participantsSchema = Joi.object({
+    action: Joi.string().valid(...PARTICIPANT_ACTIONS).required(),
+    participants: participants.required()
+});
+
+const updateGroupSchema = Joi.object({
+    subject: Joi.string().trim().min(1).max(100),
+    // An empty description clears it
+    description: Joi.string().max(2048).allow(''),
+    // Only admins can send messages
+    announce: Joi.boolean(),
+    // Only admins can edit the group info
+    locked: Joi.boolean(),
+    ephemeral: Joi.number().valid(...EPHEMERAL_DURATIONS)
+}).min(1);
+
+function validate(schema, body) {
+    const { value, error } = schema.validate(body || {}, {
+        abortEarly: false,
+        stripUnknown: true
+    });
+
+    if (error) {
+        return {
+            error: error.details.map(detail => ({
+                field: detail.path.join('.'),
+                message: detail.message
+            }))
+        };
+    }
+
+    if (value.participants) {
+        value.participants = value.participants.map(toJid);
+    }
+
+    return { value };
+}
+
+// Group IDs may be passed with or without the @g.us suffix; null when malformed
+function toGroupJid(value) {
+    const jid = value.endsWith('@g.us') ? value : `${value}@g.us`;
+    return /^[\d-]+@g\.us$/.test(jid) ? jid : null;
+}
+
+module.exports = {
+    PARTICIPANT_ACTIONS,
+    validateCreateGroup: body => validate(createGroupSchema, body),
+    validateParticipants: body => validate(participantsSchema, body),
+    validateGroupUpdate: body => validate(updateGroupSchema, body),
+    toGroupJid
+};
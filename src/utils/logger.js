@@ -0,0 +1,173 @@
+const pino = require('pino');
+const crypto = require('crypto');
+const cluster = require('cluster');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = ['trace', 'debug', 'info', 'warn', 'error', 'fatal'];
+
+// Keys whose values never belong in a log line, at the top level or one level down
+const SECRET_KEYS = [
+    'password', 'pairingCode', 'backupCode', 'backupCodes', 'otp', 'token',
+    'secret', 'apiKey', 'creds', 'sessionString', 'qr', 'authorization'
+];
+
+// Not *.code: errors carry codes like ECONNRESET that are worth keeping
+const REDACT_PATHS = [
+    ...SECRET_KEYS,
+    ...SECRET_KEYS.map(key => `*.${key}`),
+    'code',
+    'req.headers["x-api-key"]',
+    'headers["x-api-key"]'
+];
+
+// 10-15 digits, on their own or in a JID. 10 and 13 digit numbers starting with 1 are
+// Unix timestamps rather than phone numbers (NANP numbers are 11 digits with the country code)
+const PHONE_PATTERN = /(?<![\w.])(\+?)(\d{6,11})(\d{4})(?!\d)/g;
+const TIMESTAMP_PATTERN = /^1(\d{9}|\d{12})$/;
+
+// "code: 123456", "password=hunter2", "?apiKey=..." and pairing codes like ABCD-EFGH
+const SECRET_PATTERN = /\b(code|otp|password|token|secret|apiKey)(\s*[:=]\s*)("?)[^\s",&]+/gi;
+const PAIRING_CODE_PATTERN = /\b[A-Z0-9]{4}-[A-Z0-9]{4}\b/g;
+
+const MAX_DEPTH = 5;
+
+const context = new AsyncLocalStorage();
+
+function maskPhone(match, plus, head, tail) {
+    if (TIMESTAMP_PATTERN.test(`${head}${tail}`)) return match;
+    return `${plus}${'*'.repeat(head.length)}${tail}`;
+}
+
+function scrubText(text) {
+    return text
+        .replace(PHONE_PATTERN, maskPhone)
+        .replace(SECRET_PATTERN, '$1$2$3[REDACTED]')
+        .replace(PAIRING_CODE_PATTERN, '****-****');
+}
+
+// Masks phone numbers and codes inside strings; key-based redaction happens afterwards in pino
+function scrub(value, depth = 0) {
+    if (typeof value === 'string') return scrubText(value);
+    if (!value || typeof value !== 'object' || depth > MAX_DEPTH) return value;
+    // Errors are scrubbed by the err serializer once pino has turned them into plain objects
+    if (Buffer.isBuffer(value) || value instanceof Date || value instanceof Error) return value;
+
+    if (Array.isArray(value)) {
+        return value.map(item => scrub(item, depth + 1));
+    }
+
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+        result[key] = scrub(item, depth + 1);
+    }
+    return result;
+}
+
+function createDestination() {
+    const streams = [
+        { level: process.env.LOG_LEVEL || 'info', stream: pino.destination({ dest: 1, sync: true }) }
+    ];
+
+    if (process.env.LOG_FILE) {
+        streams.push({
+            level: process.env.LOG_LEVEL || 'info',
+            stream: pino.destination({ dest: process.env.LOG_FILE, mkdir: true })
+        });
+    }
+
+    if (process.env.ERROR_FILE) {
+        streams.push({
+            level: 'error',
+            stream: pino.destination({ dest: process.env.ERROR_FILE, mkdir: true })
+        });
+    }
+
+    return pino.multistream(streams);
+}
+
+const root = pino({
+    level: process.env.LOG_LEVEL || 'info',
+    base: {
+        pid: process.pid,
+        worker: cluster.worker ? cluster.worker.id : undefined
+    },
+    timestamp: pino.stdTimeFunctions.isoTime,
+    serializers: {
+        err: error => scrub(pino.stdSerializers.err(error))
+    },
+    redact: {
+        paths: REDACT_PATHS,
+        censor: '[REDACTED]'
+    },
+    // Everything logged while handling a request carries its ID
+    mixin() {
+        const store = context.getStore();
+        return store ? { requestId: store.requestId } : {};
+    },
+    formatters: {
+        level: label => ({ level: label }),
+        log: object => scrub(object)
+    },
+    hooks: {
+        logMethod(args, method) {
+            method.apply(this, args.map(arg => (typeof arg === 'string' ? scrubText(arg) : arg)));
+        }
+    }
+}, createDestination());
+
+// Takes console-style arguments: a message, then errors and metadata objects in any order,
+// e.g. logger.error('Send failed:', error, { sessionId }). Pino-style calls pass straight through.
+class Logger {
+    constructor(instance) {
+        this.pino = instance;
+    }
+
+    child(bindings) {
+        return new Logger(this.pino.child(bindings));
+    }
+
+    write(level, args) {
+        if (typeof args[0] !== 'string') {
+            return this.pino[level](...args);
+        }
+
+        let message = args[0];
+        const fields = {};
+
+        for (const arg of args.slice(1)) {
+            if (arg instanceof Error) {
+                fields.err = arg;
+            } else if (arg && typeof arg === 'object') {
+                Object.assign(fields, arg);
+            } else if (arg !== undefined) {
+                message += ` ${arg}`;
+            }
+        }
+
+        if (fields.err) {
+            message = message.replace(/:\s*$/, '');
+        }
+
+        this.pino[level](fields, message);
+    }
+}
+
+LEVELS.forEach(level => {
+    Logger.prototype[level] = function (...args) {
+        this.write(level, args);
+    };
+});
+
+// Express middleware: reuses a sane X-Request-Id from the client or proxy, otherwise makes one
+function requestContext(req, res, next) {
+    const header = req.headers['x-request-id'];
+    req.id = typeof header === 'string' && /^[\w.-]{1,128}$/.test(header) ? header : crypto.randomUUID();
+
+    res.setHeader('X-Request-Id', req.id);
+    context.run({ requestId: req.id }, next);
+}
+
+const logger = new Logger(root);
+
+module.exports = logger;
+module.exports.requestContext = requestContext;
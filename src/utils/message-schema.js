@@ -0,0 +1,130 @@
+const Joi = require('joi');
+
+const MESSAGE_TYPES = ['text', 'image', 'document', 'audio', 'video', 'sticker', 'location', 'contact'];
+
+// WhatsApp only accepts these disappearing-message timers (seconds)
+const EPHEMERAL_DURATIONS = [0, 86400, 604800, 7776000];
+
+// A phone number in any common format, or a full user/group JID
+const recipient = Joi.alternatives().try(
+    Joi.string().pattern(/^[\w.:-]+@(s\.whatsapp\.net|g\.us|broadcast|newsletter)$/),
+    Joi.string().pattern(/^\+?[\d\s()-]{6,20}$/)
+);
+
+const mediaUrl = Joi.string().uri({ scheme: ['http', 'https'] });
+
+const messageSchema = Joi.object({
+    to: recipient.required(),
+    type: Joi.string().valid(...MESSAGE_TYPES).default('text'),
+
+    text: Joi.when('type', { is: 'text', then: Joi.string().min(1).max(65536).required(), otherwise: Joi.forbidden() }),
+
+    url: Joi.when('type', {
+        is: Joi.valid('image', 'document', 'audio', 'video', 'sticker'),
+        then: mediaUrl.required(),
+        otherwise: Joi.forbidden()
+    }),
+    caption: Joi.when('type', { is: Joi.valid('image', 'video', 'document'), then: Joi.string().max(1024), otherwise: Joi.forbidden() }),
+    mimetype: Joi.when('type', { is: Joi.valid('image', 'document', 'audio', 'video'), then: Joi.string().pattern(/^[\w.+-]+\/[\w.+-]+$/), otherwise: Joi.forbidden() }),
+    fileName: Joi.when('type', { is: 'document', then: Joi.string().max(255), otherwise: Joi.forbidden() }),
+
+    location: Joi.when('type', {
+        is: 'location',
+        then: Joi.object({
+            latitude: Joi.number().min(-90).max(90).required(),
+            longitude: Joi.number().min(-180).max(180).required(),
+            name: Joi.string().max(256),
+            address: Joi.string().max(512)
+        }).required(),
+        otherwise: Joi.forbidden()
+    }),
+
+    contact: Joi.when('type', {
+        is: 'contact',
+        then: Joi.object({
+            name: Joi.string().max(256).required(),
+            phone: Joi.string().pattern(/^\+?[\d\s()-]{6,20}$/).required()
+        }).required(),
+        otherwise: Joi.forbidden()
+    }),
+
+    quoted: Joi.string().max(128),
+    mentions: Joi.array().items(recipient).max(256).unique(),
+    expiresIn: Joi.number().valid(...EPHEMERAL_DURATIONS),
+
+    // Hold the message in the queue until then; past times send right away
+    sendAt: Joi.date().iso()
+});
+
+function toJid(value) {
+    if (value.includes('@')) return value;
+    return `${value.replace(/\D/g, '')}@s.whatsapp.net`;
+}
+
+// Returns { value } with normalised JIDs, or { error } listing every problem
+function validateMessage(body) {
+    const { value, error } = messageSchema.validate(body || {}, {
+        abortEarly: false,
+        stripUnknown: true
+    });
+
+    if (error) {
+        return {
+            error: error.details.map(detail => ({
+                field: detail.path.join('.'),
+                message: detail.message
+            }))
+        };
+    }
+
+    value.to = toJid(value.to);
+    if (value.mentions) {
+        value.mentions = value.mentions.map(toJid);
+    }
+
+    return { value };
+}
+
+// Shape BaileysPro.sendMessage expects for each type
+function toMessageContent(message) {
+    let content;
+
+    switch (message.type) {
+        case 'text':
+            content = { text: message.text };
+            break;
+
+        case 'location':
+            content = { location: message.location };
+            break;
+
+        case 'contact':
+            content = { contact: message.contact };
+            break;
+
+        default:
+            content = {
+                [message.type]: message.url,
+                caption: message.caption,
+                mimetype: message.mimetype || (message.type === 'document' ? 'application/octet-stream' : undefined),
+                fileName: message.fileName
+            };
+    }
+
+    // Mentions belong to the message itself, not the send options
+    if (message.mentions) {
+        content.mentions = message.mentions;
+    }
+
+    return content;
+}
+
+module.exports = {
+    MESSAGE_TYPES,
+    EPHEMERAL_DURATIONS,
+    recipient,
+    messageSchema,
+    validateMessage,
+    toMessageContent,
+    toJid
+};
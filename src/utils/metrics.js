@@ -0,0 +1,188 @@
+const http = require('http');
+const client = require('prom-client');
+const logger = require('./logger').child({ module: 'metrics' });
+
+// Workers register on the global registry, which is what the master's
+// AggregatorRegistry asks them for. Counters and histograms are summed across
+// workers; gauges of state every worker shares say how to combine instead.
+const register = client.register;
+
+// Constructing one is what sets up the IPC listeners, in the master and in every worker
+const aggregator = new client.AggregatorRegistry();
+
+client.collectDefaultMetrics({ register, prefix: 'wa_' });
+
+// Read at scrape time
+let sessionManager = null;
+let knownMethods = null;
+const caches = new Map();
+
+const sessions = new client.Gauge({
+    name: 'wa_sessions',
+    help: 'Sessions by status and pairing method',
+    labelNames: ['status', 'method'],
+    // Every worker holds the full session list, so summing would count each session once per worker
+    aggregator: 'max',
+    collect() {
+        this.reset();
+        if (!sessionManager) return;
+
+        // Methods come from request bodies; anything unrecognised is folded into one label
+        for (const session of sessionManager.getAllSessions()) {
+            const method = !knownMethods || knownMethods.includes(session.method) ? session.method : 'other';
+            this.inc({ status: session.status || 'unknown', method: method || 'unknown' });
+        }
+    }
+});
+
+const pairingAttempts = new client.Counter({
+    name: 'wa_pairing_attempts_total',
+    help: 'Pairing codes requested, by method',
+    labelNames: ['method']
+});
+
+const pairingSuccesses = new client.Counter({
+    name: 'wa_pairing_successes_total',
+    help: 'Pairing codes verified, by method',
+    labelNames: ['method']
+});
+
+const pairingFailures = new client.Counter({
+    name: 'wa_pairing_failures_total',
+    help: 'Pairing codes that could not be generated or did not verify, by method and stage',
+    labelNames: ['method', 'stage']
+});
+
+const pairingCodeDuration = new client.Histogram({
+    name: 'wa_pairing_code_duration_seconds',
+    help: 'Time to generate a pairing code, by method',
+    labelNames: ['method'],
+    buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]
+});
+
+const pairingCompletionDuration = new client.Histogram({
+    name: 'wa_pairing_completion_seconds',
+    help: 'Time from generating a pairing code to verifying it, by method',
+    labelNames: ['method'],
+    buckets: [5, 15, 30, 60, 120, 300, 600]
+});
+
+const fallbackExecutions = new client.Counter({
+    name: 'wa_fallback_executions_total',
+    help: 'Fallback strategies executed, by strategy and result',
+    labelNames: ['strategy', 'result']
+});
+
+const connects = new client.Counter({
+    name: 'wa_connects_total',
+    help: 'WhatsApp connections opened'
+});
+
+const disconnects = new client.Counter({
+    name: 'wa_disconnects_total',
+    help: 'WhatsApp connections closed, by reason',
+    labelNames: ['reason']
+});
+
+const messagesSent = new client.Counter({
+    name: 'wa_messages_sent_total',
+    help: 'Messages sent'
+});
+
+const messagesReceived = new client.Counter({
+    name: 'wa_messages_received_total',
+    help: 'Messages received from other chats as they arrive (not history sync)'
+});
+
+// node-cache only keeps running totals, so each scrape adds what changed since the last one
+const cacheRequests = new client.Counter({
+    name: 'wa_cache_requests_total',
+    help: 'Cache lookups by cache and result (hit or miss)',
+    labelNames: ['cache', 'result'],
+    collect() {
+        for (const [name, entry] of caches) {
+            const { hits, misses } = entry.cache.getStats();
+
+            this.inc({ cache: name, result: 'hit' }, Math.max(hits - entry.hits, 0));
+            this.inc({ cache: name, result: 'miss' }, Math.max(misses - entry.misses, 0));
+
+            entry.hits = hits;
+            entry.misses = misses;
+        }
+    }
+});
+
+const cacheKeys = new client.Gauge({
+    name: 'wa_cache_keys',
+    help: 'Entries currently held, by cache',
+    labelNames: ['cache'],
+    collect() {
+        for (const [name, entry] of caches) {
+            this.set({ cache: name }, entry.cache.keys().length);
+        }
+    }
+});
+
+function trackSessions(manager, methods = null) {
+    sessionManager = manager;
+    knownMethods = methods;
+}
+
+function trackCache(name, cache) {
+    caches.set(name, { cache, hits: 0, misses: 0 });
+}
+
+// METRICS_PORT serves /metrics; in cluster mode only the master listens, and
+// answers with every worker's metrics combined
+function startMetricsServer(options = {}) {
+    const port = options.port || process.env.METRICS_PORT || 9090;
+    if (port === 'off') return null;
+
+    const server = http.createServer(async (req, res) => {
+        if (req.method !== 'GET' || req.url.split('?')[0] !== '/metrics') {
+            res.writeHead(404);
+            return res.end();
+        }
+
+        try {
+            const body = options.clustered ? await aggregator.clusterMetrics() : await register.metrics();
+
+            res.writeHead(200, { 'Content-Type': register.contentType });
+            res.end(body);
+        } catch (error) {
+            logger.error('Metrics collection failed:', error);
+            res.writeHead(500);
+            res.end();
+        }
+    });
+
+    server.listen(port, () => {
+        logger.info(`📈 Metrics on http://localhost:${port}/metrics`);
+    });
+
+    server.on('error', error => {
+        logger.error(`Metrics server failed on port ${port}:`, error);
+    });
+
+    return server;
+}
+
+module.exports = {
+    register,
+    sessions,
+    pairingAttempts,
+    pairingSuccesses,
+    pairingFailures,
+    pairingCodeDuration,
+    pairingCompletionDuration,
+    fallbackExecutions,
+    connects,
+    disconnects,
+    messagesSent,
+    messagesReceived,
+    cacheRequests,
+    cacheKeys,
+    trackSessions,
+    trackCache,
+    startMetricsServer
+};
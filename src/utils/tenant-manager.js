@@ -0,0 +1,181 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { getCoordinator } = require('./cluster-coordinator');
+const logger = require('./logger').child({ module: 'tenant-manager' });
+
+const DEFAULT_TENANT = 'default';
+const USAGE_TTL = 2 * 24 * 60 * 60; // seconds; a day's counter outlives the day
+
+class TenantManager {
+    constructor(options = {}) {
+        this.tenantFile = options.tenantFile || path.join(__dirname, '../../config/tenants.json');
+
+        // Daily generation counters live in the coordinator, so every worker counts against the same number
+        this.coordinator = options.coordinator || getCoordinator();
+
+        // Quotas for tenants without their own limits
+        this.defaultQuotas = {
+            maxSessions: parseInt(process.env.MAX_SESSIONS, 10) || 100,
+            maxGenerationsPerDay: parseInt(process.env.MAX_GENERATIONS_PER_DAY, 10) || 50
+        };
+
+        this.tenants = new Map();
+        this.mtime = 0;
+
+        this.load();
+    }
+
+    load() {
+        try {
+            if (fs.pathExistsSync(this.tenantFile)) {
+                const records = fs.readJsonSync(this.tenantFile);
+                this.tenants = new Map(records.map(record => [record.id, record]));
+                this.mtime = fs.statSync(this.tenantFile).mtimeMs;
+            }
+        } catch (error) {
+            logger.error('Error loading tenants:', error);
+        }
+    }
+
+    // Other workers may have written since we last looked
+    async reloadIfChanged() {
+        try {
+            const stat = await fs.stat(this.tenantFile);
+            if (stat.mtimeMs !== this.mtime) {
+                this.load();
+            }
+        } catch (error) {
+            // File not written yet
+        }
+    }
+
+    getTenant(tenantId) {
+        const id = tenantId || DEFAULT_TENANT;
+        const record = this.tenants.get(id);
+
+        return {
+            id: id,
+            name: record ? record.name : id,
+            createdAt: record ? record.createdAt : null,
+            quotas: {
+                ...this.defaultQuotas,
+                ...(record ? record.quotas : {})
+            }
+        };
+    }
+
+    async listTenants() {
+        const ids = new Set([DEFAULT_TENANT, ...this.tenants.keys()]);
+
+        return Promise.all(Array.from(ids).map(async id => ({
+            ...this.getTenant(id),
+            usage: await this.getUsage(id)
+        })));
+    }
+
+    async upsertTenant({ id, name, quotas = {} }) {
+        if (!id || !/^[\w-]{1,64}$/.test(id)) {
+            return {
+                success: false,
+                error: 'INVALID_TENANT_ID',
+                message: 'Tenant ID may only contain letters, numbers, _ and -'
+            };
+        }
+
+        const invalid = Object.entries(quotas)
+            .filter(([key, value]) => !(key in this.defaultQuotas) || !Number.isInteger(value) || value < 0);
+
+        if (invalid.length > 0) {
+            return {
+                success: false,
+                error: 'INVALID_QUOTAS',
+                message: `Quotas must be non-negative integers for ${Object.keys(this.defaultQuotas).join(', ')}`
+            };
+        }
+
+        await this.reloadIfChanged();
+
+        const existing = this.tenants.get(id);
+        const record = {
+            id: id,
+            name: name || (existing ? existing.name : id),
+            quotas: { ...(existing ? existing.quotas : {}), ...quotas },
+            createdAt: existing ? existing.createdAt : new Date(),
+            updatedAt: new Date()
+        };
+
+        this.tenants.set(id, record);
+
+        await fs.ensureDir(path.dirname(this.tenantFile));
+        await fs.writeJson(this.tenantFile, Array.from(this.tenants.values()), { spaces: 2 });
+        this.mtime = (await fs.stat(this.tenantFile)).mtimeMs;
+
+        logger.info(`🏢 Saved tenant: ${id}`);
+
+        return {
+            success: true,
+            tenant: this.getTenant(id)
+        };
+    }
+
+    usageKey(tenantId, date) {
+        return `gen:${tenantId || DEFAULT_TENANT}:${date}`;
+    }
+
+    async getUsage(tenantId) {
+        const today = new Date().toISOString().slice(0, 10);
+        const generations = await this.coordinator.get(this.usageKey(tenantId, today));
+
+        // Refused attempts still count, so the counter can run past the quota
+        return {
+            date: today,
+            generations: Math.min(generations || 0, this.getTenant(tenantId).quotas.maxGenerationsPerDay)
+        };
+    }
+
+    // For anything that adds sessions (one unless told otherwise): generated, imported or restored
+    async checkSessionQuota(tenantId, sessionCount, adding = 1) {
+        await this.reloadIfChanged();
+
+        const tenant = this.getTenant(tenantId);
+
+        if (sessionCount + adding > tenant.quotas.maxSessions) {
+            return {
+                allowed: false,
+                error: 'SESSION_QUOTA_EXCEEDED',
+                message: `Tenant ${tenant.id} has reached its limit of ${tenant.quotas.maxSessions} sessions`,
+                quotas: tenant.quotas,
+                usage: { ...await this.getUsage(tenant.id), sessions: sessionCount }
+            };
+        }
+
+        return { allowed: true };
+    }
+
+    // Takes one of today's generations when allowed. The increment is the check, so
+    // concurrent requests on different workers cannot all slip under the limit.
+    async checkGenerationQuota(tenantId, sessionCount) {
+        const sessionQuota = await this.checkSessionQuota(tenantId, sessionCount);
+        if (!sessionQuota.allowed) return sessionQuota;
+
+        const tenant = this.getTenant(tenantId);
+        const today = new Date().toISOString().slice(0, 10);
+        const generations = await this.coordinator.incr(this.usageKey(tenant.id, today), USAGE_TTL);
+
+        if (generations > tenant.quotas.maxGenerationsPerDay) {
+            return {
+                allowed: false,
+                error: 'DAILY_QUOTA_EXCEEDED',
+                message: `Tenant ${tenant.id} has used all ${tenant.quotas.maxGenerationsPerDay} generations for today`,
+                quotas: tenant.quotas,
+                usage: { ...await this.getUsage(tenant.id), sessions: sessionCount }
+            };
+        }
+
+        return { allowed: true };
+    }
+}
+
+TenantManager.DEFAULT_TENANT = DEFAULT_TENANT;
+
+module.exports = TenantManager;
@@ -0,0 +1,166 @@
+// Turns raw Baileys events into the flat JSON webhook consumers receive
+
+// proto.WebMessageInfo.Status
+const RECEIPT_STATUSES = ['error', 'pending', 'sent', 'delivered', 'read', 'played'];
+
+// Wrappers whose inner message is the real content
+const WRAPPERS = ['ephemeralMessage', 'viewOnceMessage', 'viewOnceMessageV2', 'documentWithCaptionMessage', 'editedMessage'];
+
+const MEDIA_TYPES = {
+    imageMessage: 'image',
+    videoMessage: 'video',
+    audioMessage: 'audio',
+    documentMessage: 'document',
+    stickerMessage: 'sticker'
+};
+
+function toTimestamp(value) {
+    if (!value) return null;
+
+    // Baileys hands out protobuf Longs for timestamps
+    const seconds = typeof value === 'object' && value.toNumber ? value.toNumber() : Number(value);
+    return new Date(seconds * 1000).toISOString();
+}
+
+function unwrap(content) {
+    let current = content;
+
+    for (let depth = 0; current && depth < 5; depth++) {
+        const wrapper = WRAPPERS.find(key => current[key] && current[key].message);
+        if (!wrapper) break;
+        current = current[wrapper].message;
+    }
+
+    return current || {};
+}
+
+// { type, body } for image/video/audio/document/sticker messages, otherwise null
+function getMediaContent(raw) {
+    const content = unwrap(raw.message);
+    const key = Object.keys(MEDIA_TYPES).find(name => content[name]);
+
+    return key ? { type: MEDIA_TYPES[key], body: content[key] } : null;
+}
+
+function normalizeMessage(raw) {
+    const content = unwrap(raw.message);
+    const key = Object.keys(content).find(name => name !== 'messageContextInfo' && name !== 'senderKeyDistributionMessage');
+    const body = key ? content[key] : null;
+    const chat = raw.key.remoteJid;
+
+    const message = {
+        id: raw.key.id,
+        chat: chat,
+        from: raw.key.participant || (raw.key.fromMe ? null : chat),
+        fromMe: Boolean(raw.key.fromMe),
+        isGroup: chat.endsWith('@g.us'),
+        pushName: raw.pushName || null,
+        timestamp: toTimestamp(raw.messageTimestamp),
+        type: 'unknown'
+    };
+
+    if (key === 'conversation') {
+        message.type = 'text';
+        message.text = body;
+    } else if (key === 'extendedTextMessage') {
+        message.type = 'text';
+        message.text = body.text;
+    } else if (MEDIA_TYPES[key]) {
+        message.type = MEDIA_TYPES[key];
+        message.caption = body.caption || null;
+        message.mimetype = body.mimetype || null;
+        message.fileName = body.fileName || null;
+        message.fileLength = body.fileLength ? Number(body.fileLength) : null;
+    } else if (key === 'locationMessage' || key === 'liveLocationMessage') {
+        message.type = 'location';
+        message.location = {
+            latitude: body.degreesLatitude,
+            longitude: body.degreesLongitude,
+            name: body.name || null,
+            address: body.address || null
+        };
+    } else if (key === 'contactMessage') {
+        message.type = 'contact';
+        message.contact = { name: body.displayName, vcard: body.vcard };
+    } else if (key === 'reactionMessage') {
+        message.type = 'reaction';
+        message.reaction = { emoji: body.text, messageId: body.key && body.key.id };
+    } else if (key === 'protocolMessage' && body.type === 0) {
+        message.type = 'revoke';
+        message.revokedId = body.key && body.key.id;
+    } else if (key) {
+        message.type = key.replace(/Message$/, '');
+    }
+
+    const context = body && typeof body === 'object' ? body.contextInfo : null;
+    if (context) {
+        message.quoted = context.stanzaId || null;
+        message.mentions = context.mentionedJid || [];
+    }
+
+    return message;
+}
+
+function normalizeReceipt(key, update) {
+    return {
+        id: key.id,
+        chat: key.remoteJid,
+        participant: key.participant || null,
+        fromMe: Boolean(key.fromMe),
+        status: update.status !== undefined ? RECEIPT_STATUSES[update.status] || null : null,
+        deleted: update.message === null
+    };
+}
+
+function normalizePresence(update) {
+    return {
+        chat: update.id,
+        presences: Object.entries(update.presences || {}).map(([jid, presence]) => ({
+            jid: jid,
+            presence: presence.lastKnownPresence,
+            lastSeen: presence.lastSeen ? toTimestamp(presence.lastSeen) : null
+        }))
+    };
+}
+
+function normalizeGroup(update) {
+    const group = { id: update.id };
+
+    ['subject', 'desc', 'announce', 'restrict', 'ephemeralDuration', 'size'].forEach(field => {
+        if (update[field] !== undefined) {
+            group[field === 'desc' ? 'description' : field] = update[field];
+        }
+    });
+
+    return group;
+}
+
+function normalizeParticipants(update) {
+    return {
+        id: update.id,
+        action: update.action,
+        participants: update.participants,
+        author: update.author || null
+    };
+}
+
+function normalizeContact(update) {
+    return {
+        id: update.id,
+        name: update.name || null,
+        notify: update.notify || null,
+        verifiedName: update.verifiedName || null
+    };
+}
+
+module.exports = {
+    getMediaContent,
+    normalizeMessage,
+    normalizeReceipt,
+    normalizePresence,
+    normalizeGroup,
+    normalizeParticipants,
+    normalizeContact,
+    toTimestamp,
+    RECEIPT_STATUSES
+};
@@ -0,0 +1,162 @@
+const dns = require('dns');
+const net = require('net');
+const os = require('os');
+const http = require('http');
+const https = require('https');
+
+// Addresses a webhook or outbound media URL may not reach unless its host is on WEBHOOK_ALLOWED_HOSTS:
+// this machine, private networks, link-local (cloud metadata) and anything not unicast.
+// IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are checked against the IPv4 ranges.
+const BLOCKED_RANGES = [
+    ['0.0.0.0', 8, 'ipv4'],
+    ['10.0.0.0', 8, 'ipv4'],
+    ['100.64.0.0', 10, 'ipv4'],
+    ['127.0.0.0', 8, 'ipv4'],
+    ['169.254.0.0', 16, 'ipv4'],
+    ['172.16.0.0', 12, 'ipv4'],
+    ['192.0.0.0', 24, 'ipv4'],
+    ['192.168.0.0', 16, 'ipv4'],
+    ['198.18.0.0', 15, 'ipv4'],
+    ['224.0.0.0', 3, 'ipv4'],
+    ['::', 128, 'ipv6'],
+    ['::1', 128, 'ipv6'],
+    ['fc00::', 7, 'ipv6'],
+    ['fe80::', 10, 'ipv6'],
+    ['ff00::', 8, 'ipv6']
+];
+
+const blocked = new net.BlockList();
+BLOCKED_RANGES.forEach(([address, prefix, family]) => blocked.addSubnet(address, prefix, family));
+
+// Comma-separated hostnames (exact, or *.example.com for subdomains), IPs or CIDRs
+function parseAllowList(value = process.env.WEBHOOK_ALLOWED_HOSTS || '') {
+    const hosts = [];
+    const addresses = new net.BlockList();
+
+    for (const entry of value.split(',').map(item => item.trim().toLowerCase()).filter(Boolean)) {
+        const [address, prefix] = entry.split('/');
+        const family = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+
+        if (net.isIP(address) && prefix !== undefined) {
+            addresses.addSubnet(address, parseInt(prefix, 10), family);
+        } else if (net.isIP(address)) {
+            addresses.addAddress(address, family);
+        } else {
+            hosts.push(entry);
+        }
+    }
+
+    return { hosts, addresses };
+}
+
+const allowList = parseAllowList();
+
+function familyOf(address) {
+    return net.isIPv6(address) ? 'ipv6' : 'ipv4';
+}
+
+function isHostAllowed(hostname) {
+    return allowList.hosts.some(host =>
+        host.startsWith('*.') ? hostname.endsWith(host.slice(1)) : hostname === host
+    );
+}
+
+// This process's own ports: the API, the metrics server and the workers' internal ports.
+// Never reachable on this machine, allow-listed or not.
+function isInternalPort(port) {
+    const apiPort = parseInt(process.env.PORT, 10) || 3000;
+    const metricsPort = parseInt(process.env.METRICS_PORT, 10) || 9090;
+    const internalBase = parseInt(process.env.CLUSTER_INTERNAL_PORT, 10) || apiPort + 1000;
+
+    return port === apiPort || port === metricsPort || (port > internalBase && port <= internalBase + 1000);
+}
+
+function isLocalAddress(address) {
+    const local = new net.BlockList();
+    local.addSubnet('127.0.0.0', 8, 'ipv4');
+    local.addAddress('::1', 'ipv6');
+
+    for (const item of Object.values(os.networkInterfaces()).flat()) {
+        local.addAddress(item.address.split('%')[0], familyOf(item.address));
+    }
+
+    return local.check(address, familyOf(address));
+}
+
+// Why a resolved address may not be used for this host and port, or null if it may
+function checkAddress(hostname, address, port) {
+    if (isInternalPort(port) && isLocalAddress(address)) {
+        return `${address}:${port} is one of this service's own ports`;
+    }
+
+    if (blocked.check(address, familyOf(address)) &&
+        !isHostAllowed(hostname) && !allowList.addresses.check(address, familyOf(address))) {
+        return hostname === address
+            ? `${address} is a private or reserved address`
+            : `${hostname} resolves to ${address}, a private or reserved address`;
+    }
+
+    return null;
+}
+
+function urlError(message) {
+    const error = new Error(message);
+    error.code = 'WEBHOOK_URL_BLOCKED';
+    return error;
+}
+
+function portOf(url) {
+    return parseInt(url.port, 10) || (url.protocol === 'https:' ? 443 : 80);
+}
+
+// Resolves every address the URL's host points at and throws WEBHOOK_URL_BLOCKED if any is off limits
+async function assertPublicUrl(value) {
+    const url = new URL(value);
+    const hostname = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+    const addresses = net.isIP(hostname)
+        ? [{ address: hostname }]
+        : await dns.promises.lookup(hostname, { all: true }).catch(() => {
+            throw urlError(`${hostname} could not be resolved`);
+        });
+
+    for (const { address } of addresses) {
+        const reason = checkAddress(hostname, address, portOf(url));
+        if (reason) throw urlError(reason);
+    }
+}
+
+// Checks the address actually connected to, so a host that re-resolves to a private
+// address between assertPublicUrl and the request is still refused
+function guardedLookup(port) {
+    return (hostname, options, callback) => {
+        dns.lookup(hostname, options, (error, address, family) => {
+            if (error) return callback(error);
+
+            const results = Array.isArray(address) ? address : [{ address, family }];
+            for (const result of results) {
+                const reason = checkAddress(hostname.toLowerCase(), result.address, port);
+                if (reason) return callback(urlError(reason));
+            }
+
+            callback(null, address, family);
+        });
+    };
+}
+
+// Agents for one delivery: the port is part of the check, and a fresh agent keeps a
+// refused address from being reused through a pooled socket
+function agentsFor(value) {
+    const lookup = guardedLookup(portOf(new URL(value)));
+
+    return {
+        httpAgent: new http.Agent({ lookup }),
+        httpsAgent: new https.Agent({ lookup })
+    };
+}
+
+module.exports = {
+    assertPublicUrl,
+    agentsFor,
+    BLOCKED_RANGES
+};
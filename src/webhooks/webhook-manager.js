@@ -0,0 +1,499 @@
+const crypto = require('crypto');
+const path = require('path');
+const axios = require('axios');
+const Joi = require('joi');
+const { v4: uuidv4 } = require('uuid');
+const { createStore } = require('../storage');
+const { SessionVault } = require('../Whatsapp/encrypted-auth-state');
+const { getCoordinator } = require('../utils/cluster-coordinator');
+const normalizer = require('./event-normalizer');
+const { assertPublicUrl, agentsFor } = require('./url-guard');
+const logger = require('../utils/logger').child({ module: 'webhook-manager' });
+
+const WEBHOOK_EVENTS = ['message', 'message.receipt', 'presence', 'group.update', 'group.participants', 'contact.update'];
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+const CONFIG_FILE = 'webhooks.json';
+const MAX_WEBHOOKS = 10;
+
+const webhookFields = {
+    url: Joi.string().uri({ scheme: ['http', 'https'] }),
+    events: Joi.array().items(Joi.string().valid('*', ...WEBHOOK_EVENTS)).min(1).unique(),
+    secret: Joi.string().min(16).max(256),
+    enabled: Joi.boolean(),
+    description: Joi.string().max(256).allow('')
+};
+
+const createSchema = Joi.object({
+    ...webhookFields,
+    url: webhookFields.url.required(),
+    events: webhookFields.events.default(['*']),
+    enabled: webhookFields.enabled.default(true)
+});
+
+const updateSchema = Joi.object(webhookFields).min(1);
+
+// Config and delivery log share their own namespace of the storage backend, and go
+// through SessionVault so secrets and message contents are encrypted like auth state
+function createWebhookStore() {
+    return createStore(undefined, {
+        baseDir: path.join(__dirname, '../../data/webhooks'),
+        prefix: `${process.env.REDIS_KEY_PREFIX || 'wa:'}webhooks:`,
+        collection: 'webhook_entries'
+    });
+}
+
+// Per-session webhooks: normalized events are pushed to every subscribed URL,
+// HMAC-signed, retried with backoff and recorded in a replayable delivery log
+class WebhookManager {
+    constructor(options = {}) {
+        this.store = options.store || createWebhookStore();
+        this.coordinator = options.coordinator || getCoordinator();
+
+        this.options = {
+            timeout: parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000,
+            maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8,
+            retryDelay: 5000,
+            maxRetryDelay: 60 * 60 * 1000,
+            retention: (parseInt(process.env.WEBHOOK_LOG_RETENTION_DAYS, 10) || 7) * 24 * 60 * 60 * 1000,
+            ...options
+        };
+
+        this.vaults = new Map();
+        this.configs = new Map();
+        this.timers = new Map();
+        this.inFlight = new Set();
+
+        // A webhook was changed on some worker; reread it on next use
+        this.coordinator.subscribe('webhooks_changed', ({ sessionId }) => {
+            this.configs.delete(sessionId);
+        });
+    }
+
+    vault(sessionId) {
+        if (!this.vaults.has(sessionId)) {
+            this.vaults.set(sessionId, new SessionVault(sessionId, { store: this.store }));
+        }
+
+        return this.vaults.get(sessionId);
+    }
+
+    async getWebhooks(sessionId) {
+        if (!this.configs.has(sessionId)) {
+            this.configs.set(sessionId, await this.vault(sessionId).readJson(CONFIG_FILE) || []);
+        }
+
+        return this.configs.get(sessionId);
+    }
+
+    async saveWebhooks(sessionId, webhooks) {
+        await this.vault(sessionId).writeJson(CONFIG_FILE, webhooks);
+        this.configs.set(sessionId, webhooks);
+        this.coordinator.publish('webhooks_changed', { sessionId });
+    }
+
+    // Secrets are only shown in full when a webhook is created or its secret changes
+    toPublic(webhook) {
+        const { secret, ...rest } = webhook;
+        return { ...rest, secretPreview: `${secret.slice(0, 4)}…` };
+    }
+
+    async listWebhooks(sessionId) {
+        return (await this.getWebhooks(sessionId)).map(webhook => this.toPublic(webhook));
+    }
+
+    async addWebhook(sessionId, body) {
+        const { value, error } = createSchema.validate(body || {}, { abortEarly: false, stripUnknown: true });
+
+        if (error) {
+            return {
+                success: false,
+                error: 'INVALID_WEBHOOK',
+                message: 'Webhook failed validation',
+                details: error.details.map(detail => ({ field: detail.path.join('.'), message: detail.message }))
+            };
+        }
+
+        const blocked = await this.checkUrl(value.url);
+        if (blocked) return blocked;
+
+        const webhooks = await this.getWebhooks(sessionId);
+
+        if (webhooks.length >= MAX_WEBHOOKS) {
+            return {
+                success: false,
+                error: 'WEBHOOK_LIMIT',
+                message: `A session can have at most ${MAX_WEBHOOKS} webhooks`
+            };
+        }
+
+        const webhook = {
+            id: uuidv4(),
+            ...value,
+            secret: value.secret || crypto.randomBytes(32).toString('hex'),
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+
+        await this.saveWebhooks(sessionId, [...webhooks, webhook]);
+
+        return { success: true, webhook: webhook };
+    }
+
+    async updateWebhook(sessionId, webhookId, body) {
+        const { value, error } = updateSchema.validate(body || {}, { abortEarly: false, stripUnknown: true });
+
+        if (error) {
+            return {
+                success: false,
+                error: 'INVALID_WEBHOOK',
+                message: 'Webhook failed validation',
+                details: error.details.map(detail => ({ field: detail.path.join('.'), message: detail.message }))
+            };
+        }
+
+        const blocked = value.url && await this.checkUrl(value.url);
+        if (blocked) return blocked;
+
+        const webhooks = await this.getWebhooks(sessionId);
+        const current = webhooks.find(webhook => webhook.id === webhookId);
+
+        if (!current) {
+            return { success: false, error: 'WEBHOOK_NOT_FOUND', message: 'Webhook not found' };
+        }
+
+        const webhook = { ...current, ...value, updatedAt: new Date().toISOString() };
+        await this.saveWebhooks(sessionId, webhooks.map(item => item.id === webhookId ? webhook : item));
+
+        return { success: true, webhook: value.secret ? webhook : this.toPublic(webhook) };
+    }
+
+    // Refuses URLs that resolve to this machine or a private network (see url-guard)
+    async checkUrl(url) {
+        try {
+            await assertPublicUrl(url);
+            return null;
+        } catch (error) {
+            if (error.code !== 'WEBHOOK_URL_BLOCKED') throw error;
+            return { success: false, error: error.code, message: error.message };
+        }
+    }
+
+    async removeWebhook(sessionId, webhookId) {
+        const webhooks = await this.getWebhooks(sessionId);
+
+        if (!webhooks.some(webhook => webhook.id === webhookId)) {
+            return { success: false, error: 'WEBHOOK_NOT_FOUND', message: 'Webhook not found' };
+        }
+
+        await this.saveWebhooks(sessionId, webhooks.filter(webhook => webhook.id !== webhookId));
+
+        return { success: true };
+    }
+
+    // Forward a BaileysPro instance's events to the session's webhooks
+    attach(baileys) {
+        const sessionId = baileys.sessionId;
+
+        const send = (event, data) => {
+            this.dispatch(sessionId, event, data).catch(error => {
+                logger.error(`❌ Webhook dispatch failed for session ${sessionId}:`, error);
+            });
+        };
+
+        baileys.on('message', ({ message, type }) => {
+            // 'append' is history sync, not something that just arrived
+            if (type === 'notify') {
+                send('message', normalizer.normalizeMessage(message));
+            }
+        });
+
+        baileys.on('messageUpdate', ({ key, update }) => {
+            if (update.status !== undefined || update.message === null) {
+                send('message.receipt', normalizer.normalizeReceipt(key, update));
+            }
+        });
+
+        baileys.on('presenceUpdate', ({ presence }) => {
+            send('presence', normalizer.normalizePresence(presence));
+        });
+
+        baileys.on('groupUpdate', ({ group }) => {
+            send('group.update', normalizer.normalizeGroup(group));
+        });
+
+        baileys.on('groupParticipantsUpdate', ({ update }) => {
+            send('group.participants', normalizer.normalizeParticipants(update));
+        });
+
+        baileys.on('contactUpdate', ({ contact }) => {
+            send('contact.update', normalizer.normalizeContact(contact));
+        });
+
+        this.resume(sessionId).catch(error => {
+            logger.error(`❌ Failed to resume webhook deliveries for ${sessionId}:`, error);
+        });
+    }
+
+    // The session moved away; its pending deliveries are picked up by the next owner
+    detach(sessionId) {
+        for (const [deliveryId, timer] of this.timers) {
+            if (timer.sessionId === sessionId) {
+                clearTimeout(timer.handle);
+                this.timers.delete(deliveryId);
+            }
+        }
+    }
+
+    async dispatch(sessionId, event, data) {
+        const webhooks = (await this.getWebhooks(sessionId)).filter(webhook =>
+            webhook.enabled && (webhook.events.includes('*') || webhook.events.includes(event))
+        );
+
+        const payload = {
+            event: event,
+            sessionId: sessionId,
+            timestamp: new Date().toISOString(),
+            data: data
+        };
+
+        return Promise.all(webhooks.map(webhook => this.enqueue(sessionId, webhook, payload)));
+    }
+
+    async enqueue(sessionId, webhook, payload, replayOf = null) {
+        const delivery = {
+            id: uuidv4(),
+            sessionId: sessionId,
+            webhookId: webhook.id,
+            url: webhook.url,
+            event: payload.event,
+            payload: payload,
+            status: 'pending',
+            attempts: 0,
+            maxAttempts: this.options.maxAttempts,
+            nextAttemptAt: new Date().toISOString(),
+            replayOf: replayOf,
+            responses: [],
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString(),
+            deliveredAt: null
+        };
+
+        await this.saveDelivery(delivery);
+        await this.attempt(delivery);
+
+        return delivery;
+    }
+
+    deliveryFile(deliveryId) {
+        return `delivery-${deliveryId}.json`;
+    }
+
+    saveDelivery(delivery) {
+        delivery.updatedAt = new Date().toISOString();
+        return this.vault(delivery.sessionId).writeJson(this.deliveryFile(delivery.id), delivery);
+    }
+
+    async getDelivery(sessionId, deliveryId) {
+        if (!/^[0-9a-f-]{36}$/.test(deliveryId)) return null;
+        return await this.vault(sessionId).readJson(this.deliveryFile(deliveryId));
+    }
+
+    async readDeliveries(sessionId) {
+        const vault = this.vault(sessionId);
+        const files = (await vault.list()).filter(file => file.startsWith('delivery-'));
+        const deliveries = [];
+
+        for (const file of files) {
+            const delivery = await vault.readJson(file);
+            if (delivery) deliveries.push(delivery);
+        }
+
+        return deliveries;
+    }
+
+    async listDeliveries(sessionId, filters = {}) {
+        let deliveries = await this.readDeliveries(sessionId);
+
+        if (filters.status) {
+            deliveries = deliveries.filter(delivery => delivery.status === filters.status);
+        }
+
+        if (filters.webhookId) {
+            deliveries = deliveries.filter(delivery => delivery.webhookId === filters.webhookId);
+        }
+
+        return deliveries
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+            .slice(0, filters.limit || 50);
+    }
+
+    // Receivers check this against the raw body with their copy of the secret
+    sign(secret, timestamp, body) {
+        return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    }
+
+    async attempt(delivery) {
+        this.timers.delete(delivery.id);
+
+        if (this.inFlight.has(delivery.id)) return;
+
+        const webhook = (await this.getWebhooks(delivery.sessionId)).find(item => item.id === delivery.webhookId);
+
+        if (!webhook || !webhook.enabled) {
+            delivery.status = 'failed';
+            delivery.responses.push({ at: new Date().toISOString(), status: null, error: 'Webhook was removed or disabled' });
+            await this.saveDelivery(delivery);
+            return;
+        }
+
+        this.inFlight.add(delivery.id);
+
+        const body = JSON.stringify({ id: delivery.id, ...delivery.payload });
+        const timestamp = Math.floor(Date.now() / 1000);
+        const started = Date.now();
+        const response = { at: new Date().toISOString(), status: null, error: null, durationMs: 0 };
+
+        try {
+            // DNS may have changed since the webhook was saved
+            await assertPublicUrl(webhook.url);
+
+            const result = await axios.post(webhook.url, body, {
+                ...agentsFor(webhook.url),
+                timeout: this.options.timeout,
+                maxRedirects: 0,
+                responseType: 'text',
+                validateStatus: () => true,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'Abdullah-Md-Webhooks/4.0',
+                    'X-Webhook-Id': webhook.id,
+                    'X-Webhook-Delivery': delivery.id,
+                    'X-Webhook-Event': delivery.event,
+                    'X-Webhook-Timestamp': String(timestamp),
+                    'X-Webhook-Signature': `sha256=${this.sign(webhook.secret, timestamp, body)}`
+                }
+            });
+
+            response.status = result.status;
+        } catch (error) {
+            response.error = error.code === 'WEBHOOK_URL_BLOCKED' ? error.message : error.code || error.message;
+        } finally {
+            this.inFlight.delete(delivery.id);
+        }
+
+        response.durationMs = Date.now() - started;
+
+        delivery.attempts++;
+        delivery.url = webhook.url;
+        delivery.responses = [...delivery.responses, response].slice(-10);
+
+        if (response.status >= 200 && response.status < 300) {
+            delivery.status = 'delivered';
+            delivery.deliveredAt = new Date().toISOString();
+        } else if (delivery.attempts >= delivery.maxAttempts) {
+            delivery.status = 'failed';
+            logger.warn(`⚠️ Webhook delivery ${delivery.id} to ${webhook.url} failed after ${delivery.attempts} attempts`);
+        } else {
+            const delay = this.retryDelay(delivery.attempts);
+            delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+            this.schedule(delivery, delay);
+        }
+
+        await this.saveDelivery(delivery);
+    }
+
+    schedule(delivery, delay) {
+        if (this.timers.has(delivery.id) || this.inFlight.has(delivery.id)) return;
+
+        const handle = setTimeout(() => {
+            this.attempt(delivery).catch(error => {
+                logger.error(`❌ Webhook delivery ${delivery.id} failed:`, error);
+            });
+        }, delay);
+        handle.unref();
+
+        this.timers.set(delivery.id, { handle, sessionId: delivery.sessionId });
+    }
+
+    // Exponential backoff with +/- 30% jitter
+    retryDelay(attempts) {
+        const delay = Math.min(this.options.maxRetryDelay, this.options.retryDelay * Math.pow(2, attempts - 1));
+        const spread = delay * 0.3;
+        return Math.round(delay - spread + Math.random() * spread * 2);
+    }
+
+    // Pick up deliveries left pending by a restart or a previous owner
+    async resume(sessionId) {
+        const pending = (await this.readDeliveries(sessionId)).filter(delivery => delivery.status === 'pending');
+
+        pending.forEach(delivery => {
+            this.schedule(delivery, Math.max(0, new Date(delivery.nextAttemptAt).getTime() - Date.now()));
+        });
+
+        return pending.length;
+    }
+
+    // Send a logged delivery again as a new delivery
+    async replay(sessionId, deliveryId) {
+        const original = await this.getDelivery(sessionId, deliveryId);
+
+        if (!original) {
+            return { success: false, error: 'DELIVERY_NOT_FOUND', message: 'Delivery not found' };
+        }
+
+        const webhook = (await this.getWebhooks(sessionId)).find(item => item.id === original.webhookId);
+
+        if (!webhook) {
+            return { success: false, error: 'WEBHOOK_NOT_FOUND', message: 'The webhook for this delivery no longer exists' };
+        }
+
+        const delivery = await this.enqueue(sessionId, webhook, original.payload, original.id);
+
+        return { success: true, delivery: delivery };
+    }
+
+    // Drop finished deliveries older than WEBHOOK_LOG_RETENTION_DAYS
+    async prune(sessionId) {
+        const cutoff = Date.now() - this.options.retention;
+        const vault = this.vault(sessionId);
+        let pruned = 0;
+
+        for (const delivery of await this.readDeliveries(sessionId)) {
+            if (delivery.status !== 'pending' && new Date(delivery.updatedAt).getTime() < cutoff) {
+                await vault.remove(this.deliveryFile(delivery.id));
+                pruned++;
+            }
+        }
+
+        return pruned;
+    }
+
+    async removeSession(sessionId) {
+        this.detach(sessionId);
+        await this.store.removeSession(sessionId);
+        this.configs.delete(sessionId);
+        this.vaults.delete(sessionId);
+        this.coordinator.publish('webhooks_changed', { sessionId });
+    }
+
+    getStats() {
+        return {
+            backend: this.store.name,
+            scheduledRetries: this.timers.size,
+            inFlight: this.inFlight.size
+        };
+    }
+
+    close() {
+        this.timers.forEach(timer => clearTimeout(timer.handle));
+        this.timers.clear();
+        return this.store.close();
+    }
+}
+
+module.exports = {
+    WebhookManager,
+    createWebhookStore,
+    WEBHOOK_EVENTS,
+    DELIVERY_STATUSES
+};
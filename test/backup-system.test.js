@@ -0,0 +1,129 @@
+// Session files are stored in plaintext here, so the test needs no master key
+delete process.env.ENCRYPTION_KEY;
+
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const BackupSystem = require('../src/utils/backup-system');
+const { createStore } = require('../src/storage');
+const { createBackupTarget } = require('../src/backup-targets');
+const { SessionVault } = require('../src/Whatsapp/encrypted-auth-state');
+
+const PASSWORD = 'backup-test-password';
+
+async function writeSession(store, sessionId, files) {
+    const vault = new SessionVault(sessionId, { store });
+
+    for (const [name, value] of Object.entries(files)) {
+        await vault.writeText(name, JSON.stringify(value));
+    }
+}
+
+async function readSession(store, sessionId, name) {
+    const text = await new SessionVault(sessionId, { store }).readText(name);
+    return text === null ? null : JSON.parse(text);
+}
+
+// Backup IDs are timestamps, so two backups need to be at least a millisecond apart
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+test('full and incremental backups', async (t) => {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), 'backups-'));
+    const dirs = ['store', 'backups', 'target', 'fresh-store', 'fresh-backups'].reduce((all, name) => ({
+        ...all,
+        [name]: path.join(root, name)
+    }), {});
+
+    const store = createStore('filesystem', { baseDir: dirs.store });
+    const target = createBackupTarget('local', { dir: dirs.target });
+    const backupSystem = new BackupSystem({ store, baseDir: dirs.backups, targets: [target] });
+
+    t.after(() => fs.remove(root));
+
+    await writeSession(store, 'WA_A', {
+        'creds.json': { me: 'a', version: 1 },
+        'session-info.json': { id: 'WA_A', tenant: 'default', status: 'connected' }
+    });
+
+    let full;
+    let incremental;
+
+    await t.test('a full backup holds every file and is copied to the target', async () => {
+        const result = await backupSystem.createBackup(PASSWORD);
+
+        assert.strictEqual(result.success, true);
+        full = result.backup;
+
+        assert.strictEqual(full.type, 'full');
+        assert.strictEqual(full.parent, null);
+        assert.strictEqual(full.fileCount, 2);
+        assert.deepStrictEqual((await target.list()).sort(), [`${full.id}.json`, `${full.id}.backup`].sort());
+    });
+
+    await t.test('an incremental backup only archives what changed since its parent', async () => {
+        await tick();
+        await writeSession(store, 'WA_A', { 'creds.json': { me: 'a', version: 2 } });
+        await writeSession(store, 'WA_B', { 'creds.json': { me: 'b' } });
+
+        const result = await backupSystem.createBackup(PASSWORD, { incremental: true });
+
+        assert.strictEqual(result.success, true);
+        incremental = result.backup;
+
+        const record = await backupSystem.describeBackup(incremental.id);
+        const sources = record.sessions.flatMap(session =>
+            session.files.map(file => `${session.id}/${file.name}:${file.source === incremental.id ? 'new' : 'parent'}`)
+        );
+
+        assert.strictEqual(incremental.type, 'incremental');
+        assert.strictEqual(incremental.parent, full.id);
+        assert.strictEqual(record.changedFileCount, 2);
+        assert.deepStrictEqual(sources.sort(), [
+            'WA_A/creds.json:new',
+            'WA_A/session-info.json:parent',
+            'WA_B/creds.json:new'
+        ]);
+    });
+
+    await t.test('a parent cannot be deleted while an incremental backup needs it', async () => {
+        const result = await backupSystem.deleteBackup(full.id);
+        assert.strictEqual(result.error, 'BACKUP_IN_USE');
+    });
+
+    await t.test('refuses the wrong password', async () => {
+        const result = await backupSystem.restoreStoredBackup(incremental.id, 'not-the-password', { dryRun: true });
+        assert.strictEqual(result.error, 'WRONG_PASSWORD');
+    });
+
+    await t.test('another server restores the whole chain from the target', async () => {
+        const freshStore = createStore('filesystem', { baseDir: dirs['fresh-store'] });
+        const fresh = new BackupSystem({ store: freshStore, baseDir: dirs['fresh-backups'], targets: [target] });
+
+        const result = await fresh.restoreStoredBackup(incremental.id, PASSWORD);
+
+        assert.strictEqual(result.success, true);
+        assert.deepStrictEqual(result.sessions.map(session => `${session.id}:${session.action}`).sort(), [
+            'WA_A:create',
+            'WA_B:create'
+        ]);
+
+        assert.deepStrictEqual(await readSession(freshStore, 'WA_A', 'creds.json'), { me: 'a', version: 2 });
+        assert.deepStrictEqual(await readSession(freshStore, 'WA_B', 'creds.json'), { me: 'b' });
+        assert.strictEqual((await readSession(freshStore, 'WA_A', 'session-info.json')).status, 'connected');
+    });
+
+    await t.test('existing sessions are skipped unless a conflict policy says otherwise', async () => {
+        const skipped = await backupSystem.restoreStoredBackup(incremental.id, PASSWORD);
+        assert.deepStrictEqual(skipped.sessions.map(session => session.action), ['skip', 'skip']);
+
+        const renamed = await backupSystem.restoreStoredBackup(incremental.id, PASSWORD, {
+            conflict: 'rename',
+            sessions: ['WA_B']
+        });
+
+        assert.strictEqual(renamed.sessions[0].restoredAs, 'WA_B_restored');
+        assert.deepStrictEqual(await readSession(store, 'WA_B_restored', 'creds.json'), { me: 'b' });
+    });
+});
@@ -0,0 +1,61 @@
+// The allow-list is read once, when url-guard is loaded
+process.env.WEBHOOK_ALLOWED_HOSTS = 'localhost,10.1.0.0/16,192.168.5.5';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { assertPublicUrl, agentsFor } = require('../src/webhooks/url-guard');
+
+const blocked = { code: 'WEBHOOK_URL_BLOCKED' };
+
+test('refuses loopback addresses', async () => {
+    await assert.rejects(assertPublicUrl('http://127.0.0.1/hook'), blocked);
+    await assert.rejects(assertPublicUrl('http://127.8.9.10:8080/hook'), blocked);
+    await assert.rejects(assertPublicUrl('http://[::1]/hook'), blocked);
+});
+
+test('refuses RFC 1918, link-local and other reserved ranges', async () => {
+    for (const host of ['10.0.0.1', '172.16.0.1', '172.31.255.254', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0']) {
+        await assert.rejects(assertPublicUrl(`http://${host}/hook`), blocked, host);
+    }
+
+    await assert.rejects(assertPublicUrl('http://[fd00::1]/hook'), blocked);
+    await assert.rejects(assertPublicUrl('http://[fe80::1]/hook'), blocked);
+});
+
+test('checks IPv4-mapped IPv6 addresses against the IPv4 ranges', async () => {
+    await assert.rejects(assertPublicUrl('http://[::ffff:127.0.0.1]/hook'), blocked);
+    await assert.rejects(assertPublicUrl('http://[::ffff:10.0.0.1]/hook'), blocked);
+    await assert.rejects(assertPublicUrl('http://[::ffff:169.254.169.254]/hook'), blocked);
+    await assertPublicUrl('http://[::ffff:93.184.216.34]/hook');
+});
+
+test('allows public addresses', async () => {
+    await assertPublicUrl('http://93.184.216.34/hook');
+    await assertPublicUrl('https://[2606:2800:220:1:248:1893:25c8:1946]/hook');
+});
+
+test('allows hosts, addresses and CIDRs on WEBHOOK_ALLOWED_HOSTS', async () => {
+    await assertPublicUrl('http://localhost:8080/hook');
+    await assertPublicUrl('http://10.1.2.3/hook');
+    await assertPublicUrl('http://192.168.5.5/hook');
+
+    await assert.rejects(assertPublicUrl('http://10.2.0.1/hook'), blocked);
+    await assert.rejects(assertPublicUrl('http://192.168.5.6/hook'), blocked);
+});
+
+test("refuses this service's own ports on this machine even when allowed", async () => {
+    await assert.rejects(assertPublicUrl('http://localhost:3000/hook'), blocked);
+    await assert.rejects(assertPublicUrl('http://localhost:9090/metrics'), blocked);
+    await assert.rejects(assertPublicUrl('http://localhost:4001/'), blocked);
+});
+
+test('agents check the address actually connected to', async () => {
+    const url = 'http://localhost:3000/hook';
+
+    const error = await new Promise(resolve => {
+        http.get(url, { agent: agentsFor(url).httpAgent }, () => resolve(null)).on('error', resolve);
+    });
+
+    assert.strictEqual(error && error.code, 'WEBHOOK_URL_BLOCKED');
+});
@@ -0,0 +1,151 @@
+// The receiver listens on loopback, which webhooks may only reach when allowed
+process.env.WEBHOOK_ALLOWED_HOSTS = '127.0.0.1';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { createStore } = require('../src/storage');
+const { WebhookManager } = require('../src/webhooks/webhook-manager');
+
+const SESSION_ID = 'WA_TEST';
+const SECRET = 'test-secret-at-least-16-chars';
+
+// Records every request and answers with the next queued status, then 200
+function createReceiver() {
+    const receiver = { requests: [], statuses: [] };
+
+    receiver.server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            receiver.requests.push({ headers: req.headers, body });
+            res.writeHead(receiver.statuses.shift() || 200);
+            res.end();
+        });
+    });
+
+    return new Promise(resolve => {
+        receiver.server.listen(0, '127.0.0.1', () => {
+            receiver.url = `http://127.0.0.1:${receiver.server.address().port}/hook`;
+            resolve(receiver);
+        });
+    });
+}
+
+async function waitFor(check, timeout = 5000) {
+    const started = Date.now();
+
+    while (Date.now() - started < timeout) {
+        const result = await check();
+        if (result) return result;
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+
+    throw new Error('Timed out waiting');
+}
+
+test('webhook deliveries', async (t) => {
+    const baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'webhooks-'));
+    const receiver = await createReceiver();
+    const manager = new WebhookManager({
+        store: createStore('filesystem', { baseDir }),
+        retryDelay: 20,
+        maxAttempts: 3
+    });
+
+    t.after(async () => {
+        await manager.close();
+        receiver.server.close();
+        await fs.remove(baseDir);
+    });
+
+    const added = await manager.addWebhook(SESSION_ID, { url: receiver.url, events: ['message'], secret: SECRET });
+    assert.strictEqual(added.success, true);
+
+    await t.test('refuses private addresses that are not allowed', async () => {
+        const result = await manager.addWebhook(SESSION_ID, { url: 'http://10.0.0.1/hook' });
+        assert.strictEqual(result.error, 'WEBHOOK_URL_BLOCKED');
+    });
+
+    await t.test('signs the body with the webhook secret', async () => {
+        const [delivery] = await manager.dispatch(SESSION_ID, 'message', { text: 'hello' });
+        const { headers, body } = receiver.requests.at(-1);
+
+        const expected = crypto.createHmac('sha256', SECRET)
+            .update(`${headers['x-webhook-timestamp']}.${body}`)
+            .digest('hex');
+
+        assert.strictEqual(headers['x-webhook-signature'], `sha256=${expected}`);
+        assert.strictEqual(headers['x-webhook-id'], added.webhook.id);
+        assert.strictEqual(headers['x-webhook-delivery'], delivery.id);
+        assert.strictEqual(headers['x-webhook-event'], 'message');
+        assert.deepStrictEqual(JSON.parse(body).data, { text: 'hello' });
+        assert.strictEqual(delivery.status, 'delivered');
+    });
+
+    await t.test('skips events the webhook is not subscribed to', async () => {
+        const sent = receiver.requests.length;
+        const deliveries = await manager.dispatch(SESSION_ID, 'presence', {});
+
+        assert.strictEqual(deliveries.length, 0);
+        assert.strictEqual(receiver.requests.length, sent);
+    });
+
+    await t.test('retries failed deliveries with backoff', async () => {
+        receiver.statuses.push(500, 503);
+
+        const [delivery] = await manager.dispatch(SESSION_ID, 'message', { text: 'retry me' });
+        assert.strictEqual(delivery.status, 'pending');
+
+        const stored = await waitFor(async () => {
+            const current = await manager.getDelivery(SESSION_ID, delivery.id);
+            return current.status !== 'pending' && current;
+        });
+
+        assert.strictEqual(stored.status, 'delivered');
+        assert.strictEqual(stored.attempts, 3);
+        assert.deepStrictEqual(stored.responses.map(response => response.status), [500, 503, 200]);
+    });
+
+    await t.test('gives up after maxAttempts', async () => {
+        receiver.statuses.push(500, 500, 500);
+
+        const [delivery] = await manager.dispatch(SESSION_ID, 'message', { text: 'never arrives' });
+
+        const stored = await waitFor(async () => {
+            const current = await manager.getDelivery(SESSION_ID, delivery.id);
+            return current.status !== 'pending' && current;
+        });
+
+        assert.strictEqual(stored.status, 'failed');
+        assert.strictEqual(stored.attempts, 3);
+    });
+
+    await t.test('replays a logged delivery as a new, re-signed delivery', async () => {
+        const [original] = await manager.dispatch(SESSION_ID, 'message', { text: 'again' });
+        const first = receiver.requests.at(-1);
+
+        const result = await manager.replay(SESSION_ID, original.id);
+        const replayed = receiver.requests.at(-1);
+
+        assert.strictEqual(result.success, true);
+        assert.strictEqual(result.delivery.replayOf, original.id);
+        assert.strictEqual(result.delivery.status, 'delivered');
+        assert.notStrictEqual(replayed.headers['x-webhook-delivery'], first.headers['x-webhook-delivery']);
+        assert.deepStrictEqual(JSON.parse(replayed.body).data, { text: 'again' });
+
+        const expected = crypto.createHmac('sha256', SECRET)
+            .update(`${replayed.headers['x-webhook-timestamp']}.${replayed.body}`)
+            .digest('hex');
+        assert.strictEqual(replayed.headers['x-webhook-signature'], `sha256=${expected}`);
+    });
+
+    await t.test('replay of an unknown delivery fails', async () => {
+        const result = await manager.replay(SESSION_ID, crypto.randomUUID());
+        assert.strictEqual(result.error, 'DELIVERY_NOT_FOUND');
+    });
+});